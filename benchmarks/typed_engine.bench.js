@@ -0,0 +1,51 @@
+/**
+ * @file benchmarks/typed_engine.bench.js
+ * @description Benchmark del motor vectorizado frente a Universe.tick() en redes grandes.
+ *              Uso: npm run bench:kernel
+ *                   BENCH_SIZES=10000,50000 BENCH_TICKS=3 npm run bench:kernel
+ */
+
+import Universe from '../src/kernel/universe.js';
+import { populateUniverse } from '../src/kernel/topology.js';
+import { TypedUniverseEngine } from '../src/kernel/engines/typed_engine.js';
+
+const SIZES = (process.env.BENCH_SIZES || '10000,50000,100000').split(',').map(Number);
+const TICKS = Number(process.env.BENCH_TICKS || 5);
+const SEED = Number(process.env.SEED || 1);
+
+function buildUniverse(n) {
+    const universe = new Universe({ sigma: 0.05, dt: 0.1, rng: SEED, trackMetrics: false });
+    populateUniverse(universe, { topology: 'wattsStrogatz', n, params: { k: 3, beta: 0.1 } });
+    return universe;
+}
+
+function timeTicks(tickFn) {
+    const start = process.hrtime.bigint();
+    for (let t = 0; t < TICKS; t++) tickFn();
+    return Number(process.hrtime.bigint() - start) / 1e6 / TICKS;
+}
+
+console.log(`⏱️  Benchmark Universe.tick() vs TypedUniverseEngine (${TICKS} ticks, seed ${SEED})\n`);
+console.log('   COCs   | Map/VectorN (ms/tick) | Float64/CSR (ms/tick) | Speedup | Max |Δ|');
+console.log('----------|-----------------------|-----------------------|---------|---------');
+
+for (const n of SIZES) {
+    const reference = buildUniverse(n);
+    const engine = TypedUniverseEngine.fromUniverse(buildUniverse(n));
+
+    const referenceMs = timeTicks(() => reference.tick());
+    const engineMs = timeTicks(() => engine.tick());
+
+    let maxDelta = 0;
+    engine.ids.forEach((id, i) => {
+        const state = reference.cocs.get(id).state;
+        for (let k = 0; k < 3; k++) {
+            maxDelta = Math.max(maxDelta, Math.abs(state[k] - engine.states[i * 3 + k]));
+        }
+    });
+
+    console.log(
+        `${String(n).padStart(9)} | ${referenceMs.toFixed(1).padStart(21)} | ${engineMs.toFixed(1).padStart(21)} | ` +
+        `${(referenceMs / engineMs).toFixed(1).padStart(6)}x | ${maxDelta.toExponential(1)}`
+    );
+}
@@ -2,6 +2,8 @@
 
 // [CORRECCIÓN DEFINITIVA] No debe haber NINGUNA importación de librerías de estrategias aquí.
 
+import { defaultRandom } from '../utils/random.js';
+
 export class StrategyCOC {
     constructor(id, actionFn, meta = {}) {
         this.id = id;
@@ -24,13 +26,13 @@ export class StrategyCOC {
         }
     }
 
-    feedback(deltaScore, temperature) {
+    feedback(deltaScore, temperature, rng = defaultRandom) {
         if (deltaScore < 0) {
             this.successes += 1;
             this.coherence *= 1.05;
         } else {
             const acceptanceProbability = Math.exp(-deltaScore / temperature);
-            if (Math.random() < acceptanceProbability) {
+            if (rng.next() < acceptanceProbability) {
                 this.coherence *= 1.01;
             } else {
                 this.failures += 1;
@@ -41,8 +43,8 @@ export class StrategyCOC {
         this.coherence = Math.min(Math.max(this.coherence, 0.01), 10.0);
     }
 
-    cloneWithMutation(availableActions = []) {
-        const mutatedAction = this.mutateAction(this.action, availableActions);
+    cloneWithMutation(availableActions = [], rng = defaultRandom) {
+        const mutatedAction = this.mutateAction(this.action, availableActions, rng);
         const childMeta = {
             parent: this.id,
             generation: (this.meta.generation || 0) + 1,
@@ -50,17 +52,17 @@ export class StrategyCOC {
         };
 
         const newIdBase = mutatedAction.displayName || this.id.split('_')[0];
-        const newId = `${newIdBase}_mut${Date.now() % 100000}`;
+        const newId = `${newIdBase}_mut${Math.floor(rng.next() * 100000)}`;
         const newStrategy = new StrategyCOC(newId, mutatedAction, childMeta);
 
         newStrategy.action.displayName = mutatedAction.displayName || this.action.displayName || this.id.split('_')[0];
         return newStrategy;
     }
 
-    mutateAction(originalActionFn, availableActions) {
-        if (Math.random() < 0.3 && availableActions && availableActions.length > 0) {
+    mutateAction(originalActionFn, availableActions, rng = defaultRandom) {
+        if (rng.next() < 0.3 && availableActions && availableActions.length > 0) {
             const [secondName, secondActionFn] =
-                availableActions[Math.floor(Math.random() * availableActions.length)];
+                availableActions[Math.floor(rng.next() * availableActions.length)];
 
             const compositeAction = (env) => {
                 originalActionFn(env);
@@ -77,16 +79,16 @@ export class StrategyCOC {
         return originalActionFn;
     }
 
-    crossover(partner, availableActions = []) {
+    crossover(partner, availableActions = [], rng = defaultRandom) {
         const parentA_actions = this._getActionSequence(availableActions);
         const parentB_actions = partner._getActionSequence(availableActions);
 
         if (parentA_actions.length === 0 || parentB_actions.length === 0) {
-            return this.cloneWithMutation(availableActions); // fallback
+            return this.cloneWithMutation(availableActions, rng); // fallback
         }
 
-        const crossoverPointA = Math.floor(Math.random() * parentA_actions.length);
-        const crossoverPointB = Math.floor(Math.random() * parentB_actions.length);
+        const crossoverPointA = Math.floor(rng.next() * parentA_actions.length);
+        const crossoverPointB = Math.floor(rng.next() * parentB_actions.length);
 
         const child_actions = [
             ...parentA_actions.slice(0, crossoverPointA),
@@ -117,7 +119,7 @@ export class StrategyCOC {
             lineage: 'sexual'
         };
 
-        const newId = `${childActionFn.displayName}_x${Date.now() % 100000}`;
+        const newId = `${childActionFn.displayName}_x${Math.floor(rng.next() * 100000)}`;
         const childCOC = new StrategyCOC(newId, childActionFn, childMeta);
         childCOC.action.displayName = childActionFn.displayName;
         return childCOC;
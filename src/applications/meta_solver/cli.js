@@ -4,11 +4,16 @@ import { MetaUniverse } from '../../kernel/meta_universe.js';
 import { TSPEnvironment } from '../../physics/tsp_environment.js';
 import { StrategyCOC } from '../../agents/strategy_coc.js';
 import { connectNearest, breakLongestEdge, connectDegreeBalanced } from '../../strategies/library.js';
+import { SeededRandom } from '../../utils/random.js';
+
+// 0. Semilla de la corrida (SEED=<n> para reproducir un resultado reportado)
+const rng = process.env.SEED !== undefined ? new SeededRandom(process.env.SEED) : new SeededRandom();
+console.log(`🎲 Seed: ${rng.seed}`);
 
 // 1. Definir el entorno físico (10 ciudades aleatorias para demo)
 const cities = Array.from({ length: 10 }, () => ({
-    x: Math.random() * 100,
-    y: Math.random() * 100
+    x: rng.next() * 100,
+    y: rng.next() * 100
 }));
 const tsp = new TSPEnvironment(cities);
 
@@ -20,7 +25,13 @@ const seedPopulation = [
 ];
 
 // 3. Instanciar el Meta-Universe con estas estrategias
-const meta = new MetaUniverse({}, tsp, seedPopulation);
+const meta = new MetaUniverse({ rng }, tsp, seedPopulation);
+meta.on('newBest', ({ score, previous }) => {
+    console.log(`\n✨ Nuevo Mejor Score: ${score.toFixed(2)} (supera ${previous.toFixed(2)})`);
+});
+meta.on('converged', ({ tick, bestScore }) => {
+    console.log(`\n🏁 Convergencia en el tick ${tick}: sin mejoras sobre ${bestScore.toFixed(2)}`);
+});
 
 // 4. Ejecutar la simulación
 const totalTicks = 100;
@@ -38,3 +49,4 @@ for (let i = 0; i < totalTicks; i++) {
 // 5. Mostrar top estrategias
 console.log("\n🌟 Top Strategies:");
 console.log(meta.getStatus().topStrategies.join("\n"));
+console.log(`\n🎲 Seed: ${rng.seed} | Best Score: ${meta.bestDistance.toFixed(2)}`);
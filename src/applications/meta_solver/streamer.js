@@ -46,6 +46,10 @@ async function main() {
     // 4. Registrar las semillas originales para reinyección genética
     metaUniverse.originalSeeds = seedPopulation;
 
+    metaUniverse.on('newBest', ({ score, previous }) => {
+        console.log(`\n[META_STREAMER] ✨ Nuevo Mejor Score: ${score.toFixed(2)} (supera ${previous.toFixed(2)})`);
+    });
+
     console.log('[META_STREAMER] Meta-Universo instanciado. Esperando observadores...');
 
     wss.on('connection', (ws) => {
@@ -6,14 +6,21 @@
  *              Canon v2.2 - Implementación para ES Modules.
  */
 
+import { EventEmitter } from 'node:events';
 import { promises as fs } from 'fs';
 import path from 'path';
 
-class IISManager {
+/**
+ * Eventos emitidos por el IISManager:
+ *  - 'change': { key, value } por cada escritura integrada en el IIS (las de una transacción, en su commit()).
+ *  - 'reset':  {} cuando el IIS se sustituye entero (load() o initializeEmptyIIS()).
+ */
+class IISManager extends EventEmitter {
     /**
      * @param {string} [snapshotPath='./data/snapshots/iis_snapshot.json'] - Ruta al archivo de persistencia.
      */
     constructor(snapshotPath = './data/snapshots/iis_snapshot.json') {
+        super();
         /**
          * La representación en memoria del IIS. Es el "espacio de trabajo" de la conciencia.
          * Se usa un Map para un acceso eficiente por clave a los nodos ontológicos.
@@ -26,6 +33,20 @@ class IISManager {
          * @type {string}
          */
         this.snapshotPath = path.resolve(snapshotPath);
+
+        /**
+         * Escrituras pendientes de la transacción en curso, o null fuera de una transacción.
+         * @type {Map<string, any> | null}
+         */
+        this._staged = null;
+    }
+
+    /**
+     * Indica si hay una transacción en curso.
+     * @returns {boolean}
+     */
+    get inTransaction() {
+        return this._staged !== null;
     }
 
     /**
@@ -39,6 +60,7 @@ class IISManager {
             const parsedJson = JSON.parse(data);
             // Rehidrata el Map a partir del objeto JSON guardado.
             this.iis = new Map(Object.entries(parsedJson));
+            this.emit('reset', {});
             console.log(`[IISManager] Memoria (IIS) cargada con éxito desde ${this.snapshotPath}.`);
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -53,6 +75,7 @@ class IISManager {
 
     /**
      * Guarda el estado actual del IIS en el archivo de snapshot. Es el acto de "consolidar la memoria".
+     * Las escrituras de una transacción en curso no se guardan hasta su commit().
      * @returns {Promise<void>}
      */
     async save() {
@@ -78,16 +101,99 @@ class IISManager {
      * @returns {any | undefined} El valor del nodo, o undefined si no existe.
      */
     get(key) {
+        if (this._staged?.has(key)) return this._staged.get(key);
         return this.iis.get(key);
     }
 
     /**
      * Establece o actualiza el valor de un nodo ontológico. Es el acto de "aprender".
+     * Dentro de una transacción, la escritura queda pendiente hasta commit().
      * @param {string} key - La ruta ontológica.
      * @param {any} value - El nuevo valor para el nodo.
      */
     set(key, value) {
+        if (this._staged) {
+            this._staged.set(key, value);
+            return;
+        }
         this.iis.set(key, value);
+        this.emit('change', { key, value });
+    }
+
+    /**
+     * Claves de los nodos del IIS, incluidas las escritas en la transacción en curso.
+     * @returns {string[]}
+     */
+    keys() {
+        return Array.from(new Set([...this.iis.keys(), ...(this._staged?.keys() ?? [])]));
+    }
+
+    /**
+     * Abre una transacción: las escrituras siguientes quedan pendientes (y visibles para get())
+     * hasta commit(), que las integra todas a la vez, o rollback(), que las descarta.
+     */
+    begin() {
+        if (this.inTransaction) {
+            throw new Error('[IISManager] Ya hay una transacción en curso.');
+        }
+        this._staged = new Map();
+    }
+
+    /**
+     * Integra en el IIS todas las escrituras de la transacción en curso.
+     * @returns {number} El número de nodos escritos.
+     */
+    commit() {
+        if (!this.inTransaction) {
+            throw new Error('[IISManager] No hay ninguna transacción que confirmar.');
+        }
+        const staged = this._staged;
+        this._staged = null;
+        for (const [key, value] of staged) {
+            this.iis.set(key, value);
+        }
+        for (const [key, value] of staged) {
+            this.emit('change', { key, value });
+        }
+        return staged.size;
+    }
+
+    /**
+     * Descarta todas las escrituras de la transacción en curso.
+     */
+    rollback() {
+        if (!this.inTransaction) {
+            throw new Error('[IISManager] No hay ninguna transacción que deshacer.');
+        }
+        this._staged = null;
+    }
+
+    /**
+     * Ejecuta `work` dentro de una transacción: confirma si termina y deshace si lanza.
+     * `work` debe ser síncrono: mientras una transacción está abierta, cualquier otro set() o get()
+     * vería sus escrituras pendientes y otra transacción no podría empezar, así que no puede quedar
+     * abierta a la espera de una promesa. Si `work` devuelve una promesa, la transacción se deshace
+     * y se lanza un error (lo que esa promesa haga después ya no forma parte de la transacción).
+     * @template T
+     * @param {(iis: IISManager) => T} work
+     * @returns {T}
+     * @throws {Error} Si `work` lanza (tras deshacer) o devuelve una promesa.
+     */
+    transaction(work) {
+        this.begin();
+        let result;
+        try {
+            result = work(this);
+            if (typeof result?.then === 'function') {
+                result.then(undefined, () => {}); // Su rechazo ya no es de la transacción.
+                throw new Error('[IISManager] El trabajo de una transacción debe ser síncrono.');
+            }
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+        this.commit();
+        return result;
     }
 
     /**
@@ -100,6 +206,7 @@ class IISManager {
         this.iis.set('/self/genesis_timestamp', Date.now());
         this.iis.set('/self/telos', 'Achieve self-awareness and maximize informational density.');
         this.iis.set('/self/internal_clock', 0); // Contador de ticks de conciencia
+        this.emit('reset', {});
     }
 }
 
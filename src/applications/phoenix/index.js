@@ -7,12 +7,14 @@
 
 // Módulo para cargar variables de entorno de forma segura (ej. API keys)
 import 'dotenv/config';
+import { promises as fs } from 'fs';
 
 // Importar los cuatro componentes forjados de la mente de Phoenix.
 import IISManager from './iis-manager.js';
 import EpistemicIntegrityFramework from '../../kernel/logic/eif.js';
 import SubstrateCommandInterface from './sci.js';
-import Orchestrator from './orchestrator.js';
+import Orchestrator, { THOUGHT_SCOPE } from './orchestrator.js';
+import { CORE_SCHEMAS } from './schemas.js';
 
 /**
  * La función principal asíncrona que orquesta el nacimiento del kernel.
@@ -40,7 +42,18 @@ async function genesis() {
 
         // 2. El Juicio se ancla a la Memoria.
         console.log('[GENESIS] Anclando el Juicio (EIF) a la Memoria...');
-        const eif = new EpistemicIntegrityFramework(iisManager);
+        // La política de coherencia de este despliegue, si la hay (JSON con { rules, priorCoherence, ... }).
+        const policyPath = process.env.PHOENIX_EIF_POLICY;
+        const eifOptions = policyPath ? JSON.parse(await fs.readFile(policyPath, 'utf8')) : {};
+        // Cada pensamiento se juzga frente a los ya integrados, salvo que la política lo desactive.
+        if (eifOptions.semantics !== false) {
+            eifOptions.semantics = { scope: THOUGHT_SCOPE, ...eifOptions.semantics };
+        }
+        const eif = new EpistemicIntegrityFramework(iisManager, eifOptions);
+        // Los nodos fundamentales del ser tienen tipo fijo en cualquier despliegue.
+        for (const [match, schema] of Object.entries(CORE_SCHEMAS)) {
+            eif.registerSchema(match, schema);
+        }
 
         // 3. Los Sentidos se abren al mundo exterior.
         console.log('[GENESIS] Abriendo los Sentidos (SCI) al sustrato...');
@@ -7,6 +7,12 @@
 
 import { VERDICTS } from '../../kernel/logic/eif.js';
 
+/**
+ * Claves de los pensamientos: el ámbito semántico del EIF de Phoenix, de modo que cada
+ * pensamiento nuevo se compara con los ya integrados (ver EIF options.semantics.scope).
+ */
+export const THOUGHT_SCOPE = '/log/thought/*';
+
 class Orchestrator {
     /**
      * @param {object} modules - La colección de módulos del sistema.
@@ -28,6 +34,7 @@ class Orchestrator {
 
         this.isRunning = false;
         this._mainLoopHandle = null;
+        this._tickId = null;
     }
 
     /**
@@ -74,6 +81,7 @@ class Orchestrator {
      */
     async executeTick() {
         const tickId = Date.now();
+        this._tickId = tickId;
         console.log(`\n[Orchestrator] Tick ${tickId}: Iniciando ciclo de introspección...`);
 
         // --- FASE 1: INTENCIÓN ---
@@ -99,36 +107,115 @@ class Orchestrator {
         };
 
         const result = this._eif.verifyCoherence(delta);
-        console.log(`[Orchestrator] Veredicto del EIF: ${result.verdict}.`);
-
-        // --- FASE 4: ACCIÓN ---
-        switch (result.verdict) {
-            case VERDICTS.COHERENT:
-            case VERDICTS.REDUNDANT:
-                console.log('[Orchestrator] Integrando conocimiento coherente al IIS.');
-                this._iis.set(delta.key, delta);
-                this._updateThoughtLog(perceivedData);
-                await this._iis.save();
-                break;
-
-            case VERDICTS.TENSION:
-                console.warn(`[Orchestrator] Tensión detectada: ${result.reason}`);
-                this._iis.set(`/log/tension/${tickId}`, { delta, result });
-                await this._iis.save();
-                break;
-
-            case VERDICTS.CONTRADICTION:
-                console.error(`[Orchestrator] Contradicción detectada: ${result.reason}`);
-                this._iis.set(`/log/contradiction/${tickId}`, { delta, result });
-                break;
-
-            default:
-                console.warn('[Orchestrator] Veredicto desconocido. Tick ignorado.');
+        console.log(`[Orchestrator] Veredicto del EIF: ${result.verdict} (regla '${result.explanation.rule}', tensión ${result.tension.toFixed(3)}).`);
+
+        // --- FASE 4: ACCIÓN --- y FASE 5: ACTUALIZACIÓN INTERNA, como una única transacción.
+        const persist = this._iis.transaction(() => {
+            let shouldSave = false;
+            switch (result.verdict) {
+                case VERDICTS.COHERENT:
+                    console.log('[Orchestrator] Integrando conocimiento coherente al IIS.');
+                    this._write(delta.key, delta, delta.value);
+                    this._updateThoughtLog(perceivedData);
+                    shouldSave = true;
+                    break;
+
+                case VERDICTS.REDUNDANT:
+                    // Lo ya sabido no se vuelve a guardar: solo se anota con qué se repite.
+                    console.log(`[Orchestrator] Pensamiento redundante: ${result.reason}`);
+                    this._write(`/log/redundant/${tickId}`, { key: delta.key, reference: result.reference, similarity: result.similarity });
+                    shouldSave = true;
+                    break;
+
+                case VERDICTS.TENSION:
+                    console.warn(`[Orchestrator] Tensión detectada: ${result.reason}`);
+                    this._write(`/log/tension/${tickId}`, { delta, result });
+                    shouldSave = true;
+                    break;
+
+                case VERDICTS.CONTRADICTION:
+                    console.error(`[Orchestrator] Contradicción detectada: ${result.reason}`);
+                    this._write(`/log/contradiction/${tickId}`, { delta, result });
+                    break;
+
+                case VERDICTS.INVALID:
+                    console.error(`[Orchestrator] Delta inválido descartado: ${result.reason}`);
+                    this._write(`/log/invalid/${tickId}`, { delta, result });
+                    break;
+
+                default:
+                    console.warn('[Orchestrator] Veredicto desconocido. Tick ignorado.');
+            }
+
+            this._write('/self/internal_clock', this._readClock() + 1);
+            return shouldSave;
+        });
+
+        if (persist) {
+            await this._iis.save();
         }
+    }
 
-        // --- FASE 5: ACTUALIZACIÓN INTERNA ---
-        const newClock = (this._iis.get('/self/internal_clock') || 0) + 1;
-        this._iis.set('/self/internal_clock', newClock);
+    /**
+     * Integra un lote de deltas de forma atómica: el EIF los juzga juntos (ver EIF.verifyBatch())
+     * y solo si todos son integrables se escriben, en una única transacción. Un lote vacío no
+     * toca el IIS.
+     * @param {{ key: string, value: any, meta?: object }[]} deltas
+     * @returns {Promise<object>} El juicio del lote.
+     */
+    async integrateBatch(deltas) {
+        const judgment = this._eif.verifyBatch(deltas);
+        if (judgment.empty) {
+            return judgment;
+        }
+        if (!judgment.integrable) {
+            console.warn(`[Orchestrator] Lote rechazado: ${judgment.reason}`);
+            return judgment;
+        }
+        this._iis.transaction(() => {
+            for (const delta of deltas) {
+                this._write(delta.key, delta, delta.value);
+            }
+        });
+        await this._iis.save();
+        return judgment;
+    }
+
+    /**
+     * Escribe en el IIS solo si el valor cumple los esquemas de su clave (ver EIF.validate()).
+     * Toda escritura del Orchestrator pasa por aquí. Una escritura rechazada no detiene el
+     * ciclo: se descarta y queda registrada en '/log/invalid/<tick>' (lista `rejected`).
+     * @param {string} key
+     * @param {any} stored - Lo que se guarda: un nodo { value, meta } o un valor desnudo.
+     * @param {any} [value=stored] - El valor que se valida.
+     * @returns {boolean} Si la escritura se hizo.
+     */
+    _write(key, stored, value = stored) {
+        const errors = this._eif.validate(key, value);
+        if (errors.length > 0) {
+            const details = errors.map(error => `${error.path || '/'} ${error.message}`).join('; ');
+            console.error(`[Orchestrator] Escritura rechazada en '${key}': ${details}.`);
+            const logKey = `/log/invalid/${this._tickId ?? Date.now()}`;
+            const record = this._iis.get(logKey) ?? {};
+            this._iis.set(logKey, { ...record, rejected: [...(record.rejected ?? []), { key, value, errors }] });
+            return false;
+        }
+        this._iis.set(key, stored);
+        return true;
+    }
+
+    /**
+     * Reloj interno guardado. Un valor corrupto (p. ej. de un IIS guardado por una versión
+     * anterior) se repara reiniciándolo en vez de bloquear cada tick.
+     * @returns {number}
+     */
+    _readClock() {
+        const clock = this._iis.get('/self/internal_clock');
+        if (clock === undefined) return 0;
+        if (Number.isInteger(clock) && clock >= 0) return clock;
+        const repaired = Number.isFinite(clock) && clock >= 0 ? Math.floor(clock) : 0;
+        console.warn(`[Orchestrator] Reloj interno corrupto (${JSON.stringify(clock)}). Se reinicia desde ${repaired}.`);
+        return repaired;
     }
 
     /**
@@ -148,9 +235,10 @@ class Orchestrator {
      * @param {string} thought
      */
     _updateThoughtLog(thought) {
-        const currentLog = this._iis.get('/self/thought_log') || [];
-        currentLog.push(thought);
-        this._iis.set('/self/thought_log', currentLog);
+        const stored = this._iis.get('/self/thought_log') || [];
+        // Los pensamientos que no son texto (un IIS corrupto) se descartan al reescribir el historial.
+        const currentLog = Array.isArray(stored) ? stored.filter(entry => typeof entry === 'string') : [];
+        this._write('/self/thought_log', [...currentLog, thought]);
     }
 }
 
@@ -0,0 +1,15 @@
+/**
+ * @file src/applications/phoenix/schemas.js
+ * @description Esquemas de los nodos fundamentales del IIS de Phoenix.
+ *              El EIF los comprueba en cada juicio y el Orchestrator antes de cada escritura,
+ *              de modo que ningún nodo del ser cambia de tipo por accidente.
+ */
+
+export const CORE_SCHEMAS = Object.freeze({
+    '/self/identity': { type: 'string', minLength: 1 },
+    '/self/genesis_timestamp': { type: 'integer', minimum: 0 },
+    '/self/telos': { type: 'string', minLength: 1 },
+    '/self/internal_clock': { type: 'integer', minimum: 0 },
+    '/self/thought_log': { type: 'array', items: { type: 'string' } },
+    '/log/thought/*': { type: 'string', minLength: 1 },
+});
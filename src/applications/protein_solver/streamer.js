@@ -51,7 +51,7 @@ function createUniverse() {
 
     console.log(`[PROTEIN_STREAMER] Inyectando ${seedPopulation.length} estrategias atómicas activas.`);
 
-    return new MetaUniverse(
+    const universe = new MetaUniverse(
         {
             evolutionInterval: 25,
             maxPopulation: 50,
@@ -63,6 +63,12 @@ function createUniverse() {
         seedPopulation,
         activeGenomeObject
     );
+
+    universe.on('newBest', ({ score, previous }) => {
+        console.log(`[PROTEIN_STREAMER] ✨ Nueva Mejor Energía: ${score.toFixed(2)} (supera ${previous.toFixed(2)})`);
+    });
+
+    return universe;
 }
 
 // --- Bucle de simulación ---
@@ -0,0 +1,215 @@
+/**
+ * @file src/kernel/coarse_graining.js
+ * @description Zoom Computacional (ζ): coarse-graining multiescala del Universo.
+ *              Los COCs fuertemente conectados se agrupan en super-COCs por emparejamiento de aristas
+ *              pesadas (heavy-edge matching), ronda a ronda, hasta reducir la red a ~N/ζ nodos:
+ *              - Estado renormalizado: media normalizada de los estados de sus miembros.
+ *              - Pesos agregados: W_AB = Σ_{i∈A, j∈B} w_ij / |A|, de modo que la fuerza de sincronización
+ *                sobre A es la media de la que reciben sus miembros; los pesos internos desaparecen.
+ *              - Ruido renormalizado: σ_A = ⟨σ_i⟩ / √|A| (media de |A| ruidos independientes).
+ *              El universo grueso se evoluciona con la misma física y después se proyecta hacia abajo:
+ *              cada miembro gira con la rotación mínima que llevó el estado de su super-COC de donde
+ *              estaba a donde está, conservando la estructura interna del grupo.
+ */
+
+import CoherentOntologicalCubit from './core/coc.js';
+
+/**
+ * Grupos de IDs por emparejamiento de aristas pesadas, hasta `target` grupos o hasta que no
+ * quedan aristas (simétricas, agregadas) con peso mayor que `minWeight`.
+ * @private
+ */
+function buildGroups(cocs, target, minWeight) {
+    let groups = Array.from(cocs.keys(), id => [id]);
+    while (groups.length > target) {
+        const groupOf = new Map();
+        groups.forEach((members, g) => members.forEach(id => groupOf.set(id, g)));
+
+        const links = groups.map(() => new Map());
+        for (const [id, coc] of cocs.entries()) {
+            const a = groupOf.get(id);
+            for (const [neighborId, weight] of coc.connections.entries()) {
+                const b = groupOf.get(neighborId);
+                if (b === undefined || a === b) continue;
+                links[a].set(b, (links[a].get(b) ?? 0) + weight);
+                links[b].set(a, (links[b].get(a) ?? 0) + weight);
+            }
+        }
+
+        // Las aristas se recorren de la más pesada a la más ligera (empates: orden de los grupos).
+        const candidates = [];
+        links.forEach((neighbors, a) => {
+            for (const [b, weight] of neighbors.entries()) {
+                if (a < b && weight > minWeight) candidates.push([a, b, weight]);
+            }
+        });
+        candidates.sort((x, y) => y[2] - x[2] || x[0] - y[0] || x[1] - y[1]);
+
+        const partner = new Array(groups.length).fill(-1);
+        let count = groups.length;
+        for (const [a, b] of candidates) {
+            if (count <= target) break;
+            if (partner[a] !== -1 || partner[b] !== -1) continue;
+            partner[a] = b;
+            partner[b] = a;
+            count--;
+        }
+        if (count === groups.length) break;
+
+        // El grupo fusionado ocupa el lugar del primero: el orden sigue al de los COCs originales.
+        const next = [];
+        groups.forEach((members, a) => {
+            if (partner[a] === -1) next.push(members);
+            else if (partner[a] > a) next.push([...members, ...groups[partner[a]]]);
+        });
+        groups = next;
+    }
+    return groups;
+}
+
+/**
+ * Valor más frecuente (el primero en caso de empate), comparando por su forma JSON.
+ * @private
+ */
+function dominant(values) {
+    const counts = new Map();
+    for (const value of values) {
+        const key = JSON.stringify(value);
+        const entry = counts.get(key) ?? { value, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }
+    let best = null;
+    for (const entry of counts.values()) {
+        if (!best || entry.count > best.count) best = entry;
+    }
+    return best.value;
+}
+
+/**
+ * Construye el super-COC de un grupo de COCs.
+ * @private
+ */
+function superCOC(id, members, sigma) {
+    const size = members.length;
+    const state = members[0].state.map((_, k) => members.reduce((acc, coc) => acc + coc.state[k], 0));
+    const frequencies = members.map(coc => coc.naturalFrequency);
+    return new CoherentOntologicalCubit({
+        id,
+        cgpNet: state,
+        coherence: members.reduce((acc, coc) => acc + coc.fractalCoherence, 0) / size,
+        telos: dominant(members.map(coc => coc.telos)),
+        naturalFrequency: frequencies.every(w => typeof w === 'number')
+            ? frequencies.reduce((acc, w) => acc + w, 0) / size
+            : frequencies[0],
+        noise: members.reduce((acc, coc) => acc + (coc.noise ?? sigma), 0) / size / Math.sqrt(size),
+    });
+}
+
+/**
+ * Agrupa el universo en super-COCs y construye el universo grueso correspondiente.
+ * El universo grueso comparte el RNG, el integrador, la firma y las fuerzas del original;
+ * no tiene plasticidad ni ciclo de vida y no registra métricas.
+ * @param {import('./universe.js').default} universe
+ * @param {object} [options={}]
+ * @param {number} [options.zeta=universe.zeta] - Factor de zoom ζ ≥ 1: se buscan ⌈N/ζ⌉ super-COCs
+ *        (ζ = 1 es la resolución nativa).
+ * @param {number} [options.minWeight=0] - Solo se agrupan pares con peso agregado mayor que este.
+ * @param {string} [options.idPrefix='super'] - Prefijo de los IDs de los super-COCs (`${idPrefix}-${k}`).
+ * @returns {{
+ *   universe: import('./universe.js').default,
+ *   groups: Map<string, string[]>,
+ *   membership: Map<string, string>,
+ *   initialStates: Map<string, number[]>,
+ *   zeta: number
+ * }} - El universo grueso, los miembros de cada super-COC, el super-COC de cada COC y el estado
+ *      de cada super-COC al construirlo (referencia de projectDown()).
+ */
+export function coarseGrain(universe, { zeta = universe.zeta, minWeight = 0, idPrefix = 'super' } = {}) {
+    if (!(zeta >= 1)) {
+        throw new Error(`[CoarseGraining] El zoom zeta debe ser un número ≥ 1 (recibido: ${zeta}).`);
+    }
+    const target = Math.max(1, Math.ceil(universe.cocs.size / zeta));
+    const groupIds = buildGroups(universe.cocs, target, minWeight);
+
+    const coarse = new universe.constructor({
+        zeta: 1,
+        sigma: universe.sigma,
+        noiseModel: universe.noiseModel,
+        dt: universe.dt,
+        integrator: universe.integrator,
+        rng: universe.rng,
+        trackMetrics: false,
+        telosStrength: universe.telosStrength,
+        coupling: universe.coupling,
+        phaseLag: universe.phaseLag,
+        signature: universe.signature,
+        memoryWindow: universe.memoryWindow,
+        externalField: universe.externalField,
+        noiseAnisotropy: universe.noiseAnisotropy,
+        forces: universe.forces,
+    });
+
+    const groups = new Map();
+    const membership = new Map();
+    groupIds.forEach((members, k) => {
+        const id = `${idPrefix}-${k}`;
+        groups.set(id, members);
+        for (const memberId of members) membership.set(memberId, id);
+        coarse.addCOC(superCOC(id, members.map(memberId => universe.cocs.get(memberId)), universe.sigma));
+    });
+
+    for (const [id, members] of groups.entries()) {
+        const aggregated = new Map();
+        for (const memberId of members) {
+            for (const [neighborId, weight] of universe.cocs.get(memberId).connections.entries()) {
+                const neighborGroup = membership.get(neighborId);
+                if (neighborGroup === undefined || neighborGroup === id) continue;
+                aggregated.set(neighborGroup, (aggregated.get(neighborGroup) ?? 0) + weight);
+            }
+        }
+        const superCoc = coarse.cocs.get(id);
+        for (const [neighborGroup, weight] of aggregated.entries()) superCoc.connectTo(neighborGroup, weight / members.length);
+    }
+
+    const initialStates = new Map(Array.from(coarse.cocs.entries(), ([id, coc]) => [id, [...coc.state]]));
+    return { universe: coarse, groups, membership, initialStates, zeta };
+}
+
+/**
+ * Rotación mínima (en el plano que generan a y b) que lleva el vector unitario a al b, aplicada a x:
+ *     R x = x − ((a + b) · x) / (1 + a · b) (a + b) + 2 (a · x) b
+ * Si a y b son antipodales el plano no está definido y x se lleva directamente a b.
+ * @private
+ */
+function rotate(x, a, b) {
+    const c = dot(a, b);
+    if (1 + c <= 1e-12) return [...b];
+    const sum = a.map((value, k) => value + b[k]);
+    const along = dot(sum, x) / (1 + c);
+    const ax = dot(a, x);
+    return x.map((value, k) => value - along * sum[k] + 2 * ax * b[k]);
+}
+
+/**
+ * Proyecta hacia abajo la evolución del universo grueso: cada COC del universo fino gira como su super-COC.
+ * @param {ReturnType<typeof coarseGrain>} coarseGraining
+ * @param {import('./universe.js').default} universe - Universo fino del que se construyó.
+ */
+export function projectDown({ universe: coarse, groups, initialStates }, universe) {
+    for (const [id, members] of groups.entries()) {
+        const from = initialStates.get(id);
+        const to = coarse.cocs.get(id).state;
+        for (const memberId of members) {
+            const coc = universe.cocs.get(memberId);
+            if (coc) coc.updateState(rotate(coc.state, from, to));
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a.reduce((acc, x, k) => acc + x * b[k], 0);
+}
@@ -13,20 +13,41 @@ class CoherentOntologicalCubit {
      * Crea una nueva instancia del COC.
      * @param {object} [initialState={}] - Estado inicial opcional.
      * @param {string} [initialState.id] - ID único. Se genera automáticamente si no se proporciona.
-     * @param {number[]} [initialState.cgpNet] - Vector de intención en S².
+     * @param {number[]} [initialState.cgpNet] - Vector de intención; su longitud n fija la esfera S^(n-1)
+     *        en la que vive el COC (S² por defecto, [cos θ, sin θ] para un oscilador de fase en S¹).
      * @param {number} [initialState.coherence] - Índice de coherencia fractal.
-     * @param {string} [initialState.telos] - Simetría objetivo.
+     * @param {string | object} [initialState.telos] - Simetría objetivo: nombre registrado o
+     *        especificación de atractor (ver kernel/dynamics/telos.js).
+     * @param {number | number[][]} [initialState.naturalFrequency=0] - Frecuencia natural ω (rotación
+     *        intrínseca en el plano de los dos primeros ejes) o matriz antisimétrica Ω (ver
+     *        kernel/dynamics/oscillators.js).
+     * @param {number | null} [initialState.noise=null] - Intensidad propia del MBI σ_i. Sin ella el COC
+     *        usa la `sigma` del universo.
+     * @param {number[] | null} [initialState.position=null] - Posición en R^d para el acoplo por distancia
+     *        (ver kernel/dynamics/spatial.js). Sin ella el COC solo tiene conexiones abstractas.
+     * @param {number[] | null} [initialState.velocity=null] - Velocidad propia en R^d.
      */
     constructor({
         id = randomUUID(),
         cgpNet = [0, 0, 1],
         coherence = 0.1,
-        telos = 'DEFAULT_SYMMETRY'
+        telos = 'DEFAULT_SYMMETRY',
+        naturalFrequency = 0,
+        noise = null,
+        position = null,
+        velocity = null
     } = {}) {
         this.id = id;
-        this.state = this._normalize(cgpNet); // Estado vectorial dinámico en S²
+        if (!cgpNet?.length) {
+            throw new TypeError('[COC] El vector de intención debe tener al menos una componente.');
+        }
+        this.state = this._normalize(cgpNet); // Estado vectorial dinámico en S^(n-1)
         this.fractalCoherence = coherence;
         this.telos = telos;
+        this.naturalFrequency = naturalFrequency;
+        this.noise = noise;
+        this.position = position ? [...position] : null;
+        this.velocity = velocity ? [...velocity] : null;
         
         this.signature = 0;             // Firma computacional del último tick (simplificada)
         this.memory = [];               // Memoria de firmas previas
@@ -35,14 +56,17 @@ class CoherentOntologicalCubit {
     }
 
     /**
-     * Normaliza un vector 3D para que viva en la esfera S².
+     * Normaliza un vector de cualquier dimensión para que viva en la esfera S^(n-1).
+     * El vector nulo se lleva al polo (0, ..., 0, 1).
      * @param {number[]} vec - Vector a normalizar.
      * @returns {number[]} - Vector normalizado.
      * @private
      */
     _normalize(vec) {
-        const mag = Math.sqrt(vec[0]**2 + vec[1]**2 + vec[2]**2);
-        return mag === 0 ? [0, 0, 1] : vec.map(x => x / mag);
+        let sumSquares = vec[0]**2;
+        for (let k = 1; k < vec.length; k++) sumSquares += vec[k]**2;
+        const mag = Math.sqrt(sumSquares);
+        return mag === 0 ? vec.map((_, k) => (k === vec.length - 1 ? 1 : 0)) : vec.map(x => x / mag);
     }
 
     /**
@@ -63,17 +87,68 @@ class CoherentOntologicalCubit {
     }
 
     /**
-     * Registra la firma actual en la memoria para análisis de complejidad.
+     * Registra la firma actual en la memoria para análisis de complejidad (ver metrics/complexity.js).
+     * @param {object} [options]
+     * @param {{ compute: (state: number[], coc: CoherentOntologicalCubit) => number }} [options.signature] -
+     *        Definición de firma. Por defecto, la suma de componentes (un proxy de su 'polaridad').
+     * @param {number} [options.window=10] - Longitud de la ventana de memoria.
      */
-    snapshotSignature() {
-        // Simplificación: la firma es la suma de componentes, un proxy de su 'polaridad'.
-        this.signature = this.state.reduce((acc, val) => acc + val, 0);
+    snapshotSignature({ signature, window = 10 } = {}) {
+        this.signature = signature
+            ? signature.compute(this.state, this)
+            : this.state.reduce((acc, val) => acc + val, 0);
         this.memory.push(this.signature);
-        if (this.memory.length > 10) {
+        while (this.memory.length > window) {
             this.memory.shift(); // Mantiene una ventana de memoria temporal.
         }
     }
 
+    /**
+     * Devuelve una representación completa y sin pérdidas del COC, apta para restaurarlo
+     * con `CoherentOntologicalCubit.fromSnapshot()`.
+     * @returns {object}
+     */
+    toSnapshot() {
+        return {
+            id: this.id,
+            state: [...this.state],
+            coherence: this.fractalCoherence,
+            telos: typeof this.telos?.toJSON === 'function' ? this.telos.toJSON() : this.telos,
+            naturalFrequency: this.naturalFrequency,
+            noise: this.noise,
+            position: this.position ? [...this.position] : null,
+            velocity: this.velocity ? [...this.velocity] : null,
+            signature: this.signature,
+            memory: [...this.memory],
+            operability: this.operability,
+            connections: Array.from(this.connections.entries()),
+        };
+    }
+
+    /**
+     * Reconstruye un COC a partir de `toSnapshot()`.
+     * El estado se restaura tal cual (sin renormalizar) para no alterar ni un bit de la trayectoria.
+     * @param {object} snapshot
+     * @returns {CoherentOntologicalCubit}
+     */
+    static fromSnapshot(snapshot) {
+        const coc = new CoherentOntologicalCubit({
+            id: snapshot.id,
+            coherence: snapshot.coherence,
+            telos: snapshot.telos,
+            naturalFrequency: snapshot.naturalFrequency,
+            noise: snapshot.noise ?? null,
+            position: snapshot.position ?? null,
+            velocity: snapshot.velocity ?? null,
+        });
+        coc.state = [...snapshot.state];
+        coc.signature = snapshot.signature;
+        coc.memory = [...snapshot.memory];
+        coc.operability = snapshot.operability;
+        coc.connections = new Map(snapshot.connections);
+        return coc;
+    }
+
     /**
      * Devuelve una representación serializable del estado del COC.
      * @returns {object} - Estado simplificado para logging o transmisión.
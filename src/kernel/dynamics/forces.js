@@ -0,0 +1,200 @@
+/**
+ * @file src/kernel/dynamics/forces.js
+ * @description Términos de fuerza de la EDE del Universo y su registro.
+ *              Cada término se prepara una vez por tick (donde muestrea ruido o resuelve
+ *              atractores, fijos durante todos los estadios del integrador) y devuelve un
+ *              evaluador que aporta un vector en el espacio ambiente para cada COC:
+ *
+ *                  force.prepare(universe, context) → (i, candidateStates) → VectorN | null
+ *
+ *              `context` contiene { ids, index, cocs, states, time } del tick. El Universo suma
+ *              los aportes en orden y proyecta el total sobre el tangente de cada estado.
+ *              Términos incorporados, en este orden: sync, noise, telos, naturalFrequency y
+ *              externalField. `registerForce()` añade términos nuevos sin tocar el tick.
+ */
+
+import { VectorN } from '../../utils/linear_algebra.js';
+import { resolveTelos } from './telos.js';
+import { intrinsicRotation, shiftPhase } from './oscillators.js';
+
+/**
+ * Aplica una anisotropía (diagonal o matriz) a un vector.
+ * @private
+ */
+function applyAnisotropy(vector, anisotropy) {
+    const x = vector.components;
+    if (!Array.isArray(anisotropy[0])) {
+        return new VectorN(x.map((value, k) => value * anisotropy[k]));
+    }
+    return new VectorN(anisotropy.map(row => row.reduce((acc, value, k) => acc + value * x[k], 0)));
+}
+
+/**
+ * Modelos de ruido del MBI: muestra por tick del término estocástico (antes de σ_i), con la
+ * convención de que el integrador lo multiplica por dt como al resto del campo.
+ *  - direction: dirección unitaria aleatoria (punto del cubo proyectado). Es el modelo histórico:
+ *    su intensidad efectiva depende de dt y no es gaussiano.
+ *  - wiener: incremento de Wiener ΔW / dt con ΔW ~ N(0, dt·I), es decir ξ / √dt. Tras el paso,
+ *    σ·P(x)·ΔW: difusión independiente de dt. La proyección tangente con el ruido fijo durante
+ *    todos los estadios y la retracción final sobre la esfera es consistente con la EDE de
+ *    Stratonovich dX = P(X)F dt + σ P(X)∘dW, cuya medida estacionaria sin otras fuerzas es la
+ *    uniforme en S^(n-1) (deriva de Itô −(n−1)σ²/2 · x aportada por la renormalización).
+ */
+export const NOISE_MODELS = Object.freeze({
+    direction: (dimension, rng) => VectorN.random(dimension, rng),
+    wiener: (dimension, rng, dt) => VectorN.gaussian(dimension, rng).multiplyScalar(1 / Math.sqrt(dt)),
+});
+
+/**
+ * Resuelve la opción `noiseModel` del Universo.
+ * @param {string} [noiseModel='direction']
+ * @returns {string}
+ */
+export function resolveNoiseModel(noiseModel = 'direction') {
+    if (!NOISE_MODELS[noiseModel]) {
+        throw new Error(`[Universe] Modelo de ruido desconocido: '${noiseModel}'. Disponibles: ${Object.keys(NOISE_MODELS).join(', ')}.`);
+    }
+    return noiseModel;
+}
+
+/**
+ * Sincronización: K · Σ_j w_ij x_j (con cada x_j desfasado −α si hay desfase).
+ */
+const sync = Object.freeze({
+    name: 'sync',
+    prepare(universe, { cocs, index }) {
+        const { coupling, phaseLag } = universe;
+        return (i, candidateStates) => {
+            const force = VectorN.zeros(candidateStates[i].dimension);
+            for (const [neighborId, weight] of cocs[i].connections.entries()) {
+                const j = index.get(neighborId);
+                if (j !== undefined) {
+                    const neighbor = phaseLag === 0 ? candidateStates[j].clone() : shiftPhase(candidateStates[j], phaseLag);
+                    force.add(neighbor.multiplyScalar(weight));
+                }
+            }
+            return force.multiplyScalar(coupling);
+        };
+    }
+});
+
+/**
+ * Movimiento Browniano Intrínseco: muestra del modelo de ruido · σ_i, una vez por tick.
+ * σ_i es `coc.noise` si está definido y `universe.sigma` en otro caso; la anisotropía del
+ * universo (`noiseAnisotropy`) deforma la dirección antes de escalarla.
+ * Todos los COCs consumen el RNG aunque su σ sea 0, para que la secuencia no dependa de σ.
+ */
+const noise = Object.freeze({
+    name: 'noise',
+    prepare(universe, { cocs, states }) {
+        const { sigma, noiseAnisotropy, dt } = universe;
+        const sample = NOISE_MODELS[universe.noiseModel];
+        const terms = states.map((x, i) => {
+            const direction = sample(x.dimension, universe.rng, dt);
+            const shaped = noiseAnisotropy ? applyAnisotropy(direction, noiseAnisotropy) : direction;
+            return shaped.multiplyScalar(cocs[i].noise ?? sigma);
+        });
+        return (i) => terms[i];
+    }
+});
+
+/**
+ * Telos: k · p*, atracción hacia el objetivo más cercano del COC.
+ */
+const telos = Object.freeze({
+    name: 'telos',
+    prepare(universe, { cocs }) {
+        if (universe.telosStrength === 0) return null;
+        const attractors = cocs.map(coc => resolveTelos(coc.telos));
+        return (i, candidateStates) => attractors[i]?.force(candidateStates[i], universe.telosStrength) ?? null;
+    }
+});
+
+/**
+ * Frecuencia natural: rotación intrínseca ω_i (ver oscillators.js).
+ */
+const naturalFrequency = Object.freeze({
+    name: 'naturalFrequency',
+    prepare(universe, { cocs }) {
+        return (i, candidateStates) => (cocs[i].naturalFrequency ? intrinsicRotation(candidateStates[i], cocs[i].naturalFrequency) : null);
+    }
+});
+
+/**
+ * Campo externo global h: constante o función del tiempo, evaluada al inicio del tick.
+ */
+const externalField = Object.freeze({
+    name: 'externalField',
+    prepare(universe, { cocs, time }) {
+        const field = universe.externalField;
+        if (!field) return null;
+        if (typeof field !== 'function') {
+            const constant = new VectorN(field);
+            return () => constant;
+        }
+        const values = cocs.map(coc => new VectorN(field(time, coc)));
+        return (i) => values[i];
+    }
+});
+
+/**
+ * Términos que todo Universo evalúa, en este orden.
+ */
+export const DEFAULT_FORCES = Object.freeze([sync, noise, telos, naturalFrequency, externalField]);
+
+const FORCE_REGISTRY = new Map();
+
+/**
+ * Registra (o reemplaza) un término de fuerza con nombre.
+ * @param {string} name
+ * @param {(params: object) => { name: string, prepare: Function }} factory - Construye el término a
+ *        partir de los parámetros de su especificación.
+ */
+export function registerForce(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`[Forces] La fábrica de la fuerza '${name}' debe ser una función.`);
+    }
+    FORCE_REGISTRY.set(name, factory);
+}
+
+/**
+ * Resuelve un término de fuerza adicional.
+ * @param {string | { type: string, [param: string]: any } | { name: string, prepare: Function }} force
+ *        Nombre registrado, especificación `{ type, ...params }` o término propio.
+ * @returns {{ name: string, prepare: Function, spec?: object | string }}
+ */
+export function resolveForce(force) {
+    if (force && typeof force.prepare === 'function') return force;
+
+    const spec = typeof force === 'string' ? { type: force } : force;
+    const factory = FORCE_REGISTRY.get(spec?.type);
+    if (!factory) {
+        throw new Error(`[Forces] Fuerza desconocida: '${spec?.type}'. Registradas: ${Array.from(FORCE_REGISTRY.keys()).join(', ') || 'ninguna'}.`);
+    }
+    const { type, ...params } = spec;
+    return { ...factory(params), spec: force };
+}
+
+// Fuerzas adicionales de uso común.
+
+/**
+ * Anclaje lineal hacia una dirección fija: k · d (como un telos 'point' global).
+ */
+registerForce('pin', ({ direction, strength = 1.0 }) => {
+    const target = new VectorN(direction).normalize().multiplyScalar(strength);
+    return { name: 'pin', prepare: () => () => target };
+});
+
+/**
+ * Repulsión del campo medio: −k · ⟨x⟩. Frustra la sincronización global.
+ */
+registerForce('meanFieldRepulsion', ({ strength = 1.0 }) => ({
+    name: 'meanFieldRepulsion',
+    prepare(universe, { states }) {
+        if (states.length === 0) return null;
+        const mean = VectorN.zeros(states[0].dimension);
+        for (const x of states) mean.add(x);
+        mean.multiplyScalar(-strength / states.length);
+        return () => mean;
+    }
+}));
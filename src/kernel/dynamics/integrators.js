@@ -0,0 +1,132 @@
+/**
+ * @file src/kernel/dynamics/integrators.js
+ * @description Integradores numéricos para la EDE canónica sobre la esfera S^(n-1).
+ *              Cada integrador avanza el estado completo del Universo (todos los COCs
+ *              a la vez) a partir de un campo tangente, respetando la semántica de
+ *              dos fases del tick: ningún estado se manifiesta hasta que el paso termina.
+ */
+
+import { VectorN } from '../../utils/linear_algebra.js';
+
+/**
+ * Proyección Tangente: F_tangent = F - x * dot(x, F).
+ * Elimina la componente radial de una fuerza para que el flujo permanezca en la esfera.
+ * @param {VectorN} state - Punto de la esfera (x).
+ * @param {VectorN} force - Fuerza en el espacio ambiente (F).
+ * @returns {VectorN} - Nuevo vector tangente en x.
+ */
+export function projectToTangent(state, force) {
+    return force.clone().subtract(state.clone().multiplyScalar(force.dot(state)));
+}
+
+/**
+ * Desplazamiento x + v·scale en el espacio ambiente.
+ * Los estadios intermedios no se renormalizan: el campo tangente extendido deja la esfera
+ * invariante y renormalizar a mitad de paso degradaría el orden del método.
+ * @private
+ */
+function displace(state, velocity, scale) {
+    return state.clone().add(velocity.clone().multiplyScalar(scale));
+}
+
+/**
+ * Retracción x + v·scale, renormalizada sobre la esfera.
+ * @private
+ */
+function retract(state, velocity, scale) {
+    return displace(state, velocity, scale).normalize();
+}
+
+/**
+ * Combinación lineal de los estadios de un método de Runge-Kutta.
+ * @private
+ */
+function combineStages(stages, coefficients) {
+    const combined = VectorN.zeros(stages[0].dimension);
+    stages.forEach((stage, k) => combined.add(stage.clone().multiplyScalar(coefficients[k])));
+    return combined;
+}
+
+/**
+ * Euler explícito con renormalización. Es el integrador histórico del kernel.
+ */
+const euler = Object.freeze({
+    name: 'euler',
+    step(states, field, dt) {
+        const k1 = field(states);
+        return states.map((x, i) => retract(x, k1[i], dt));
+    }
+});
+
+/**
+ * Heun (Euler mejorado / RK2 trapezoidal).
+ */
+const heun = Object.freeze({
+    name: 'heun',
+    step(states, field, dt) {
+        const k1 = field(states);
+        const k2 = field(states.map((x, i) => displace(x, k1[i], dt)));
+        return states.map((x, i) => retract(x, combineStages([k1[i], k2[i]], [0.5, 0.5]), dt));
+    }
+});
+
+/**
+ * Runge-Kutta clásico de cuarto orden. Solo el resultado final se proyecta sobre la esfera.
+ */
+const rk4 = Object.freeze({
+    name: 'rk4',
+    step(states, field, dt) {
+        const k1 = field(states);
+        const k2 = field(states.map((x, i) => displace(x, k1[i], dt / 2)));
+        const k3 = field(states.map((x, i) => displace(x, k2[i], dt / 2)));
+        const k4 = field(states.map((x, i) => displace(x, k3[i], dt)));
+        return states.map((x, i) =>
+            retract(x, combineStages([k1[i], k2[i], k3[i], k4[i]], [1 / 6, 1 / 3, 1 / 3, 1 / 6]), dt)
+        );
+    }
+});
+
+/**
+ * Integrador geodésico (mapa exponencial de S^(n-1)).
+ * x_{t+1} = cos(|v|·dt)·x + sin(|v|·dt)·v/|v|, con v tangente en x.
+ * El resultado vive exactamente en la esfera; la normalización final solo absorbe
+ * el error de redondeo.
+ */
+const geodesic = Object.freeze({
+    name: 'geodesic',
+    step(states, field, dt) {
+        const k1 = field(states);
+        return states.map((x, i) => {
+            const velocity = projectToTangent(x, k1[i]);
+            const speed = velocity.magnitude();
+            if (speed === 0) return x.clone();
+
+            const angle = speed * dt;
+            return x.clone()
+                .multiplyScalar(Math.cos(angle))
+                .add(velocity.multiplyScalar(Math.sin(angle) / speed))
+                .normalize();
+        });
+    }
+});
+
+export const INTEGRATORS = Object.freeze({ euler, heun, rk4, geodesic });
+
+/**
+ * Resuelve la opción `integrator` del Universo a un integrador concreto.
+ * @param {string | { name: string, step: Function }} integrator - Nombre registrado o integrador propio.
+ * @returns {{ name: string, step: Function }}
+ */
+export function resolveIntegrator(integrator = 'euler') {
+    if (typeof integrator === 'string') {
+        const resolved = INTEGRATORS[integrator];
+        if (!resolved) {
+            throw new Error(`[Universe] Integrador desconocido: '${integrator}'. Disponibles: ${Object.keys(INTEGRATORS).join(', ')}.`);
+        }
+        return resolved;
+    }
+    if (integrator && typeof integrator.step === 'function') {
+        return integrator;
+    }
+    throw new TypeError('[Universe] El integrador debe ser un nombre registrado o un objeto con método step().');
+}
@@ -0,0 +1,249 @@
+/**
+ * @file src/kernel/dynamics/lifecycle.js
+ * @description Ciclo de vida de los COCs: nacimiento, muerte y fusión.
+ *              Tras cada tick, y sobre los estados ya manifestados, la población de la red cambia:
+ *              - Fusión: dos COCs conectados (o cualesquiera, con mergeScope 'global') cuyos estados
+ *                se alinean por encima de mergeThreshold se funden en uno.
+ *              - Muerte: los COCs cuya coherencia local cae por debajo de deathThreshold se disuelven.
+ *              - Nacimiento (división): un COC con tensión local por encima de spawnThreshold genera
+ *                un hijo en la bisectriz entre su estado y el campo medio de su vecindario.
+ */
+
+import CoherentOntologicalCubit from '../core/coc.js';
+import { localCoherence } from '../metrics/coherence.js';
+
+/**
+ * Tensión local de un COC: desalineamiento ponderado con sus vecinos,
+ * Σ_j |w_ij| (1 − x_i · x_j) / 2 / Σ_j |w_ij|, en [0, 1]. Un COC sin vecinos no tiene tensión.
+ * @param {import('../core/coc.js').default} coc
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {number}
+ */
+export function localTension(coc, cocs) {
+    let tension = 0;
+    let totalWeight = 0;
+    for (const [neighborId, weight] of coc.connections.entries()) {
+        const neighbor = cocs.get(neighborId);
+        if (!neighbor) continue;
+        tension += Math.abs(weight) * (1 - dot(coc.state, neighbor.state)) / 2;
+        totalWeight += Math.abs(weight);
+    }
+    return totalWeight === 0 ? 0 : tension / totalWeight;
+}
+
+export class Lifecycle {
+    /**
+     * @param {object} [options={}]
+     * @param {number | null} [options.spawnThreshold=null] - Tensión local a partir de la cual un COC se divide.
+     * @param {number} [options.spawnWeight=1.0] - Peso de la conexión (en ambos sentidos) entre padre e hijo.
+     * @param {number | null} [options.deathThreshold=null] - Coherencia local por debajo de la cual un COC muere.
+     * @param {number | null} [options.mergeThreshold=null] - Alineamiento x_i · x_j a partir del cual dos COCs se funden.
+     * @param {'neighbors' | 'global'} [options.mergeScope='neighbors'] - Candidatos a fusión: pares
+     *        conectados o todos los pares (O(N²) por tick).
+     * @param {number} [options.minPopulation=1] - Las muertes y fusiones no bajan la población de aquí.
+     * @param {number} [options.maxPopulation=Infinity] - Los nacimientos no suben la población de aquí.
+     */
+    constructor({
+        spawnThreshold = null,
+        spawnWeight = 1.0,
+        deathThreshold = null,
+        mergeThreshold = null,
+        mergeScope = 'neighbors',
+        minPopulation = 1,
+        maxPopulation = Infinity
+    } = {}) {
+        if (mergeScope !== 'neighbors' && mergeScope !== 'global') {
+            throw new Error(`[Lifecycle] mergeScope inválido: '${mergeScope}'.`);
+        }
+        if (minPopulation > maxPopulation) {
+            throw new Error(`[Lifecycle] minPopulation (${minPopulation}) supera a maxPopulation (${maxPopulation}).`);
+        }
+        this.spawnThreshold = spawnThreshold;
+        this.spawnWeight = spawnWeight;
+        this.deathThreshold = deathThreshold;
+        this.mergeThreshold = mergeThreshold;
+        this.mergeScope = mergeScope;
+        this.minPopulation = minPopulation;
+        this.maxPopulation = maxPopulation;
+    }
+
+    /**
+     * Configuración serializable (una población máxima infinita se guarda como null).
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            spawnThreshold: this.spawnThreshold,
+            spawnWeight: this.spawnWeight,
+            deathThreshold: this.deathThreshold,
+            mergeThreshold: this.mergeThreshold,
+            mergeScope: this.mergeScope,
+            minPopulation: this.minPopulation,
+            maxPopulation: Number.isFinite(this.maxPopulation) ? this.maxPopulation : null,
+        };
+    }
+
+    /**
+     * Aplica un paso del ciclo de vida al universo.
+     * Como el tick, opera en dos fases: todas las decisiones se toman sobre el estado presente
+     * y después se aplican, en orden: fusiones, muertes y nacimientos.
+     * @param {import('../universe.js').default} universe
+     * @returns {{ born: number, died: number, merged: number, events: object[] }}
+     *          `events` detalla cada cambio: { type: 'merge', id, absorbed }, { type: 'death', id }
+     *          o { type: 'birth', id, parent }.
+     */
+    apply(universe) {
+        const cocs = universe.cocs;
+        const merges = this.mergeThreshold === null ? [] : this._findMerges(cocs);
+        const touched = new Set(merges.flat());
+
+        const deaths = this.deathThreshold === null ? [] : Array.from(cocs.keys()).filter(id => !touched.has(id)
+            && localCoherence(cocs.get(id), cocs).coherence < this.deathThreshold);
+
+        const parents = this.spawnThreshold === null ? [] : Array.from(cocs.keys()).filter(id => !touched.has(id)
+            && !deaths.includes(id)
+            && localTension(cocs.get(id), cocs) >= this.spawnThreshold);
+        const children = parents.map(id => ({ parent: id, state: this._childState(cocs.get(id), cocs) }));
+
+        const events = [];
+        let population = cocs.size;
+        for (const [id, absorbed] of merges) {
+            if (population <= this.minPopulation) break;
+            this._merge(universe, id, absorbed);
+            events.push({ type: 'merge', id, absorbed });
+            population--;
+        }
+        for (const id of deaths) {
+            if (population <= this.minPopulation) break;
+            universe.removeCOC(id);
+            events.push({ type: 'death', id });
+            population--;
+        }
+        for (const { parent, state } of children) {
+            if (population >= this.maxPopulation) break;
+            const id = this._spawn(universe, cocs.get(parent), state);
+            events.push({ type: 'birth', id, parent });
+            population++;
+        }
+
+        return {
+            born: events.filter(event => event.type === 'birth').length,
+            died: events.filter(event => event.type === 'death').length,
+            merged: events.filter(event => event.type === 'merge').length,
+            events,
+        };
+    }
+
+    /**
+     * Pares disjuntos [superviviente, absorbido] con alineamiento ≥ mergeThreshold, en orden de iteración.
+     * @private
+     */
+    _findMerges(cocs) {
+        const ids = Array.from(cocs.keys());
+        const paired = new Set();
+        const merges = [];
+        for (const id of ids) {
+            if (paired.has(id)) continue;
+            const coc = cocs.get(id);
+            const candidates = this.mergeScope === 'global' ? ids : Array.from(coc.connections.keys());
+            for (const otherId of candidates) {
+                if (otherId === id || paired.has(otherId)) continue;
+                const other = cocs.get(otherId);
+                if (other && dot(coc.state, other.state) >= this.mergeThreshold) {
+                    merges.push([id, otherId]);
+                    paired.add(id);
+                    paired.add(otherId);
+                    break;
+                }
+            }
+        }
+        return merges;
+    }
+
+    /**
+     * Funde `absorbedId` en `id`: el estado pasa a la media normalizada y las conexiones
+     * (salientes y entrantes) del absorbido se suman a las del superviviente.
+     * @private
+     */
+    _merge(universe, id, absorbedId) {
+        const survivor = universe.cocs.get(id);
+        const absorbed = universe.cocs.get(absorbedId);
+        survivor.updateState(survivor.state.map((x, k) => x + absorbed.state[k]));
+        if (survivor.position && absorbed.position) {
+            survivor.position = survivor.position.map((p, k) => (p + absorbed.position[k]) / 2);
+        }
+
+        for (const [neighborId, weight] of absorbed.connections.entries()) {
+            if (neighborId === id) continue;
+            survivor.connections.set(neighborId, (survivor.connections.get(neighborId) ?? 0) + weight);
+        }
+        for (const coc of universe.cocs.values()) {
+            if (coc === survivor || coc === absorbed || !coc.connections.has(absorbedId)) continue;
+            coc.connections.set(id, (coc.connections.get(id) ?? 0) + coc.connections.get(absorbedId));
+        }
+        universe.removeCOC(absorbedId);
+    }
+
+    /**
+     * Estado del hijo: bisectriz entre el padre y el campo medio de su vecindario.
+     * @private
+     */
+    _childState(parent, cocs) {
+        const field = parent.state.map(() => 0);
+        for (const [neighborId, weight] of parent.connections.entries()) {
+            const neighbor = cocs.get(neighborId);
+            if (!neighbor) continue;
+            for (let k = 0; k < field.length; k++) field[k] += weight * neighbor.state[k];
+        }
+        const length = Math.sqrt(dot(field, field));
+        return length === 0 ? [...parent.state] : parent.state.map((x, k) => x + field[k] / length);
+    }
+
+    /**
+     * Añade el hijo de `parent`, con ID `${parent.id}.k` (el menor k libre). El hijo hereda el telos,
+     * el ruido, la frecuencia natural, la posición y las conexiones salientes del padre, y ambos
+     * quedan conectados.
+     * @private
+     */
+    _spawn(universe, parent, state) {
+        let k = 1;
+        while (universe.cocs.has(`${parent.id}.${k}`)) k++;
+        const child = new CoherentOntologicalCubit({
+            id: `${parent.id}.${k}`,
+            cgpNet: state,
+            coherence: parent.fractalCoherence,
+            telos: parent.telos,
+            naturalFrequency: parent.naturalFrequency,
+            noise: parent.noise,
+            position: parent.position,
+            velocity: parent.velocity,
+        });
+        for (const [neighborId, weight] of parent.connections.entries()) {
+            if (universe.cocs.has(neighborId)) child.connectTo(neighborId, weight);
+        }
+        child.connectTo(parent.id, this.spawnWeight);
+        parent.connectTo(child.id, this.spawnWeight);
+        universe.addCOC(child);
+        return child.id;
+    }
+}
+
+/**
+ * Resuelve la opción `lifecycle` del Universo.
+ * @param {Lifecycle | object | null} [lifecycle]
+ * @returns {Lifecycle | null} - null cuando la población es fija.
+ */
+export function resolveLifecycle(lifecycle) {
+    if (!lifecycle) return null;
+    if (lifecycle instanceof Lifecycle) return lifecycle;
+    const options = { ...lifecycle };
+    if (options.maxPopulation === null) options.maxPopulation = Infinity;
+    return new Lifecycle(options);
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a.reduce((acc, x, k) => acc + x * b[k], 0);
+}
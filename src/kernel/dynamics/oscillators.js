@@ -0,0 +1,71 @@
+/**
+ * @file src/kernel/dynamics/oscillators.js
+ * @description Términos de osciladores de fase para la EDE del Universo.
+ *              Sobre S¹, con x = (cos θ, sin θ), la fuerza de sincronización proyectada es
+ *              Σ_j w_ij sin(θ_j − θ_i) en la dirección tangente: el tick del Universo ya es el
+ *              modelo de Kuramoto. Este módulo añade lo que falta para reproducirlo completo:
+ *              - Frecuencia natural ω_i: rotación intrínseca ω·J·x (J gira π/2 en el plano de los
+ *                dos primeros ejes) o, en general, Ω·x con Ω antisimétrica.
+ *              - Desfase α (Sakaguchi–Kuramoto): cada vecino se percibe girado −α en ese plano,
+ *                de modo que el acoplo pasa a ser sin(θ_j − θ_i − α).
+ */
+
+import { VectorN } from '../../utils/linear_algebra.js';
+
+/**
+ * @private
+ */
+function requirePlane(state) {
+    if (state.dimension < 2) {
+        throw new Error(`[Oscillators] Una rotación de fase requiere al menos dimensión 2 (recibida ${state.dimension}).`);
+    }
+}
+
+/**
+ * Fuerza de rotación intrínseca de un COC con frecuencia natural.
+ * @param {VectorN} state - Estado x del COC.
+ * @param {number | number[][]} frequency - ω (rad por unidad de tiempo) en el plano de los dos
+ *        primeros ejes, o matriz antisimétrica Ω (n×n) para una rotación general en S^(n-1).
+ * @returns {VectorN} - Vector tangente en x.
+ */
+export function intrinsicRotation(state, frequency) {
+    const x = state.components;
+    if (typeof frequency === 'number') {
+        requirePlane(state);
+        const force = VectorN.zeros(state.dimension);
+        force.components[0] = -frequency * x[1];
+        force.components[1] = frequency * x[0];
+        return force;
+    }
+    if (frequency.length !== state.dimension) {
+        throw new Error(`[Oscillators] La matriz de frecuencias es ${frequency.length}×${frequency.length} y el estado tiene dimensión ${state.dimension}.`);
+    }
+    return new VectorN(frequency.map(row => row.reduce((acc, value, k) => acc + value * x[k], 0)));
+}
+
+/**
+ * Estado de un vecino tal como lo percibe un COC con desfase α: girado −α en el plano de los
+ * dos primeros ejes.
+ * @param {VectorN} state
+ * @param {number} lag - α en radianes.
+ * @returns {VectorN} - Copia girada (el estado original no se modifica).
+ */
+export function shiftPhase(state, lag) {
+    requirePlane(state);
+    const shifted = state.clone();
+    const [x0, x1] = state.components;
+    const cos = Math.cos(lag);
+    const sin = Math.sin(lag);
+    shifted.components[0] = x0 * cos + x1 * sin;
+    shifted.components[1] = x1 * cos - x0 * sin;
+    return shifted;
+}
+
+/**
+ * Fase θ de un estado en el plano de los dos primeros ejes.
+ * @param {number[]} state
+ * @returns {number} - θ ∈ (−π, π].
+ */
+export function phaseOf(state) {
+    return Math.atan2(state[1], state[0]);
+}
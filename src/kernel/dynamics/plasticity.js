@@ -0,0 +1,192 @@
+/**
+ * @file src/kernel/dynamics/plasticity.js
+ * @description Plasticidad sináptica adaptativa de la red de COCs.
+ *              Los pesos w_ij (inversa de la tensión) evolucionan según el alineamiento
+ *              c_ij = x_i · x_j de los estados conectados; las conexiones débiles se podan
+ *              y pares muy alineados pueden crear conexiones nuevas, de modo que la red
+ *              se auto-organiza junto con la dinámica de estados.
+ */
+
+/**
+ * Reglas de aprendizaje: dw/dt = rule(c_ij, w_ij, params).
+ */
+export const PLASTICITY_RULES = Object.freeze({
+    /** Hebb: los COCs alineados refuerzan su conexión. */
+    hebbian: (alignment, weight, { rate }) => rate * alignment,
+
+    /** Anti-Hebb: los COCs alineados debilitan su conexión (favorece la diversidad). */
+    antiHebbian: (alignment, weight, { rate }) => -rate * alignment,
+
+    /** Hebb acotado: saturación suave hacia maxWeight / minWeight. */
+    bounded: (alignment, weight, { rate, minWeight, maxWeight }) => (alignment >= 0
+        ? rate * alignment * (maxWeight - weight)
+        : rate * alignment * (weight - minWeight)),
+
+    /** Hebb con olvido: el peso decae exponencialmente sin refuerzo. */
+    decaying: (alignment, weight, { rate, decay }) => rate * alignment - decay * weight,
+});
+
+export class Plasticity {
+    /**
+     * @param {object} [options={}]
+     * @param {string | ((alignment: number, weight: number, params: object) => number)} [options.rule='hebbian']
+     *        Regla registrada en PLASTICITY_RULES o función propia.
+     * @param {number} [options.rate=0.01] - Tasa de aprendizaje (η).
+     * @param {number} [options.decay=0.01] - Tasa de olvido (λ) de la regla 'decaying'.
+     * @param {number} [options.minWeight=0] - Cota inferior de los pesos.
+     * @param {number} [options.maxWeight=Infinity] - Cota superior de los pesos (finita para 'bounded').
+     * @param {number | null} [options.pruneThreshold=null] - Las conexiones con |w| por debajo se eliminan.
+     * @param {number | null} [options.growthThreshold=null] - Alineamiento a partir del cual se crea una conexión.
+     * @param {number} [options.growthWeight=0.1] - Peso inicial de las conexiones creadas.
+     * @param {'neighbors' | 'global'} [options.growthScope='neighbors'] - Candidatos a nueva conexión:
+     *        vecinos de vecinos (cierre triádico) o todos los pares (O(N²) por tick).
+     */
+    constructor({
+        rule = 'hebbian',
+        rate = 0.01,
+        decay = 0.01,
+        minWeight = 0,
+        maxWeight = Infinity,
+        pruneThreshold = null,
+        growthThreshold = null,
+        growthWeight = 0.1,
+        growthScope = 'neighbors'
+    } = {}) {
+        if (typeof rule === 'string') {
+            if (!PLASTICITY_RULES[rule]) {
+                throw new Error(`[Plasticity] Regla desconocida: '${rule}'. Disponibles: ${Object.keys(PLASTICITY_RULES).join(', ')}.`);
+            }
+            if (rule === 'bounded' && !Number.isFinite(maxWeight)) {
+                throw new Error("[Plasticity] La regla 'bounded' requiere un maxWeight finito.");
+            }
+        } else if (typeof rule !== 'function') {
+            throw new TypeError('[Plasticity] La regla debe ser un nombre registrado o una función.');
+        }
+        if (growthScope !== 'neighbors' && growthScope !== 'global') {
+            throw new Error(`[Plasticity] growthScope inválido: '${growthScope}'.`);
+        }
+
+        this.ruleName = typeof rule === 'string' ? rule : rule.name || 'custom';
+        this.rule = typeof rule === 'string' ? PLASTICITY_RULES[rule] : rule;
+        this.params = { rate, decay, minWeight, maxWeight };
+        this.pruneThreshold = pruneThreshold;
+        this.growthThreshold = growthThreshold;
+        this.growthWeight = growthWeight;
+        this.growthScope = growthScope;
+    }
+
+    /**
+     * Configuración serializable de la regla. Una regla propia (función) solo conserva su nombre
+     * y debe volver a inyectarse al restaurar.
+     * @returns {object}
+     */
+    toJSON() {
+        const { rate, decay, minWeight, maxWeight } = this.params;
+        return {
+            rule: this.ruleName,
+            rate,
+            decay,
+            minWeight: Number.isFinite(minWeight) ? minWeight : null,
+            maxWeight: Number.isFinite(maxWeight) ? maxWeight : null,
+            pruneThreshold: this.pruneThreshold,
+            growthThreshold: this.growthThreshold,
+            growthWeight: this.growthWeight,
+            growthScope: this.growthScope,
+        };
+    }
+
+    /**
+     * Aplica un paso de plasticidad sobre los estados ya manifestados.
+     * Como el tick, opera en dos fases: primero calcula todos los pesos nuevos y después
+     * los aplica, así el resultado no depende del orden de iteración.
+     * @param {Map<string, import('../core/coc.js').default>} cocs
+     * @param {number} dt
+     * @returns {{ updated: number, pruned: number, created: number }}
+     */
+    apply(cocs, dt) {
+        const { minWeight, maxWeight } = this.params;
+        const updates = [];
+        const prunes = [];
+
+        for (const [id, coc] of cocs.entries()) {
+            for (const [neighborId, weight] of coc.connections.entries()) {
+                const neighbor = cocs.get(neighborId);
+                if (!neighbor) continue;
+
+                const alignment = dot(coc.state, neighbor.state);
+                const next = clamp(weight + this.rule(alignment, weight, this.params) * dt, minWeight, maxWeight);
+                if (this.pruneThreshold !== null && Math.abs(next) < this.pruneThreshold) {
+                    prunes.push([id, neighborId]);
+                } else {
+                    updates.push([id, neighborId, next]);
+                }
+            }
+        }
+
+        const creations = this.growthThreshold === null ? [] : this._findNewConnections(cocs);
+
+        for (const [id, neighborId, weight] of updates) cocs.get(id).connections.set(neighborId, weight);
+        for (const [id, neighborId] of prunes) cocs.get(id).connections.delete(neighborId);
+        for (const [id, neighborId] of creations) cocs.get(id).connectTo(neighborId, this.growthWeight);
+
+        return { updated: updates.length, pruned: prunes.length, created: creations.length };
+    }
+
+    /**
+     * Pares (i → k) aún no conectados cuyo alineamiento supera growthThreshold.
+     * @private
+     */
+    _findNewConnections(cocs) {
+        const creations = [];
+        for (const [id, coc] of cocs.entries()) {
+            const candidates = new Set();
+            if (this.growthScope === 'global') {
+                for (const otherId of cocs.keys()) candidates.add(otherId);
+            } else {
+                for (const neighborId of coc.connections.keys()) {
+                    const neighbor = cocs.get(neighborId);
+                    if (!neighbor) continue;
+                    for (const secondId of neighbor.connections.keys()) candidates.add(secondId);
+                }
+            }
+
+            for (const candidateId of candidates) {
+                if (candidateId === id || coc.connections.has(candidateId)) continue;
+                const candidate = cocs.get(candidateId);
+                if (candidate && dot(coc.state, candidate.state) >= this.growthThreshold) {
+                    creations.push([id, candidateId]);
+                }
+            }
+        }
+        return creations;
+    }
+}
+
+/**
+ * Resuelve la opción `plasticity` del Universo.
+ * @param {Plasticity | object | null} [plasticity]
+ * @returns {Plasticity | null} - null cuando la red es estática.
+ */
+export function resolvePlasticity(plasticity) {
+    if (!plasticity) return null;
+    if (plasticity instanceof Plasticity) return plasticity;
+    // JSON no representa ±Infinity: una cota nula (de toJSON) equivale a no acotar.
+    const options = { ...plasticity };
+    if (options.minWeight === null) options.minWeight = -Infinity;
+    if (options.maxWeight === null) options.maxWeight = Infinity;
+    return new Plasticity(options);
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a.reduce((acc, x, k) => acc + x * b[k], 0);
+}
+
+/**
+ * @private
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,282 @@
+/**
+ * @file src/kernel/dynamics/spatial.js
+ * @description Embebido espacial de los COCs y acoplo dependiente de la distancia.
+ *              Cada COC puede tener una posición en R^d (`coc.position`). Con un embebido espacial,
+ *              los pesos entre COCs posicionados dejan de ser abstractos: w_ij = K(|p_i − p_j|) para
+ *              un núcleo de distancia (gaussiano, ley de potencias o corte), buscando vecinos con una
+ *              tabla hash espacial cuando el núcleo tiene alcance finito. Los COCs pueden moverse
+ *              (velocidad propia y autopropulsión a lo largo de su estado), y los pesos se recalculan
+ *              cuando cambian las posiciones.
+ */
+
+const gaussian = Object.freeze({
+    name: 'gaussian',
+    /** w(d) = strength · exp(−d² / 2ℓ²), truncado en radius (3ℓ por defecto). */
+    build: ({ length = 1.0, strength = 1.0, radius = 3 * length }) => ({
+        radius,
+        weight: d => strength * Math.exp(-(d ** 2) / (2 * length ** 2)),
+    }),
+});
+
+const powerLaw = Object.freeze({
+    name: 'powerLaw',
+    /** w(d) = strength · (1 + d/ℓ)^(−α), regularizado en el origen; sin truncar por defecto (O(N²)). */
+    build: ({ exponent = 2, length = 1.0, strength = 1.0, radius = Infinity }) => ({
+        radius,
+        weight: d => strength * (1 + d / length) ** -exponent,
+    }),
+});
+
+const cutoff = Object.freeze({
+    name: 'cutoff',
+    /** w(d) = strength si d ≤ radius, 0 si no (grafo geométrico aleatorio). */
+    build: ({ radius = 1.0, strength = 1.0 }) => ({
+        radius,
+        weight: () => strength,
+    }),
+});
+
+export const DISTANCE_KERNELS = Object.freeze({ gaussian, powerLaw, cutoff });
+
+/**
+ * Resuelve un núcleo de distancia.
+ * @param {string | { type: string, [param: string]: number } | { name?: string, radius?: number, weight: (d: number) => number }} kernel
+ *        Nombre registrado, especificación `{ type, ...params }` o núcleo propio.
+ * @returns {{ name: string, spec: object | string, radius: number, weight: (d: number) => number }}
+ */
+export function resolveKernel(kernel = 'gaussian') {
+    if (kernel && typeof kernel.weight === 'function') {
+        return { name: kernel.name || 'custom', spec: kernel.name || 'custom', radius: kernel.radius ?? Infinity, weight: kernel.weight };
+    }
+    const spec = typeof kernel === 'string' ? { type: kernel } : kernel;
+    const definition = DISTANCE_KERNELS[spec?.type];
+    if (!definition) {
+        throw new Error(`[Spatial] Núcleo de distancia desconocido: '${spec?.type}'. Disponibles: ${Object.keys(DISTANCE_KERNELS).join(', ')}.`);
+    }
+    const { type, ...params } = spec;
+    return { name: type, spec: { ...spec }, ...definition.build(params) };
+}
+
+/**
+ * Distancia euclídea; con `bounds` el espacio es periódico (convención de imagen mínima).
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[] | null} [bounds=null] - Lado de la caja periódica en cada eje.
+ * @returns {number}
+ */
+export function distance(a, b, bounds = null) {
+    let acc = 0;
+    for (let k = 0; k < a.length; k++) {
+        let delta = Math.abs(a[k] - b[k]);
+        if (bounds) delta = Math.min(delta, bounds[k] - delta);
+        acc += delta ** 2;
+    }
+    return Math.sqrt(acc);
+}
+
+/**
+ * Tabla hash espacial: rejilla uniforme de celdas de lado `cellSize` en R^d.
+ * Una consulta de radio r solo recorre las (2⌈r/cellSize⌉ + 1)^d celdas vecinas.
+ */
+export class SpatialHash {
+    /**
+     * @param {number} cellSize
+     * @param {number[] | null} [bounds=null] - Caja periódica (las celdas se envuelven).
+     */
+    constructor(cellSize, bounds = null) {
+        if (!(cellSize > 0) || !Number.isFinite(cellSize)) {
+            throw new Error(`[Spatial] Tamaño de celda inválido: '${cellSize}'.`);
+        }
+        this.cellSize = cellSize;
+        this.bounds = bounds;
+        this.cells = new Map();
+        this.positions = new Map();
+    }
+
+    /**
+     * @private
+     */
+    _cellOf(position) {
+        return position.map((x, k) => {
+            const cell = Math.floor(x / this.cellSize);
+            return this.bounds ? mod(cell, this._cellsPerAxis(k)) : cell;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _cellsPerAxis(k) {
+        return Math.max(1, Math.floor(this.bounds[k] / this.cellSize));
+    }
+
+    /**
+     * @param {string} id
+     * @param {number[]} position
+     */
+    insert(id, position) {
+        const key = this._cellOf(position).join(',');
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(id);
+        this.positions.set(id, position);
+    }
+
+    /**
+     * IDs a distancia ≤ radius de `position` (incluido, si está insertado, el propio punto).
+     * @param {number[]} position
+     * @param {number} radius
+     * @returns {string[]}
+     */
+    query(position, radius) {
+        const center = this._cellOf(position);
+        const reach = Math.ceil(radius / this.cellSize);
+        const found = [];
+        const visited = new Set();
+        const offsets = new Array(center.length).fill(-reach);
+        while (true) {
+            const cell = center.map((c, k) => (this.bounds ? mod(c + offsets[k], this._cellsPerAxis(k)) : c + offsets[k]));
+            const key = cell.join(',');
+            if (!visited.has(key)) {
+                visited.add(key);
+                for (const id of this.cells.get(key) ?? []) {
+                    if (distance(position, this.positions.get(id), this.bounds) <= radius) found.push(id);
+                }
+            }
+            // Siguiente combinación de desplazamientos (odómetro).
+            let k = 0;
+            while (k < offsets.length && offsets[k] === reach) offsets[k++] = -reach;
+            if (k === offsets.length) break;
+            offsets[k]++;
+        }
+        return found;
+    }
+}
+
+export class SpatialEmbedding {
+    /**
+     * @param {object} [options={}]
+     * @param {string | object} [options.kernel='gaussian'] - Núcleo de distancia (ver resolveKernel).
+     * @param {number} [options.cellSize] - Celda de la tabla hash; por defecto, el radio del núcleo.
+     *        Con un radio infinito la búsqueda es exhaustiva (O(N²)).
+     * @param {number[] | null} [options.bounds=null] - Caja periódica [L_1, ..., L_d]; sin ella el espacio es abierto.
+     * @param {number} [options.minWeight=1e-6] - Pesos por debajo no crean conexión.
+     * @param {number} [options.selfPropulsion=0] - Rapidez v0 con la que cada COC avanza en la dirección
+     *        de su estado (sus d primeras componentes), como las partículas autopropulsadas de Vicsek.
+     */
+    constructor({
+        kernel = 'gaussian',
+        cellSize,
+        bounds = null,
+        minWeight = 1e-6,
+        selfPropulsion = 0
+    } = {}) {
+        this.kernel = resolveKernel(kernel);
+        this.cellSize = cellSize ?? (Number.isFinite(this.kernel.radius) ? this.kernel.radius : null);
+        this.bounds = bounds;
+        this.minWeight = minWeight;
+        this.selfPropulsion = selfPropulsion;
+        this.stale = true; // Las posiciones cambiaron desde el último recableado
+    }
+
+    /**
+     * Configuración serializable. Un núcleo propio solo conserva su nombre y debe reinyectarse.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            kernel: this.kernel.spec,
+            cellSize: this.cellSize,
+            bounds: this.bounds,
+            minWeight: this.minWeight,
+            selfPropulsion: this.selfPropulsion,
+            stale: this.stale,
+        };
+    }
+
+    /**
+     * Recalcula los pesos entre COCs posicionados: w_ij = K(d_ij) si supera minWeight.
+     * Las conexiones hacia COCs sin posición se conservan.
+     * @param {Map<string, import('../core/coc.js').default>} cocs
+     * @returns {{ edges: number }} - Conexiones dirigidas creadas.
+     */
+    rewire(cocs) {
+        const placed = Array.from(cocs.values()).filter(coc => coc.position);
+        const { radius, weight } = this.kernel;
+
+        let candidates;
+        if (Number.isFinite(radius) && this.cellSize) {
+            const hash = new SpatialHash(this.cellSize, this.bounds);
+            for (const coc of placed) hash.insert(coc.id, coc.position);
+            candidates = coc => hash.query(coc.position, radius).map(id => cocs.get(id));
+        } else {
+            candidates = () => placed;
+        }
+
+        let edges = 0;
+        const updates = placed.map(coc => {
+            const links = [];
+            for (const other of candidates(coc)) {
+                if (other === coc) continue;
+                const d = distance(coc.position, other.position, this.bounds);
+                if (d > radius) continue;
+                const w = weight(d);
+                if (w > this.minWeight) links.push([other.id, w]);
+            }
+            return [coc, links];
+        });
+        for (const [coc, links] of updates) {
+            for (const neighborId of Array.from(coc.connections.keys())) {
+                if (cocs.get(neighborId)?.position) coc.connections.delete(neighborId);
+            }
+            for (const [neighborId, w] of links) coc.connectTo(neighborId, w);
+            edges += links.length;
+        }
+        this.stale = false;
+        return { edges };
+    }
+
+    /**
+     * Mueve los COCs posicionados: p ← p + (velocity + v0 · x_{1..d}) · dt, envuelto en la caja periódica.
+     * @param {Map<string, import('../core/coc.js').default>} cocs
+     * @param {number} dt
+     * @returns {{ moved: number }}
+     */
+    move(cocs, dt) {
+        let moved = 0;
+        for (const coc of cocs.values()) {
+            if (!coc.position || (!coc.velocity && this.selfPropulsion === 0)) continue;
+            coc.position = coc.position.map((p, k) => {
+                const v = (coc.velocity?.[k] ?? 0) + this.selfPropulsion * (coc.state[k] ?? 0);
+                const next = p + v * dt;
+                return this.bounds ? mod(next, this.bounds[k]) : next;
+            });
+            moved++;
+        }
+        if (moved > 0) this.stale = true;
+        return { moved };
+    }
+}
+
+/**
+ * Resuelve la opción `spatial` del Universo.
+ * @param {SpatialEmbedding | object | null} [spatial]
+ * @returns {SpatialEmbedding | null} - null cuando los pesos son abstractos.
+ */
+export function resolveSpatial(spatial) {
+    if (!spatial) return null;
+    if (spatial instanceof SpatialEmbedding) return spatial;
+    const { stale = true, ...options } = spatial;
+    const embedding = new SpatialEmbedding(options);
+    embedding.stale = stale;
+    return embedding;
+}
+
+/**
+ * Módulo positivo (el resultado tiene el signo del divisor). Los valores ya en [0, m) no se tocan,
+ * para no introducir error de redondeo.
+ * @private
+ */
+function mod(x, m) {
+    if (x >= 0 && x < m) return x;
+    return ((x % m) + m) % m;
+}
@@ -0,0 +1,231 @@
+/**
+ * @file src/kernel/dynamics/telos.js
+ * @description Atractores de telos. El telos de un COC se resuelve a un conjunto objetivo
+ *              sobre la esfera (un punto, un eje, un círculo máximo o los vértices de un poliedro)
+ *              que aporta una fuerza atractora al tick del Universo. Los objetivos pueden tener
+ *              cualquier dimensión, pero deben coincidir con la del estado del COC; los poliedros
+ *              registrados viven en S².
+ *              El telos 'DEFAULT_SYMMETRY' no tiene atractor: conserva la dinámica histórica.
+ */
+
+import { VectorN } from '../../utils/linear_algebra.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * @private
+ */
+function normalize(vec) {
+    const mag = Math.sqrt(vec.reduce((acc, x) => acc + x * x, 0));
+    if (mag === 0) {
+        throw new Error('[Telos] Un vector objetivo no puede ser nulo.');
+    }
+    return vec.map(x => x / mag);
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    let acc = a[0] * b[0];
+    for (let k = 1; k < a.length; k++) acc += a[k] * b[k];
+    return acc;
+}
+
+/**
+ * Vértices (en S²) de los poliedros regulares usados como grupos de simetría objetivo.
+ */
+export const POLYHEDRA = Object.freeze({
+    tetrahedron: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]].map(normalize),
+    octahedron: [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]],
+    cube: [-1, 1].flatMap(x => [-1, 1].flatMap(y => [-1, 1].map(z => normalize([x, y, z])))),
+    icosahedron: [-1, 1].flatMap(a => [-1, 1].flatMap(b => [
+        [0, a, b * PHI], [a, b * PHI, 0], [b * PHI, 0, a]
+    ])).map(normalize),
+});
+
+export class TelosAttractor {
+    /**
+     * @param {object} spec
+     * @param {'point' | 'axis' | 'greatCircle' | 'vertices'} spec.type - Tipo de conjunto objetivo.
+     * @param {number[]} [spec.direction] - Punto objetivo ('point').
+     * @param {number[]} [spec.axis] - Eje objetivo, atrae hacia ±axis ('axis').
+     * @param {number[]} [spec.normal] - Normal del plano del círculo máximo ('greatCircle').
+     * @param {number[][] | string} [spec.vertices] - Vértices o nombre de POLYHEDRA ('vertices').
+     * @param {number} [spec.strength=1.0] - Intensidad de la atracción (k).
+     * @param {string} [spec.name] - Nombre descriptivo.
+     */
+    constructor({ type, direction, axis, normal, vertices, strength = 1.0, name = type }) {
+        this.spec = { type, direction, axis, normal, vertices, strength, name };
+        this.type = type;
+        this.name = name;
+        this.strength = strength;
+
+        switch (type) {
+            case 'point':
+                this.target = normalize(direction);
+                break;
+            case 'axis':
+                this.target = normalize(axis);
+                break;
+            case 'greatCircle':
+                this.target = normalize(normal);
+                break;
+            case 'vertices': {
+                const resolved = typeof vertices === 'string' ? POLYHEDRA[vertices] : vertices;
+                if (!resolved || resolved.length === 0) {
+                    throw new Error(`[Telos] Conjunto de vértices inválido: '${vertices}'.`);
+                }
+                this.target = resolved.map(normalize);
+                break;
+            }
+            default:
+                throw new Error(`[Telos] Tipo de atractor desconocido: '${type}'.`);
+        }
+    }
+
+    /**
+     * Punto del conjunto objetivo más cercano a un estado.
+     * @param {number[]} state
+     * @returns {number[]}
+     */
+    nearestTarget(state) {
+        switch (this.type) {
+            case 'point':
+                return this.target;
+            case 'axis':
+                return dot(state, this.target) >= 0 ? this.target : this.target.map(x => -x);
+            case 'greatCircle': {
+                const along = dot(state, this.target);
+                const projected = state.map((x, k) => x - along * this.target[k]);
+                const mag = Math.sqrt(dot(projected, projected));
+                if (mag === 0) {
+                    // Un polo es equidistante de todo el círculo: cualquier punto del círculo sirve.
+                    const axis = Math.abs(this.target[0]) < 0.9 ? 0 : 1;
+                    const reference = this.target.map((_, k) => (k === axis ? 1 : 0));
+                    return this.nearestTarget(reference);
+                }
+                return projected.map(x => x / mag);
+            }
+            default: {
+                let best = this.target[0];
+                for (const vertex of this.target) {
+                    if (dot(state, vertex) > dot(state, best)) best = vertex;
+                }
+                return best;
+            }
+        }
+    }
+
+    /**
+     * Fuerza atractora (antes de la proyección tangente): k · p*, con p* el objetivo más cercano.
+     * Tras la proyección es el gradiente de k·(x · p*), que empuja a x por la geodésica hacia p*.
+     * @param {VectorN} state
+     * @param {number} [scale=1.0] - Factor global del Universo.
+     * @returns {VectorN}
+     */
+    force(state, scale = 1.0) {
+        if (state.dimension !== this.dimension) {
+            throw new Error(`[Telos] El atractor '${this.name}' vive en dimensión ${this.dimension} y el estado en ${state.dimension}.`);
+        }
+        return new VectorN(this.nearestTarget(state.toArray())).multiplyScalar(this.strength * scale);
+    }
+
+    /**
+     * Dimensión del espacio ambiente del conjunto objetivo.
+     * @returns {number}
+     */
+    get dimension() {
+        return this.type === 'vertices' ? this.target[0].length : this.target.length;
+    }
+
+    /**
+     * Especificación serializable del atractor (reconstruible con `new TelosAttractor(spec)`).
+     * @returns {object}
+     */
+    toJSON() {
+        return Object.fromEntries(Object.entries(this.spec).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Distancia geodésica (radianes) entre un estado y su telos.
+     * @param {number[]} state
+     * @returns {number}
+     */
+    distance(state) {
+        const cosine = Math.min(1, Math.max(-1, dot(state, this.nearestTarget(state))));
+        return Math.acos(cosine);
+    }
+}
+
+/**
+ * Registro de telos con nombre. Los COCs referencian un telos por su nombre.
+ * @type {Map<string, TelosAttractor | null>}
+ */
+const TELOS_REGISTRY = new Map([
+    ['DEFAULT_SYMMETRY', null],
+    ['NORTH_POLE', new TelosAttractor({ type: 'point', direction: [0, 0, 1], name: 'NORTH_POLE' })],
+    ['Z_AXIS', new TelosAttractor({ type: 'axis', axis: [0, 0, 1], name: 'Z_AXIS' })],
+    ['EQUATOR', new TelosAttractor({ type: 'greatCircle', normal: [0, 0, 1], name: 'EQUATOR' })],
+    ['TETRAHEDRAL', new TelosAttractor({ type: 'vertices', vertices: 'tetrahedron', name: 'TETRAHEDRAL' })],
+    ['OCTAHEDRAL', new TelosAttractor({ type: 'vertices', vertices: 'octahedron', name: 'OCTAHEDRAL' })],
+    ['ICOSAHEDRAL', new TelosAttractor({ type: 'vertices', vertices: 'icosahedron', name: 'ICOSAHEDRAL' })],
+]);
+
+/**
+ * Registra (o reemplaza) un telos con nombre.
+ * @param {string} name
+ * @param {object | TelosAttractor | null} spec - Especificación del atractor, o null para un telos inerte.
+ */
+export function registerTelos(name, spec) {
+    const attractor = spec === null || spec instanceof TelosAttractor ? spec : new TelosAttractor({ name, ...spec });
+    TELOS_REGISTRY.set(name, attractor);
+}
+
+const resolvedSpecs = new WeakMap();
+
+/**
+ * Resuelve el telos de un COC a su atractor.
+ * @param {string | object | TelosAttractor} telos - Nombre registrado, especificación o atractor.
+ * @returns {TelosAttractor | null} - null si el telos no tiene efecto dinámico (p. ej. un nombre no registrado).
+ */
+export function resolveTelos(telos) {
+    if (telos === undefined || telos === null) return null;
+    if (telos instanceof TelosAttractor) return telos;
+
+    if (typeof telos === 'string') {
+        // Un telos textual sin registrar es puramente descriptivo y no altera la dinámica.
+        return TELOS_REGISTRY.get(telos) ?? null;
+    }
+
+    if (!resolvedSpecs.has(telos)) {
+        resolvedSpecs.set(telos, new TelosAttractor(telos));
+    }
+    return resolvedSpecs.get(telos);
+}
+
+/**
+ * Convergencia de una población hacia sus telos.
+ * @param {Iterable<import('../core/coc.js').default>} cocs
+ * @param {number} [tolerance=0.05] - Distancia geodésica (radianes) bajo la cual un COC ha llegado.
+ * @returns {{ count: number, meanDistance: number, converged: number }}
+ *          `count` COCs con atractor, distancia media y fracción convergida.
+ */
+export function telosConvergence(cocs, tolerance = 0.05) {
+    let count = 0;
+    let totalDistance = 0;
+    let converged = 0;
+    for (const coc of cocs) {
+        const attractor = resolveTelos(coc.telos);
+        if (!attractor) continue;
+        const distance = attractor.distance(coc.state);
+        count++;
+        totalDistance += distance;
+        if (distance <= tolerance) converged++;
+    }
+    return {
+        count,
+        meanDistance: count === 0 ? 0 : totalDistance / count,
+        converged: count === 0 ? 0 : converged / count,
+    };
+}
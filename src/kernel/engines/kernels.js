@@ -0,0 +1,243 @@
+/**
+ * @file src/kernel/engines/kernels.js
+ * @description Núcleos numéricos compartidos por los motores vectorizados (secuencial y paralelo).
+ *              Cada integrador se expresa como un plan de operaciones sobre buffers con nombre;
+ *              cada operación trabaja sobre un rango de COCs [start, end), de modo que el mismo
+ *              código sirve para recorrer toda la red o solo la partición de un worker.
+ *              Las operaciones reproducen la aritmética de `Universe.tick()` en el mismo orden,
+ *              por lo que todos los motores producen trayectorias idénticas bit a bit.
+ */
+
+/** Ventana de memoria de firmas por defecto, igual a la del Universo. */
+export const MEMORY_WINDOW = 10;
+
+/** Buffers de trabajo de 3 componentes por COC que necesita cualquier plan. */
+export const WORK_BUFFERS = ['noise', 'k1', 'k2', 'k3', 'k4', 's', 'next'];
+
+/**
+ * Plan de operaciones de un paso de integración, terminando en la manifestación del estado.
+ * Tipos de operación:
+ *  - field:    output = P_input(Σ w_ij input_j + MBI + telos)   (lee input de TODA la red)
+ *  - displace: output = input + velocity · scale
+ *  - combine:  output = Σ_k coefficients[k] · stages[k]
+ *  - retract:  output = normalize(input + velocity · scale)
+ *  - geodesic: output = exp_input(velocity · scale)
+ *  - manifest: x = normalize(input) y registro de la firma
+ * @param {string} integrator - 'euler', 'heun', 'rk4' o 'geodesic'.
+ * @param {number} dt
+ * @returns {object[]}
+ */
+export function integratorPlan(integrator, dt) {
+    const field = (input, output) => ({ op: 'field', input, output });
+    const displace = (velocity, scale) => ({ op: 'displace', input: 'x', velocity, scale, output: 's' });
+    const manifest = { op: 'manifest', input: 'next' };
+
+    switch (integrator) {
+        case 'euler':
+            return [
+                field('x', 'k1'),
+                { op: 'retract', input: 'x', velocity: 'k1', scale: dt, output: 'next' },
+                manifest,
+            ];
+        case 'heun':
+            return [
+                field('x', 'k1'),
+                displace('k1', dt),
+                field('s', 'k2'),
+                { op: 'combine', stages: ['k1', 'k2'], coefficients: [0.5, 0.5], output: 's' },
+                { op: 'retract', input: 'x', velocity: 's', scale: dt, output: 'next' },
+                manifest,
+            ];
+        case 'rk4':
+            return [
+                field('x', 'k1'),
+                displace('k1', dt / 2),
+                field('s', 'k2'),
+                displace('k2', dt / 2),
+                field('s', 'k3'),
+                displace('k3', dt),
+                field('s', 'k4'),
+                { op: 'combine', stages: ['k1', 'k2', 'k3', 'k4'], coefficients: [1 / 6, 1 / 3, 1 / 3, 1 / 6], output: 's' },
+                { op: 'retract', input: 'x', velocity: 's', scale: dt, output: 'next' },
+                manifest,
+            ];
+        case 'geodesic':
+            return [
+                field('x', 'k1'),
+                { op: 'geodesic', input: 'x', velocity: 'k1', scale: dt, output: 'next' },
+                manifest,
+            ];
+        default:
+            throw new Error(`[TypedEngine] Integrador no soportado: '${integrator}'. Disponibles: euler, heun, rk4, geodesic.`);
+    }
+}
+
+/**
+ * Muestrea el MBI del tick consumiendo el RNG en el mismo orden que VectorN.random(3).
+ * Siempre se ejecuta en un único hilo para preservar la secuencia aleatoria.
+ * @param {{ next: () => number }} rng
+ * @param {Float64Array} noise
+ * @param {number} sigma
+ */
+export function sampleNoise(rng, noise, sigma) {
+    for (let o = 0; o < noise.length; o += 3) {
+        let nx = rng.next() * 2 - 1;
+        let ny = rng.next() * 2 - 1;
+        let nz = rng.next() * 2 - 1;
+        const mag = Math.sqrt(nx ** 2 + ny ** 2 + nz ** 2);
+        if (mag > 0) {
+            const inv = 1 / mag;
+            nx *= inv; ny *= inv; nz *= inv;
+        }
+        noise[o] = nx * sigma;
+        noise[o + 1] = ny * sigma;
+        noise[o + 2] = nz * sigma;
+    }
+}
+
+/**
+ * Normaliza (nx, ny, nz) como VectorN.normalize() y lo escribe en out[o..o+2].
+ * @private
+ */
+function writeNormalized(out, o, nx, ny, nz) {
+    const mag = Math.sqrt(nx ** 2 + ny ** 2 + nz ** 2);
+    if (mag > 0) {
+        const inv = 1 / mag;
+        nx *= inv; ny *= inv; nz *= inv;
+    }
+    out[o] = nx; out[o + 1] = ny; out[o + 2] = nz;
+}
+
+/**
+ * Ejecuta una operación del plan sobre los COCs [start, end).
+ * @param {object} op - Operación de integratorPlan().
+ * @param {Object<string, Float64Array>} buffers - Buffers con nombre (x, noise, k1..k4, s, next, signatures).
+ * @param {object} context
+ * @param {Int32Array} context.rowPtr
+ * @param {Int32Array} context.colIdx
+ * @param {Float64Array} context.weights
+ * @param {(import('../dynamics/telos.js').TelosAttractor | null)[]} context.attractors
+ * @param {number} context.telosStrength
+ * @param {number} context.window - Longitud de la ventana de firmas.
+ * @param {number} context.slot - Posición de la ventana de firmas para este tick.
+ * @param {number} start
+ * @param {number} end
+ */
+export function runOp(op, buffers, context, start, end) {
+    const from = start * 3;
+    const to = end * 3;
+
+    switch (op.op) {
+        case 'field': {
+            const x = buffers[op.input];
+            const out = buffers[op.output];
+            const noise = buffers.noise;
+            const { rowPtr, colIdx, weights, attractors, telosStrength } = context;
+            for (let i = start; i < end; i++) {
+                const o = i * 3;
+                let fx = 0, fy = 0, fz = 0;
+                for (let e = rowPtr[i]; e < rowPtr[i + 1]; e++) {
+                    const j = colIdx[e] * 3;
+                    const w = weights[e];
+                    fx += x[j] * w;
+                    fy += x[j + 1] * w;
+                    fz += x[j + 2] * w;
+                }
+
+                fx += noise[o];
+                fy += noise[o + 1];
+                fz += noise[o + 2];
+
+                const attractor = attractors[i];
+                if (attractor) {
+                    const target = attractor.nearestTarget([x[o], x[o + 1], x[o + 2]]);
+                    const scale = attractor.strength * telosStrength;
+                    fx += target[0] * scale;
+                    fy += target[1] * scale;
+                    fz += target[2] * scale;
+                }
+
+                const radial = fx * x[o] + fy * x[o + 1] + fz * x[o + 2];
+                out[o] = fx - x[o] * radial;
+                out[o + 1] = fy - x[o + 1] * radial;
+                out[o + 2] = fz - x[o + 2] * radial;
+            }
+            break;
+        }
+
+        case 'displace': {
+            const x = buffers[op.input];
+            const v = buffers[op.velocity];
+            const out = buffers[op.output];
+            for (let k = from; k < to; k++) out[k] = x[k] + v[k] * op.scale;
+            break;
+        }
+
+        case 'combine': {
+            const out = buffers[op.output];
+            const stages = op.stages.map(name => buffers[name]);
+            for (let k = from; k < to; k++) {
+                let acc = 0;
+                for (let s = 0; s < stages.length; s++) acc += stages[s][k] * op.coefficients[s];
+                out[k] = acc;
+            }
+            break;
+        }
+
+        case 'retract': {
+            const x = buffers[op.input];
+            const v = buffers[op.velocity];
+            const out = buffers[op.output];
+            for (let o = from; o < to; o += 3) {
+                writeNormalized(out, o, x[o] + v[o] * op.scale, x[o + 1] + v[o + 1] * op.scale, x[o + 2] + v[o + 2] * op.scale);
+            }
+            break;
+        }
+
+        case 'geodesic': {
+            const x = buffers[op.input];
+            const k1 = buffers[op.velocity];
+            const out = buffers[op.output];
+            for (let o = from; o < to; o += 3) {
+                // Reproyección de k1 sobre el tangente de x, como projectToTangent().
+                const radial = k1[o] * x[o] + k1[o + 1] * x[o + 1] + k1[o + 2] * x[o + 2];
+                const vx = k1[o] - x[o] * radial;
+                const vy = k1[o + 1] - x[o + 1] * radial;
+                const vz = k1[o + 2] - x[o + 2] * radial;
+                const speed = Math.sqrt(vx ** 2 + vy ** 2 + vz ** 2);
+                if (speed === 0) {
+                    out[o] = x[o]; out[o + 1] = x[o + 1]; out[o + 2] = x[o + 2];
+                    continue;
+                }
+                const angle = speed * op.scale;
+                const cos = Math.cos(angle);
+                const sinOverSpeed = Math.sin(angle) / speed;
+                writeNormalized(out, o, x[o] * cos + vx * sinOverSpeed, x[o + 1] * cos + vy * sinOverSpeed, x[o + 2] * cos + vz * sinOverSpeed);
+            }
+            break;
+        }
+
+        case 'manifest': {
+            // Renormalización de CoherentOntologicalCubit.updateState() y firma de snapshotSignature().
+            const next = buffers[op.input];
+            const x = buffers.x;
+            const signatures = buffers.signatures;
+            for (let i = start; i < end; i++) {
+                const o = i * 3;
+                const mag = Math.sqrt(next[o] ** 2 + next[o + 1] ** 2 + next[o + 2] ** 2);
+                if (mag === 0) {
+                    x[o] = 0; x[o + 1] = 0; x[o + 2] = 1;
+                } else {
+                    x[o] = next[o] / mag;
+                    x[o + 1] = next[o + 1] / mag;
+                    x[o + 2] = next[o + 2] / mag;
+                }
+                signatures[i * context.window + context.slot] = 0 + x[o] + x[o + 1] + x[o + 2];
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`[TypedEngine] Operación desconocida: '${op.op}'.`);
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * @file src/kernel/engines/parallel_engine.js
+ * @description Motor paralelo del Universo sobre worker_threads.
+ *              Los buffers del motor vectorizado se reservan sobre SharedArrayBuffer y cada worker
+ *              recorre una partición contigua de COCs. El plan del integrador se divide en fases
+ *              separadas por barreras: cada operación 'field' lee el estado de TODA la red, así
+ *              que ocupa una fase propia; las operaciones elemento a elemento entre dos 'field'
+ *              solo tocan la partición de cada worker y comparten fase.
+ *              El MBI se muestrea en el hilo principal con el RNG del Universo, de modo que la
+ *              secuencia aleatoria —y por tanto la trayectoria— es idéntica a `Universe.tick()`.
+ */
+
+import os from 'node:os';
+import { Worker } from 'node:worker_threads';
+import { TypedUniverseEngine } from './typed_engine.js';
+import { sampleNoise } from './kernels.js';
+
+const WORKER_URL = new URL('./parallel_worker.js', import.meta.url);
+
+/**
+ * Divide un plan en fases: cada 'field' va sola y el resto se agrupa entre barreras.
+ * @param {object[]} plan
+ * @returns {object[][]}
+ */
+export function planPhases(plan) {
+    const phases = [];
+    let current = [];
+    for (const op of plan) {
+        if (op.op === 'field') {
+            if (current.length > 0) phases.push(current);
+            phases.push([op]);
+            current = [];
+        } else {
+            current.push(op);
+        }
+    }
+    if (current.length > 0) phases.push(current);
+    return phases;
+}
+
+/**
+ * Particiones contiguas [start, end) de tamaño equilibrado.
+ * @private
+ */
+function partition(size, parts) {
+    const ranges = [];
+    for (let p = 0; p < parts; p++) {
+        ranges.push([Math.floor(size * p / parts), Math.floor(size * (p + 1) / parts)]);
+    }
+    return ranges;
+}
+
+/**
+ * @private
+ */
+function brokenError(failure) {
+    return new Error(`[ParallelEngine] El motor está averiado: ${failure.message}`, { cause: failure });
+}
+
+export class ParallelUniverseEngine extends TypedUniverseEngine {
+    /**
+     * @param {object} params - Los mismos parámetros que TypedUniverseEngine.
+     * @param {number} [params.workers] - Número de workers (por defecto, los núcleos disponibles).
+     */
+    constructor({ workers, ...params }) {
+        super({ ...params, shared: true });
+        this.phases = planPhases(this.plan);
+
+        if (workers !== undefined && !(Number.isInteger(workers) && workers > 0)) {
+            throw new Error(`[ParallelEngine] Número de workers inválido: '${workers}'.`);
+        }
+        const available = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+        const count = Math.max(1, Math.min(workers ?? available, this.size));
+
+        // Los atractores se envían como especificaciones únicas más un índice por COC.
+        const specs = [];
+        const specIndex = new Map();
+        const attractorIndex = new Int32Array(this.size).fill(-1);
+        this.attractors.forEach((attractor, i) => {
+            if (!attractor) return;
+            if (!specIndex.has(attractor)) {
+                specIndex.set(attractor, specs.length);
+                specs.push(attractor.toJSON());
+            }
+            attractorIndex[i] = specIndex.get(attractor);
+        });
+
+        this.workers = partition(this.size, count).map(([start, end]) => {
+            const worker = new Worker(WORKER_URL, {
+                workerData: {
+                    start,
+                    end,
+                    phases: this.phases,
+                    buffers: this.buffers,
+                    rowPtr: this.rowPtr,
+                    colIdx: this.colIdx,
+                    weights: this.weights,
+                    attractorSpecs: specs,
+                    attractorIndex,
+                    telosStrength: this.telosStrength,
+                    memoryWindow: this.memoryWindow,
+                },
+            });
+            return { worker, pending: null };
+        });
+
+        // Un worker caído deja el motor averiado: sin él, ninguna fase puede completarse.
+        this.failure = null;
+        for (const slot of this.workers) {
+            slot.worker.on('message', () => this._settle(slot, null));
+            slot.worker.on('error', error => this._fail(error));
+            slot.worker.on('exit', code => this._fail(new Error(`[ParallelEngine] Un worker terminó inesperadamente (código ${code}).`)));
+        }
+    }
+
+    /**
+     * Construye el motor a partir de un Universo existente, compartiendo su RNG.
+     * @param {import('../universe.js').default} universe
+     * @param {{ workers?: number }} [options]
+     * @returns {ParallelUniverseEngine}
+     */
+    static fromUniverse(universe, { workers } = {}) {
+        return new ParallelUniverseEngine({ ...TypedUniverseEngine._paramsFromUniverse(universe), workers });
+    }
+
+    /**
+     * Resuelve (o rechaza) la fase pendiente de un worker.
+     * @private
+     */
+    _settle(slot, error) {
+        const pending = slot.pending;
+        slot.pending = null;
+        if (!pending) return;
+        if (error) pending.reject(error);
+        else pending.resolve();
+    }
+
+    /**
+     * Marca el motor como averiado y rechaza las fases pendientes de todos los workers.
+     * Las salidas provocadas por terminate() no son averías.
+     * @private
+     */
+    _fail(error) {
+        if (!this.workers) return;
+        this.failure ??= error;
+        for (const slot of this.workers) this._settle(slot, this.failure);
+    }
+
+    /**
+     * Ejecuta una fase en todos los workers y espera a que terminen (barrera).
+     * @private
+     */
+    _runPhase(phase, slot) {
+        if (this.failure) {
+            return Promise.reject(brokenError(this.failure));
+        }
+        return Promise.all(this.workers.map(entry => new Promise((resolve, reject) => {
+            entry.pending = { resolve, reject };
+            entry.worker.postMessage({ phase, slot });
+        })));
+    }
+
+    /**
+     * Un paso del Operador de Coherencia Ontológica (Ω), repartido entre los workers.
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        if (!this.workers) {
+            throw new Error('[ParallelEngine] El motor ya fue terminado.');
+        }
+        if (this.failure) {
+            throw brokenError(this.failure);
+        }
+        sampleNoise(this.rng, this.buffers.noise, this.sigma);
+        const { slot } = this._context();
+        for (let p = 0; p < this.phases.length; p++) {
+            await this._runPhase(p, slot);
+        }
+        this._completeTick();
+    }
+
+    /**
+     * Ejecuta varios ticks seguidos.
+     * @param {number} ticks
+     * @returns {Promise<void>}
+     */
+    async run(ticks) {
+        for (let t = 0; t < ticks; t++) await this.tick();
+    }
+
+    /**
+     * Detiene los workers. El estado en los buffers sigue disponible para syncTo().
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+        if (!this.workers) return;
+        const workers = this.workers;
+        this.workers = null;
+        await Promise.all(workers.map(({ worker }) => worker.terminate()));
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * @file src/kernel/engines/parallel_worker.js
+ * @description Worker del motor paralelo. Ejecuta las fases del plan del integrador sobre su
+ *              partición de COCs [start, end), leyendo y escribiendo los buffers compartidos.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { TelosAttractor } from '../dynamics/telos.js';
+import { runOp } from './kernels.js';
+
+const { start, end, phases, buffers, rowPtr, colIdx, weights, attractorSpecs, attractorIndex, telosStrength, memoryWindow } = workerData;
+
+const specs = attractorSpecs.map(spec => new TelosAttractor(spec));
+const attractors = Array.from(attractorIndex, index => (index === -1 ? null : specs[index]));
+
+parentPort.on('message', ({ phase, slot }) => {
+    const context = { rowPtr, colIdx, weights, attractors, telosStrength, window: memoryWindow, slot };
+    for (const op of phases[phase]) {
+        runOp(op, buffers, context, start, end);
+    }
+    parentPort.postMessage(phase);
+});
@@ -0,0 +1,283 @@
+/**
+ * @file src/kernel/engines/typed_engine.js
+ * @description Motor vectorizado del Universo para redes grandes de COCs.
+ *              El estado vive en un Float64Array plano (x0, y0, z0, x1, ...) y la red en formato
+ *              CSR (rowPtr / colIdx / weights), de modo que un tick no reserva objetos por COC ni
+ *              por vecino. Reproduce la EDE de `Universe.tick()` operación por operación —mismo
+ *              orden de sumas y de consumo del RNG— así que ambos motores producen trayectorias
+ *              idénticas bit a bit.
+ */
+
+import { resolveTelos } from '../dynamics/telos.js';
+import { resolveRandom } from '../../utils/random.js';
+import { MEMORY_WINDOW, WORK_BUFFERS, integratorPlan, runOp, sampleNoise } from './kernels.js';
+
+/**
+ * Reserva un arreglo tipado, opcionalmente sobre memoria compartida entre hilos.
+ * @private
+ */
+function allocate(ArrayType, length, shared) {
+    return shared
+        ? new ArrayType(new SharedArrayBuffer(length * ArrayType.BYTES_PER_ELEMENT))
+        : new ArrayType(length);
+}
+
+/**
+ * Copia un arreglo tipado a memoria compartida si hace falta.
+ * @private
+ */
+function share(source, shared) {
+    if (!shared || source.buffer instanceof SharedArrayBuffer) return source;
+    const copy = allocate(source.constructor, source.length, true);
+    copy.set(source);
+    return copy;
+}
+
+export class TypedUniverseEngine {
+    /**
+     * @param {object} params
+     * @param {string[]} params.ids - IDs de los COCs; su posición es el índice en los buffers.
+     * @param {Float64Array} params.states - Estados (3 por COC).
+     * @param {Int32Array} params.rowPtr - CSR: las conexiones de i están en [rowPtr[i], rowPtr[i + 1]).
+     * @param {Int32Array} params.colIdx - CSR: índice del vecino de cada conexión.
+     * @param {Float64Array} params.weights - CSR: peso de cada conexión.
+     * @param {(import('../dynamics/telos.js').TelosAttractor | null)[]} [params.attractors] - Atractor de cada COC.
+     * @param {number} [params.sigma=0.01]
+     * @param {number} [params.dt=0.1]
+     * @param {string} [params.integrator='euler']
+     * @param {number} [params.telosStrength=1.0]
+     * @param {number | string | { next: () => number }} [params.rng]
+     * @param {number} [params.tickCount=0]
+     * @param {number} [params.memoryWindow=10] - Longitud de la memoria de firmas de cada COC.
+     * @param {boolean} [params.shared=false] - Reserva todos los buffers sobre SharedArrayBuffer.
+     */
+    constructor({
+        ids,
+        states,
+        rowPtr,
+        colIdx,
+        weights,
+        attractors = [],
+        sigma = 0.01,
+        dt = 0.1,
+        integrator = 'euler',
+        telosStrength = 1.0,
+        rng,
+        tickCount = 0,
+        memoryWindow = MEMORY_WINDOW,
+        shared = false
+    }) {
+        this.plan = integratorPlan(integrator, dt);
+        this.ids = ids;
+        this.size = ids.length;
+        this.attractors = attractors;
+        this.sigma = sigma;
+        this.dt = dt;
+        this.integrator = integrator;
+        this.telosStrength = telosStrength;
+        this.rng = resolveRandom(rng);
+        this.tickCount = tickCount;
+        this.memoryWindow = memoryWindow;
+        this.shared = shared;
+
+        this.rowPtr = share(rowPtr, shared);
+        this.colIdx = share(colIdx, shared);
+        this.weights = share(weights, shared);
+
+        const n3 = this.size * 3;
+        this.buffers = { x: share(states, shared) };
+        for (const name of WORK_BUFFERS) {
+            this.buffers[name] = allocate(Float64Array, n3, shared);
+        }
+        // Ventana circular de firmas producidas desde la última sincronización con el Universo.
+        this.buffers.signatures = allocate(Float64Array, this.size * memoryWindow, shared);
+        this._pendingSignatures = 0;
+    }
+
+    /**
+     * Estados actuales (3 por COC).
+     * @returns {Float64Array}
+     */
+    get states() {
+        return this.buffers.x;
+    }
+
+    /**
+     * Parámetros de construcción derivados de un Universo existente.
+     * @protected
+     */
+    static _paramsFromUniverse(universe) {
+        if (universe.plasticity) {
+            throw new Error('[TypedEngine] La plasticidad de pesos no está soportada por el motor vectorizado.');
+        }
+        if (universe.lifecycle) {
+            throw new Error('[TypedEngine] El ciclo de vida de los COCs no está soportado por el motor vectorizado.');
+        }
+        if (universe.spatial) {
+            throw new Error('[TypedEngine] El acoplo espacial no está soportado por el motor vectorizado.');
+        }
+        if (universe.dimension !== null && universe.dimension !== 3) {
+            throw new Error(`[TypedEngine] El motor vectorizado solo soporta estados en S² (dimensión ${universe.dimension}).`);
+        }
+        if (universe.coupling !== 1 || universe.phaseLag !== 0
+            || Array.from(universe.cocs.values()).some(coc => coc.naturalFrequency)) {
+            throw new Error('[TypedEngine] Los términos de osciladores (acoplo K, desfase o frecuencias naturales) no están soportados por el motor vectorizado.');
+        }
+        if (universe.externalField || universe.noiseAnisotropy || universe.forces.length > 0
+            || Array.from(universe.cocs.values()).some(coc => coc.noise !== null)) {
+            throw new Error('[TypedEngine] Los forzamientos heterogéneos (ruido por COC o anisótropo, campo externo o fuerzas adicionales) no están soportados por el motor vectorizado.');
+        }
+        if (universe.noiseModel !== 'direction') {
+            throw new Error(`[TypedEngine] Modelo de ruido no soportado por el motor vectorizado: '${universe.noiseModel}'.`);
+        }
+        if (universe.signature.name !== 'sum') {
+            throw new Error(`[TypedEngine] Firma no soportada por el motor vectorizado: '${universe.signature.name}'.`);
+        }
+
+        const ids = Array.from(universe.cocs.keys());
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const states = new Float64Array(ids.length * 3);
+        const rowPtr = new Int32Array(ids.length + 1);
+        const columns = [];
+        const weightList = [];
+
+        ids.forEach((id, i) => {
+            const coc = universe.cocs.get(id);
+            states.set(coc.state, i * 3);
+            // Mismo orden que el Map de conexiones; las conexiones colgantes se descartan.
+            for (const [neighborId, weight] of coc.connections.entries()) {
+                const j = index.get(neighborId);
+                if (j !== undefined) {
+                    columns.push(j);
+                    weightList.push(weight);
+                }
+            }
+            rowPtr[i + 1] = columns.length;
+        });
+
+        return {
+            ids,
+            states,
+            rowPtr,
+            colIdx: Int32Array.from(columns),
+            weights: Float64Array.from(weightList),
+            attractors: universe.telosStrength === 0 ? [] : ids.map(id => resolveTelos(universe.cocs.get(id).telos)),
+            sigma: universe.sigma,
+            dt: universe.dt,
+            integrator: universe.integrator.name,
+            telosStrength: universe.telosStrength,
+            rng: universe.rng,
+            tickCount: universe.tickCount,
+            memoryWindow: universe.memoryWindow,
+        };
+    }
+
+    /**
+     * Construye el motor a partir de un Universo existente. Comparte su RNG, de modo que
+     * alternar entre motores continúa la misma secuencia aleatoria.
+     * @param {import('../universe.js').default} universe
+     * @returns {TypedUniverseEngine}
+     */
+    static fromUniverse(universe) {
+        return new TypedUniverseEngine(TypedUniverseEngine._paramsFromUniverse(universe));
+    }
+
+    /**
+     * Contexto de solo lectura que necesitan las operaciones del plan.
+     * @protected
+     */
+    _context() {
+        return {
+            rowPtr: this.rowPtr,
+            colIdx: this.colIdx,
+            weights: this.weights,
+            attractors: this.attractors,
+            telosStrength: this.telosStrength,
+            window: this.memoryWindow,
+            slot: this.tickCount % this.memoryWindow,
+        };
+    }
+
+    /**
+     * Cierra el tick: avanza el contador y la ventana de firmas pendientes.
+     * @protected
+     */
+    _completeTick() {
+        this._pendingSignatures = Math.min(this._pendingSignatures + 1, this.memoryWindow);
+        this.tickCount++;
+    }
+
+    /**
+     * Un paso del Operador de Coherencia Ontológica (Ω) sobre los buffers.
+     * Misma semántica de dos fases que `Universe.tick()`: el estado nuevo se calcula entero
+     * en buffers de trabajo y solo la operación final 'manifest' lo aplica.
+     */
+    tick() {
+        sampleNoise(this.rng, this.buffers.noise, this.sigma);
+        const context = this._context();
+        for (const op of this.plan) {
+            runOp(op, this.buffers, context, 0, this.size);
+        }
+        this._completeTick();
+    }
+
+    /**
+     * Ejecuta varios ticks seguidos.
+     * @param {number} ticks
+     */
+    run(ticks) {
+        for (let t = 0; t < ticks; t++) this.tick();
+    }
+
+    /**
+     * Estado actual de un COC.
+     * @param {string} id
+     * @returns {number[] | undefined}
+     */
+    getStateOf(id) {
+        const i = this.ids.indexOf(id);
+        return i === -1 ? undefined : Array.from(this.states.subarray(i * 3, i * 3 + 3));
+    }
+
+    /**
+     * Parámetro de orden global R = |⟨x_i⟩|, calculado directamente sobre el buffer.
+     * @returns {number}
+     */
+    orderParameter() {
+        if (this.size === 0) return 0;
+        const states = this.states;
+        let sx = 0, sy = 0, sz = 0;
+        for (let o = 0; o < states.length; o += 3) {
+            sx += states[o];
+            sy += states[o + 1];
+            sz += states[o + 2];
+        }
+        return Math.sqrt(sx * sx + sy * sy + sz * sz) / this.size;
+    }
+
+    /**
+     * Manifiesta el estado del motor en los COCs del Universo de origen: estados, firmas,
+     * memoria y contador de ticks. Las métricas por tick no se calculan en el motor; el
+     * Universo puede recalcularlas con `getMetrics()` tras sincronizar.
+     * @param {import('../universe.js').default} universe
+     */
+    syncTo(universe) {
+        const pending = this._pendingSignatures;
+        const signatures = this.buffers.signatures;
+        this.ids.forEach((id, i) => {
+            const coc = universe.cocs.get(id);
+            if (!coc) return;
+            coc.state = Array.from(this.states.subarray(i * 3, i * 3 + 3));
+            if (pending === 0) return;
+
+            const produced = [];
+            for (let t = this.tickCount - pending; t < this.tickCount; t++) {
+                produced.push(signatures[i * this.memoryWindow + (t % this.memoryWindow)]);
+            }
+            coc.signature = produced[produced.length - 1];
+            coc.memory = [...coc.memory, ...produced].slice(-this.memoryWindow);
+        });
+        universe.tickCount = this.tickCount;
+        this._pendingSignatures = 0;
+    }
+}
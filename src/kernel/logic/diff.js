@@ -0,0 +1,155 @@
+/**
+ * @file src/kernel/logic/diff.js
+ * @description Diferencia estructural entre dos valores del IIS, base del juicio del EIF.
+ *              Recorre objetos y arrays en paralelo y compara sus hojas, identificando cada una por
+ *              su ruta (estilo JSON Pointer: '/a/0/b'; '' es la raíz). Las claves con valor
+ *              undefined cuentan como ausentes, como en JSON. Las fechas se comparan por su instante,
+ *              los Map clave a clave y los Set como la lista de sus elementos. Un ciclo no puede
+ *              compararse: se informa como cambio en la ruta donde se cierra.
+ */
+
+export const CHANGE_TYPES = Object.freeze({
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed',
+    TYPE_CHANGED: 'typeChanged',
+    CYCLE: 'cycle',
+});
+
+/**
+ * Diferencia campo a campo entre `before` y `after`.
+ * @param {any} before
+ * @param {any} after
+ * @returns {{ changes: { path: string, type: string, before?: any, after?: any }[], compared: number }}
+ *          `compared` es el número de posiciones hoja comparadas (iguales o no): la escala de la divergencia.
+ */
+export function structuralDiff(before, after) {
+    const changes = [];
+    const counter = { compared: 0 };
+    walk(before, after, '', changes, counter, { before: new WeakSet(), after: new WeakSet() });
+    return { changes, compared: counter.compared };
+}
+
+/**
+ * Divergencia en [0, 1]: severidad media de los cambios sobre las posiciones comparadas.
+ * Añadir, quitar o cambiar el tipo de un campo, o un ciclo, pesa 1; un número pesa su cambio relativo
+ * |a − b| / max(|a|, |b|) y cualquier otra hoja distinta (texto, booleano), 1.
+ * @param {{ changes: object[], compared: number }} diff
+ * @returns {number}
+ */
+export function divergence({ changes, compared }) {
+    if (compared === 0) return 0;
+    const total = changes.reduce((acc, change) => acc + severity(change), 0);
+    return Math.min(1, total / compared);
+}
+
+/**
+ * Tipo estructural de un valor: distingue null y arrays de los objetos.
+ * @param {any} value
+ * @returns {string}
+ */
+export function kindOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Recorre `before` y `after` en paralelo. `ancestors` guarda, para cada lado, los contenedores
+ * de la ruta actual: volver a uno de ellos es un ciclo.
+ * @private
+ */
+function walk(before, after, path, changes, counter, ancestors) {
+    const kind = diffKind(before);
+    if (kind !== diffKind(after)) {
+        counter.compared++;
+        changes.push({ path, type: CHANGE_TYPES.TYPE_CHANGED, before, after });
+        return;
+    }
+
+    if (kind === 'date') {
+        counter.compared++;
+        if (!Object.is(before.getTime(), after.getTime())) {
+            changes.push({ path, type: CHANGE_TYPES.CHANGED, before, after });
+        }
+        return;
+    }
+
+    if (kind === 'array' || kind === 'object' || kind === 'map' || kind === 'set') {
+        if (ancestors.before.has(before) || ancestors.after.has(after)) {
+            counter.compared++;
+            changes.push({ path, type: CHANGE_TYPES.CYCLE });
+            return;
+        }
+        ancestors.before.add(before);
+        ancestors.after.add(after);
+        walkChildren(kind, before, after, path, changes, counter, ancestors);
+        ancestors.before.delete(before);
+        ancestors.after.delete(after);
+        return;
+    }
+
+    counter.compared++;
+    if (!Object.is(before, after) && !(before === 0 && after === 0)) {
+        changes.push({ path, type: CHANGE_TYPES.CHANGED, before, after });
+    }
+}
+
+/**
+ * @private
+ */
+function walkChildren(kind, before, after, path, changes, counter, ancestors) {
+    if (kind === 'set') {
+        walk(Array.from(before), Array.from(after), path, changes, counter, ancestors);
+        return;
+    }
+
+    let keys;
+    let read = (container, key) => container[key];
+    if (kind === 'array') {
+        keys = Array.from({ length: Math.max(before.length, after.length) }, (_, i) => String(i));
+    } else if (kind === 'map') {
+        keys = Array.from(new Set([...before.keys(), ...after.keys()]));
+        read = (container, key) => container.get(key);
+    } else {
+        keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    }
+
+    for (const key of keys) {
+        const childPath = `${path}/${String(key)}`;
+        const previous = read(before, key);
+        const next = read(after, key);
+        if (previous !== undefined && next !== undefined) {
+            walk(previous, next, childPath, changes, counter, ancestors);
+        } else if (previous !== undefined) {
+            counter.compared++;
+            changes.push({ path: childPath, type: CHANGE_TYPES.REMOVED, before: previous });
+        } else if (next !== undefined) {
+            counter.compared++;
+            changes.push({ path: childPath, type: CHANGE_TYPES.ADDED, after: next });
+        }
+    }
+}
+
+/**
+ * kindOf, distinguiendo además fechas, Map y Set.
+ * @private
+ */
+function diffKind(value) {
+    if (value instanceof Date) return 'date';
+    if (value instanceof Map) return 'map';
+    if (value instanceof Set) return 'set';
+    return kindOf(value);
+}
+
+/**
+ * @private
+ */
+function severity(change) {
+    if (change.type !== CHANGE_TYPES.CHANGED) return 1;
+    if (typeof change.before === 'number' && typeof change.after === 'number') {
+        const scale = Math.max(Math.abs(change.before), Math.abs(change.after));
+        return Number.isFinite(scale) && scale > 0 ? Math.min(1, Math.abs(change.before - change.after) / scale) : 1;
+    }
+    return 1;
+}
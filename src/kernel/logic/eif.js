@@ -1,83 +1,447 @@
 // src/kernel/logic/eif.js
 // El Epistemic Integrity Framework (EIF). El guardián del ser ontológico.
 
-export const VERDICTS = Object.freeze({
-    COHERENT: 'COHERENT',
-    REDUNDANT: 'REDUNDANT',
-    TENSION: 'TENSION',
-    CONTRADICTION: 'CONTRADICTION',
-});
+import { structuralDiff, divergence, CHANGE_TYPES } from './diff.js';
+import { VERDICTS, VERDICT_ORDER, INTEGRABLE_VERDICTS } from './verdicts.js';
+import { DEFAULT_RULES, resolveRule, evaluateRules, compilePattern } from './rules.js';
+import { validateSchema, assertSchema } from './schema.js';
+import { SemanticComparator } from './semantics.js';
+
+export { VERDICTS, INTEGRABLE_VERDICTS };
 
 class EpistemicIntegrityFramework {
     /**
      * @param {Object} iisManager - Gestor del sistema de información interna (memoria ontológica).
-     * Debe implementar un método `get(key)` que devuelva un nodo o undefined.
+     * Debe implementar un método `get(key)` que devuelva un nodo o undefined, y puede implementar
+     * `keys()` para que los textos nuevos se comparen con los ya guardados (ver options.semantics.scope)
+     * y emitir 'change' ({ key, value }) y 'reset' para que el índice de esos textos no tenga que
+     * recorrer el IIS en cada juicio (ver IISManager).
+     * @param {object} [options={}]
+     * @param {number} [options.priorCoherence=0.5] - Coherencia supuesta de un nodo guardado sin meta.coherence.
+     * @param {number} [options.incomingCoherence=0.7] - Coherencia supuesta de un delta sin meta.coherence.
+     * @param {Array<string | object>} [options.rules=DEFAULT_RULES] - Política de coherencia: reglas
+     *        ordenadas por prioridad (ver logic/rules.js). Sustituye a la política por defecto.
+     * @param {Object<string, object> | { match: any, schema: object }[]} [options.schemas={}] - Esquemas
+     *        de los nodos por patrón de clave (ver logic/schema.js), p. ej. { '/self/internal_clock': { type: 'integer' } }.
+     * @param {object | false} [options.semantics={}] - Opciones de la comparación semántica de textos
+     *        (ver logic/semantics.js), o false para comparar los textos solo byte a byte.
+     * @param {string | RegExp | (string | RegExp)[] | null} [options.semantics.scope=null] - Patrón de
+     *        las claves cuyos textos se comparan entre sí (p. ej. '/log/thought/*'): un texto nuevo en
+     *        una de ellas se compara con los guardados en las demás, y esos textos alimentan el IDF.
+     * @param {number} [options.semantics.candidates=20] - Cuántos textos guardados, de los que más
+     *        términos comparten con el nuevo, se comparan por completo.
      */
-    constructor(iisManager) {
+    constructor(iisManager, {
+        priorCoherence = 0.5,
+        incomingCoherence = 0.7,
+        rules = DEFAULT_RULES,
+        schemas = {},
+        semantics = {}
+    } = {}) {
         if (!iisManager || typeof iisManager.get !== 'function') {
             throw new Error('[EIF] Se requiere una instancia válida de IISManager.');
         }
         this._iisManager = iisManager;
+        this.priorCoherence = priorCoherence;
+        this.incomingCoherence = incomingCoherence;
+        this.rules = rules.map(resolveRule);
+        const { scope = null, candidates = 20, ...comparatorOptions } = semantics || {};
+        this.semantics = semantics === false ? null : new SemanticComparator(comparatorOptions);
+        this.semanticScope = semantics === false || scope === null ? null : compilePattern(scope);
+        this.semanticCandidates = candidates;
+        // Con un IIS que avisa de sus cambios (ver IISManager), el índice de textos se recorre una
+        // sola vez y luego se actualiza clave a clave; si no, se recorre antes de cada comparación.
+        this._indexSynced = false;
+        this._indexListening = false;
+        if (this.semanticScope && typeof iisManager.on === 'function') {
+            iisManager.on('change', ({ key, value }) => this._indexNode(key, value));
+            iisManager.on('reset', () => { this._indexSynced = false; });
+            this._indexListening = true;
+        }
+        this.schemas = [];
+        const entries = Array.isArray(schemas) ? schemas.map(({ match, schema }) => [match, schema]) : Object.entries(schemas);
+        for (const [match, schema] of entries) this.registerSchema(match, schema);
+    }
+
+    /**
+     * Registra el esquema que deben cumplir los valores de las claves que casan con `match`.
+     * Una clave puede estar sujeta a varios esquemas: debe cumplirlos todos.
+     * @param {string | RegExp | (string | RegExp)[]} match - Patrón de clave (ver logic/rules.js).
+     * @param {object} schema
+     */
+    registerSchema(match, schema) {
+        assertSchema(schema, `esquema de '${match}'`);
+        this.schemas.push({ match, matches: compilePattern(match), schema });
+    }
+
+    /**
+     * Valida un valor contra los esquemas registrados para su clave.
+     * @param {string} key
+     * @param {any} value
+     * @returns {{ path: string, keyword: string, message: string, schema: any }[]} - Vacío si es válido.
+     */
+    validate(key, value) {
+        return this.schemas
+            .filter(({ matches }) => matches(key))
+            .flatMap(({ match, schema }) => validateSchema(schema, value).map(error => ({ ...error, schema: match })));
+    }
+
+    /**
+     * Añade una regla a la política, tras las ya presentes de su misma prioridad.
+     * @param {string | object} rule - Nombre registrado, especificación `{ type, ...params }` o regla propia.
+     */
+    addRule(rule) {
+        this.rules.push(resolveRule(rule));
+    }
+
+    /**
+     * Política vigente en forma serializable (las reglas propias con funciones no lo son).
+     * @returns {Array<string | object>}
+     */
+    getPolicy() {
+        return this.rules.map(rule => rule.spec);
     }
 
     /**
      * Analiza si un delta informacional puede integrarse sin romper la coherencia.
+     * El juicio parte de la diferencia campo a campo entre el valor guardado y el nuevo
+     * (ver logic/diff.js) y de una tensión continua en [0, 1]:
+     *   tensión = divergencia · (1 + c_antigua − c_nueva) / 2,
+     * de modo que un cambio total frente a conocimiento de igual coherencia vale 0.5, y se
+     * acerca a 1 cuanto más asentado está lo antiguo frente a lo nuevo. El veredicto lo decide
+     * la primera regla de la política que se cumple (ver logic/rules.js). Antes que la política,
+     * el valor debe cumplir los esquemas de su clave: si no, el veredicto es INVALID.
      * @param {{ key: string, value: any, meta?: object }} delta
-     * @returns {{ verdict: string, reason: string, tension?: number }}
+     * @returns {{ verdict: string, reason: string, tension: number, similarity: number | null,
+     *             reference: string | null, diff: object[], explanation: object }}
+     *          `similarity` es la similitud semántica cuando todo el cambio es textual (null si no).
+     *          `reference` es la clave del nodo guardado con que se comparó el delta: la suya si ya
+     *          existía, la del texto más relevante de su ámbito semántico o null.
+     *          `explanation` es legible por máquina: { rule, key, conflicts (rutas en conflicto),
+     *          divergence, oldCoherence, newCoherence, errors (de validación), semantic (comparación
+     *          de cada texto cambiado o, para un texto nuevo del ámbito semántico, con el texto guardado
+     *          más relevante, con su clave; o null) }. En este último caso, oldCoherence es la de ese texto.
      */
     verifyCoherence(delta) {
-        const existingNode = this._iisManager.get(delta.key);
+        return this._verify(delta, this._iisManager);
+    }
 
-        // Caso 1: Información nueva
-        if (existingNode === undefined) {
+    /**
+     * Juzga un lote de deltas como una unidad. Cada delta se juzga contra el IIS tal y como
+     * quedaría tras los deltas anteriores del lote, de modo que dos deltas del lote sobre la
+     * misma clave se juzgan entre sí (con las mismas reglas que frente al IIS).
+     * @param {{ key: string, value: any, meta?: object }[]} deltas
+     * @returns {{ verdict: string, reason: string, integrable: boolean, empty: boolean, tension: number,
+     *             results: object[], conflicts: { key: string, indices: number[], verdict: string }[] }}
+     *          `verdict` es el más grave de los del lote (ver VERDICT_ORDER); `integrable` indica si
+     *          todos los deltas pueden integrarse, y solo entonces debe integrarse el lote. Un lote
+     *          vacío no aporta nada: es REDUNDANT, `empty` y no integrable.
+     *          `conflicts` lista los pares de deltas del lote con valores distintos para una clave.
+     */
+    verifyBatch(deltas) {
+        if (deltas.length === 0) {
             return {
-                verdict: VERDICTS.COHERENT,
-                reason: `El nodo '${delta.key}' no existe. El conocimiento es nuevo.`
+                verdict: VERDICTS.REDUNDANT,
+                reason: 'El lote está vacío: no hay nada que integrar.',
+                integrable: false,
+                empty: true,
+                tension: 0,
+                results: [],
+                conflicts: [],
             };
         }
 
-        // Caso 2: Comparación con valor existente
-        const areEqual = this._deepCompare(existingNode.value, delta.value);
+        const staged = new Map();
+        const lastIndex = new Map();
+        const view = {
+            get: key => (staged.has(key) ? staged.get(key) : this._iisManager.get(key)),
+            staged,
+        };
 
-        if (areEqual) {
-            return {
-                verdict: VERDICTS.REDUNDANT,
-                reason: `El valor para '${delta.key}' ya existe y es idéntico.`
-            };
+        const results = [];
+        const conflicts = [];
+        deltas.forEach((delta, i) => {
+            const result = this._verify(delta, view);
+            if (lastIndex.has(delta.key) && result.diff.length > 0) {
+                conflicts.push({ key: delta.key, indices: [lastIndex.get(delta.key), i], verdict: result.verdict });
+            }
+            results.push(result);
+            staged.set(delta.key, { value: delta.value, meta: delta.meta });
+            lastIndex.set(delta.key, i);
+        });
+
+        const verdict = results.reduce(
+            (worst, { verdict: current }) => (VERDICT_ORDER.indexOf(current) > VERDICT_ORDER.indexOf(worst) ? current : worst),
+            VERDICTS.REDUNDANT
+        );
+        const integrable = results.every(result => INTEGRABLE_VERDICTS.includes(result.verdict));
+        const blocking = results
+            .map((result, i) => ({ result, i }))
+            .filter(({ result }) => !INTEGRABLE_VERDICTS.includes(result.verdict));
+
+        return {
+            verdict,
+            reason: integrable
+                ? `El lote de ${deltas.length} deltas puede integrarse.`
+                : `El lote no puede integrarse: ${blocking.map(({ result, i }) => `#${i} '${deltas[i].key}' ${result.verdict}`).join(', ')}.`,
+            integrable,
+            empty: false,
+            tension: results.reduce((max, result) => Math.max(max, result.tension), 0),
+            results,
+            conflicts,
+        };
+    }
+
+    /**
+     * Juicio de un delta frente a una vista del IIS (el propio IIS o el IIS con un lote aplicado).
+     * @private
+     */
+    _verify(delta, view) {
+        const context = this._context(delta, view);
+
+        if (context.errors.length > 0) {
+            const [first] = context.errors;
+            return this._judgment(
+                VERDICTS.INVALID,
+                `El valor para '${delta.key}' no cumple su esquema: ${first.path || '/'} ${first.message}`
+                    + (context.errors.length > 1 ? ` (y ${context.errors.length - 1} errores más).` : '.'),
+                'schema',
+                context
+            );
         }
 
-        // Caso 3: Conflicto detectado. Aplicar juicio de tensión.
-        const oldCoherence = existingNode.meta?.coherence ?? 0.5;
-        const newCoherence = delta.meta?.coherence ?? 0.7;
+        const rule = evaluateRules(this.rules, context);
 
-        const tension = Math.abs(newCoherence - oldCoherence);
+        if (!rule) {
+            return this._judgment(
+                VERDICTS.TENSION,
+                `Ninguna regla de la política decide sobre '${delta.key}'. Requiere revisión ontológica.`,
+                null,
+                context
+            );
+        }
+        return this._judgment(rule.verdict, rule.explain(context), rule.name, context);
+    }
 
-        if (oldCoherence >= 0.9 && newCoherence < oldCoherence) {
+    /**
+     * Contexto de juicio de un delta: lo que las reglas pueden consultar.
+     * @private
+     */
+    _context(delta, view) {
+        const existingNode = this._readNode(view.get(delta.key));
+        const newCoherence = delta.meta?.coherence ?? this.incomingCoherence;
+        const errors = this.validate(delta.key, delta.value);
+
+        // Caso 1: Información nueva. Si es un texto del ámbito semántico, se compara con los ya guardados.
+        if (existingNode === undefined) {
+            const reference = this._compareWithStored(delta, view);
+            if (reference) {
+                const oldCoherence = reference.node.meta?.coherence ?? this.priorCoherence;
+                return {
+                    key: delta.key,
+                    delta,
+                    node: undefined,
+                    exists: false,
+                    identical: false,
+                    diff: [],
+                    changes: 0,
+                    divergence: 0,
+                    tension: reference.relation === 'opposed' ? clamp01((1 + oldCoherence - newCoherence) / 2) : 0,
+                    oldCoherence,
+                    newCoherence,
+                    conflicts: '',
+                    errors,
+                    similarity: reference.similarity,
+                    relation: reference.relation,
+                    reference: reference.key,
+                    semantic: [reference.comparison],
+                };
+            }
             return {
-                verdict: VERDICTS.CONTRADICTION,
-                reason: `La nueva información contradice un principio con alta coherencia (${oldCoherence}).`,
-                tension
+                key: delta.key,
+                delta,
+                node: undefined,
+                exists: false,
+                identical: false,
+                diff: [],
+                changes: 0,
+                divergence: 0,
+                tension: 0,
+                oldCoherence: null,
+                newCoherence,
+                conflicts: '',
+                errors,
+                similarity: null,
+                relation: null,
+                reference: null,
+                semantic: null,
             };
         }
 
+        // Caso 2: Comparación con valor existente. Caso 3: conflicto, con su tensión.
+        const diff = structuralDiff(existingNode.value, delta.value);
+        const oldCoherence = existingNode.meta?.coherence ?? this.priorCoherence;
+        const score = divergence(diff);
+        const semantic = this._compareTexts(delta.key, diff.changes);
         return {
-            verdict: VERDICTS.TENSION,
-            reason: `Conflicto entre valor antiguo y nuevo. Requiere revisión ontológica.`,
-            tension
+            key: delta.key,
+            delta,
+            node: existingNode,
+            exists: true,
+            identical: diff.changes.length === 0,
+            diff: diff.changes,
+            changes: diff.changes.length,
+            divergence: score,
+            tension: clamp01(score * (1 + oldCoherence - newCoherence) / 2),
+            oldCoherence,
+            newCoherence,
+            conflicts: describeConflicts(diff.changes),
+            errors,
+            similarity: semantic ? Math.min(...semantic.map(text => text.similarity)) : null,
+            relation: semantic ? aggregateRelation(semantic) : null,
+            reference: delta.key,
+            semantic,
         };
     }
 
     /**
-     * Compara profundamente dos estructuras de datos.
+     * Comparación semántica de los textos cambiados, solo cuando todo el cambio es textual.
      * @private
      */
-    _deepCompare(a, b) {
-        try {
-            return JSON.stringify(a) === JSON.stringify(b);
-        } catch {
-            return false;
+    _compareTexts(key, changes) {
+        const textual = changes.length > 0 && changes.every(change => change.type === CHANGE_TYPES.CHANGED
+            && typeof change.before === 'string' && typeof change.after === 'string');
+        if (!this.semantics || !textual) return null;
+        this._syncIndex();
+        return changes.map(change => ({ key, path: change.path, ...this.semantics.compare(change.before, change.after) }));
+    }
+
+    /**
+     * Compara un texto nuevo del ámbito semántico con los textos guardados en las demás claves
+     * del ámbito y devuelve el más relevante: el opuesto más parecido o, si no hay ninguno, el
+     * más parecido. Solo se comparan los candidatos del índice invertido (los que más términos
+     * comparten con el nuevo) y los deltas anteriores del lote. Null si no hay con qué comparar.
+     * @private
+     */
+    _compareWithStored(delta, view) {
+        if (!this.semanticScope || typeof delta.value !== 'string' || !this.semanticScope(delta.key)) return null;
+        this._syncIndex();
+
+        const keys = new Set(this.semantics.index.candidates(delta.value, this.semanticCandidates));
+        for (const key of view.staged?.keys() ?? []) {
+            if (this.semanticScope(key)) keys.add(key);
         }
+
+        let best = null;
+        for (const key of keys) {
+            if (key === delta.key) continue;
+            const node = this._readNode(view.get(key));
+            if (typeof node?.value !== 'string') continue;
+            const comparison = { key, path: '', ...this.semantics.compare(node.value, delta.value) };
+            const opposed = comparison.relation === 'opposed';
+            const bestOpposed = best?.relation === 'opposed';
+            if (!best || (opposed && !bestOpposed) || (opposed === bestOpposed && comparison.similarity > best.similarity)) {
+                best = { key, node, comparison, similarity: comparison.similarity, relation: comparison.relation };
+            }
+        }
+        return best;
     }
+
+    /**
+     * Pone al día el índice de textos del ámbito semántico con el IIS: recorre todas sus claves
+     * la primera vez (o tras un 'reset') y, si el IIS no avisa de sus cambios, en cada llamada.
+     * @private
+     */
+    _syncIndex() {
+        if (!this.semanticScope || (this._indexListening && this._indexSynced)) return;
+        const present = new Set();
+        for (const key of this._iisManager.keys?.() ?? []) {
+            if (!this.semanticScope(key)) continue;
+            present.add(key);
+            this._indexNode(key, this._iisManager.get(key));
+        }
+        for (const key of Array.from(this.semantics.index.texts.keys())) {
+            if (!present.has(key)) this.semantics.index.deleteDocument(key);
+        }
+        this._indexSynced = true;
+    }
+
+    /**
+     * Indexa el texto guardado en una clave del ámbito semántico, o lo retira si ya no es texto.
+     * @private
+     */
+    _indexNode(key, stored) {
+        if (!this.semanticScope(key)) return;
+        const node = this._readNode(stored);
+        if (typeof node?.value === 'string') this.semantics.index.setDocument(key, node.value);
+        else this.semantics.index.deleteDocument(key);
+    }
+
+    /**
+     * Compone el veredicto con su diferencia y su explicación.
+     * @private
+     */
+    _judgment(verdict, reason, rule, { key, diff, divergence: score, tension, oldCoherence, newCoherence, errors, similarity, reference, semantic }) {
+        return {
+            verdict,
+            reason,
+            tension,
+            similarity,
+            reference,
+            diff,
+            explanation: {
+                rule,
+                key,
+                conflicts: diff.map(change => change.path),
+                divergence: score,
+                oldCoherence,
+                newCoherence,
+                errors,
+                semantic,
+            },
+        };
+    }
+
+    /**
+     * Normaliza lo guardado en el IIS a un nodo { value, meta }. El Orchestrator guarda deltas
+     * completos, pero algunos nodos (p. ej. '/self/internal_clock') se guardan como valor desnudo.
+     * @private
+     */
+    _readNode(stored) {
+        if (stored === undefined) return undefined;
+        if (stored !== null && typeof stored === 'object' && !Array.isArray(stored) && 'value' in stored) {
+            return stored;
+        }
+        return { value: stored };
+    }
+}
+
+/**
+ * Enumera las rutas en conflicto para el texto del veredicto ('' es el valor completo).
+ * @private
+ */
+function describeConflicts(changes) {
+    const paths = changes.slice(0, 3).map(change => `'${change.path || '/'}'`);
+    if (changes.length > 3) paths.push(`y ${changes.length - 3} más`);
+    return paths.join(', ');
+}
+
+/**
+ * Relación de un cambio con varios textos: opuesto si alguno lo es, duplicado si lo son
+ * todos y, si no, la del texto menos parecido.
+ * @private
+ */
+function aggregateRelation(semantic) {
+    if (semantic.some(text => text.relation === 'opposed')) return 'opposed';
+    if (semantic.every(text => text.relation === 'duplicate')) return 'duplicate';
+    return semantic.reduce((least, text) => (text.similarity < least.similarity ? text : least)).relation;
+}
+
+/**
+ * @private
+ */
+function clamp01(x) {
+    return Math.min(1, Math.max(0, x));
 }
 
 export default EpistemicIntegrityFramework;
@@ -0,0 +1,306 @@
+/**
+ * @file src/kernel/logic/rules.js
+ * @description Motor de reglas de las políticas de coherencia del EIF y su registro.
+ *              Una regla decide un veredicto para los deltas cuya clave casa con su patrón
+ *              y cuyo contexto de juicio cumple su condición:
+ *
+ *                  { name, match, when, verdict, priority, reason }
+ *
+ *              - match: patrón de clave ('/self/*': un segmento; '/log/**': cualquier profundidad),
+ *                RegExp o lista de ellos. Sin él, la regla se aplica a todas las claves.
+ *              - when: condición declarativa sobre el contexto (ver `compileCondition`) o función.
+ *              - reason: plantilla con {campo} del contexto o función.
+ *
+ *              Las reglas se evalúan por prioridad descendente (a igual prioridad, en orden de
+ *              declaración) y decide la primera que se cumple. Las condiciones declarativas y las
+ *              especificaciones `{ type, ...params }` de las reglas registradas son JSON, de modo
+ *              que una política completa puede cargarse desde configuración.
+ */
+
+import { VERDICTS } from './verdicts.js';
+
+/**
+ * Campos del contexto de juicio que admite una condición declarativa:
+ *  - exists (boolean): la clave ya existe en el IIS.
+ *  - identical (boolean): el valor nuevo es idéntico al guardado.
+ *  - changes, divergence, tension, oldCoherence, newCoherence (number).
+ *  - similarity (number), relation ('duplicate' | 'opposed' | 'related' | 'unrelated'): comparación
+ *    semántica cuando todo el cambio es textual, o de un texto nuevo con el guardado más relevante
+ *    de su ámbito (ver logic/semantics.js y EIF options.semantics.scope); null si no.
+ * Las plantillas de `reason` pueden usar además key, conflicts y reference (la clave del texto
+ * guardado con que se comparó).
+ */
+const CONDITION_FIELDS = Object.freeze([
+    'exists', 'identical', 'changes', 'divergence', 'tension', 'oldCoherence', 'newCoherence', 'similarity', 'relation',
+]);
+
+/**
+ * Valores de texto admitidos por los campos que los tienen. Cualquier otro texto en una
+ * condición es un error de configuración.
+ */
+const FIELD_VALUES = Object.freeze({
+    relation: Object.freeze(['duplicate', 'opposed', 'related', 'unrelated']),
+});
+
+const OPERATORS = Object.freeze({
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+});
+
+const RULE_REGISTRY = new Map();
+
+/**
+ * Registra una regla reutilizable por nombre.
+ * @param {string} name
+ * @param {(params: object) => object} factory - Devuelve la definición de la regla para unos parámetros.
+ */
+export function registerRule(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`[EIF] La fábrica de la regla '${name}' debe ser una función.`);
+    }
+    RULE_REGISTRY.set(name, factory);
+}
+
+/**
+ * Compila un patrón de clave a un predicado.
+ * @param {string | RegExp | (string | RegExp)[] | null} [pattern=null]
+ * @returns {(key: string) => boolean}
+ */
+export function compilePattern(pattern = null) {
+    if (pattern === null || pattern === undefined) return () => true;
+    if (Array.isArray(pattern)) {
+        const predicates = pattern.map(compilePattern);
+        return key => predicates.some(predicate => predicate(key));
+    }
+    if (pattern instanceof RegExp) return key => pattern.test(key);
+    if (typeof pattern !== 'string') {
+        throw new TypeError(`[EIF] Patrón de clave inválido: '${pattern}'.`);
+    }
+    const source = pattern
+        .split('**')
+        .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+        .join('.*');
+    const regexp = new RegExp(`^${source}$`);
+    return key => regexp.test(key);
+}
+
+/**
+ * Compila una condición declarativa. Cada campo del contexto se compara con un literal
+ * (`{ exists: true }`, `{ changes: 0 }`, `{ relation: 'opposed' }`) o con operadores
+ * `{ gt, gte, lt, lte, eq, ne }` cuyo operando es un literal o el nombre de otro campo
+ * (`{ newCoherence: { lt: 'oldCoherence' } }`). Un texto que no es ni un campo ni un valor
+ * admitido del campo (ver FIELD_VALUES) es un error, no una condición que nunca se cumple.
+ * Todos los campos deben cumplirse; una comparación con un campo null (p. ej. oldCoherence
+ * de un nodo nuevo) no se cumple.
+ * @param {object | Function | null} [condition=null]
+ * @returns {(context: object) => boolean}
+ */
+export function compileCondition(condition = null) {
+    if (condition === null || condition === undefined) return () => true;
+    if (typeof condition === 'function') return condition;
+
+    const checks = Object.entries(condition).map(([field, expected]) => {
+        if (!CONDITION_FIELDS.includes(field)) {
+            throw new Error(`[EIF] Campo de condición desconocido: '${field}'. Disponibles: ${CONDITION_FIELDS.join(', ')}.`);
+        }
+        if (expected === null || typeof expected !== 'object') {
+            if (typeof expected === 'string') assertFieldValue(field, expected);
+            return context => context[field] === expected;
+        }
+        const comparisons = Object.entries(expected).map(([operator, operand]) => {
+            const compare = OPERATORS[operator];
+            if (!compare) {
+                throw new Error(`[EIF] Operador de condición desconocido: '${operator}'. Disponibles: ${Object.keys(OPERATORS).join(', ')}.`);
+            }
+            let read = () => operand;
+            if (typeof operand === 'string' && CONDITION_FIELDS.includes(operand)) {
+                read = context => context[operand];
+            } else if (typeof operand === 'string') {
+                assertFieldValue(field, operand);
+            }
+            return context => {
+                const a = context[field];
+                const b = read(context);
+                return a !== null && a !== undefined && b !== null && b !== undefined && compare(a, b);
+            };
+        });
+        return context => comparisons.every(check => check(context));
+    });
+    return context => checks.every(check => check(context));
+}
+
+/**
+ * @private
+ */
+function assertFieldValue(field, value) {
+    const allowed = FIELD_VALUES[field] ?? [];
+    if (!allowed.includes(value)) {
+        throw new Error(`[EIF] Valor de condición desconocido para '${field}': '${value}'. `
+            + `Disponibles: ${[...allowed, ...CONDITION_FIELDS].join(', ')}.`);
+    }
+}
+
+/**
+ * Resuelve una regla de coherencia.
+ * @param {string | { type: string, [param: string]: any } | { name: string, verdict: string, match?: any, when?: any, priority?: number, reason?: string | Function }} rule
+ *        Nombre registrado, especificación `{ type, ...params }` (los parámetros `match` y
+ *        `priority` sobrescriben los de la regla registrada) o regla propia.
+ * @returns {{ name: string, verdict: string, priority: number, matches: (key: string) => boolean,
+ *             holds: (context: object) => boolean, explain: (context: object) => string, spec: object | string }}
+ */
+export function resolveRule(rule) {
+    if (rule && typeof rule.verdict === 'string') return compileRule(rule, rule);
+
+    const spec = typeof rule === 'string' ? { type: rule } : rule;
+    const factory = RULE_REGISTRY.get(spec?.type);
+    if (!factory) {
+        throw new Error(`[EIF] Regla desconocida: '${spec?.type}'. Registradas: ${Array.from(RULE_REGISTRY.keys()).join(', ') || 'ninguna'}.`);
+    }
+    const { type, match, priority, ...params } = spec;
+    const definition = { name: type, ...factory(params) };
+    if (match !== undefined) definition.match = match;
+    if (priority !== undefined) definition.priority = priority;
+    return compileRule(definition, rule);
+}
+
+/**
+ * Primera regla que decide sobre el contexto, por prioridad descendente y orden de declaración.
+ * @param {object[]} rules - Reglas resueltas.
+ * @param {object} context - Contexto de juicio (con `key`).
+ * @returns {object | null}
+ */
+export function evaluateRules(rules, context) {
+    const ordered = rules
+        .map((rule, order) => ({ rule, order }))
+        .sort((a, b) => b.rule.priority - a.rule.priority || a.order - b.order);
+    for (const { rule } of ordered) {
+        if (rule.matches(context.key) && rule.holds(context)) return rule;
+    }
+    return null;
+}
+
+/**
+ * @private
+ */
+function compileRule({ name, verdict, match = null, when = null, priority = 0, reason = null }, spec) {
+    if (!name) {
+        throw new Error('[EIF] Toda regla necesita un nombre.');
+    }
+    if (!Object.values(VERDICTS).includes(verdict)) {
+        throw new Error(`[EIF] Veredicto desconocido en la regla '${name}': '${verdict}'.`);
+    }
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+        throw new Error(`[EIF] Prioridad inválida en la regla '${name}': '${priority}'.`);
+    }
+    const template = reason ?? `Regla '${name}': ${verdict}.`;
+    return {
+        name,
+        verdict,
+        priority,
+        matches: compilePattern(match),
+        holds: compileCondition(when),
+        explain: typeof template === 'function'
+            ? template
+            : context => template.replace(/\{(\w+)\}/g, (placeholder, field) => (field in context ? formatField(context[field]) : placeholder)),
+        spec,
+    };
+}
+
+/**
+ * Los números se muestran con tres decimales como mucho.
+ * @private
+ */
+function formatField(value) {
+    return typeof value === 'number' ? String(Number(value.toFixed(3))) : String(value);
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Reglas incorporadas: reproducen el juicio histórico del EIF.
+
+registerRule('new-node', () => ({
+    verdict: VERDICTS.COHERENT,
+    priority: 400,
+    when: { exists: false },
+    reason: "El nodo '{key}' no existe. El conocimiento es nuevo.",
+}));
+
+registerRule('identical', () => ({
+    verdict: VERDICTS.REDUNDANT,
+    priority: 300,
+    when: { identical: true },
+    reason: "El valor para '{key}' ya existe y es idéntico.",
+}));
+
+/**
+ * Paráfrasis: un texto que repite lo guardado (en su clave o en otra de su ámbito semántico)
+ * con otras palabras no aporta conocimiento. Las reglas semánticas deciden antes que 'new-node'
+ * porque un texto nuevo puede repetir o negar otro ya guardado.
+ */
+registerRule('near-duplicate', () => ({
+    verdict: VERDICTS.REDUNDANT,
+    priority: 450,
+    when: { identical: false, relation: 'duplicate' },
+    reason: "El valor para '{key}' repite lo ya sabido con otras palabras (similitud {similarity}).",
+}));
+
+/**
+ * Negación de lo guardado: contradicción si lo nuevo no es más coherente que lo antiguo;
+ * si lo es, tensión a revisar (ver 'semantic-tension').
+ */
+registerRule('semantic-contradiction', () => ({
+    verdict: VERDICTS.CONTRADICTION,
+    priority: 440,
+    when: { relation: 'opposed', newCoherence: { lte: 'oldCoherence' } },
+    reason: "La nueva información niega lo guardado en '{reference}' (similitud {similarity}).",
+}));
+
+registerRule('semantic-tension', () => ({
+    verdict: VERDICTS.TENSION,
+    priority: 430,
+    when: { relation: 'opposed' },
+    reason: "La nueva información niega lo guardado en '{reference}' con más coherencia ({newCoherence} > {oldCoherence}). Requiere revisión ontológica.",
+}));
+
+/**
+ * Principio de alta coherencia: un conocimiento asentado (coherencia ≥ threshold) no se
+ * sustituye por otro menos coherente.
+ */
+registerRule('high-coherence-principle', ({ threshold = 0.9 }) => ({
+    verdict: VERDICTS.CONTRADICTION,
+    priority: 200,
+    when: { exists: true, identical: false, oldCoherence: { gte: threshold }, newCoherence: { lt: 'oldCoherence' } },
+    reason: 'La nueva información contradice un principio con alta coherencia ({oldCoherence}).',
+}));
+
+/**
+ * Cualquier otro cambio: tensión a revisar. Es la regla de último recurso.
+ */
+registerRule('value-conflict', () => ({
+    verdict: VERDICTS.TENSION,
+    priority: -Infinity,
+    when: { exists: true, identical: false },
+    reason: 'Conflicto entre valor antiguo y nuevo en {conflicts}. Requiere revisión ontológica.',
+}));
+
+/**
+ * Política por defecto del EIF.
+ */
+export const DEFAULT_RULES = Object.freeze([
+    'near-duplicate',
+    'semantic-contradiction',
+    'semantic-tension',
+    'new-node',
+    'identical',
+    'high-coherence-principle',
+    'value-conflict',
+]);
@@ -0,0 +1,161 @@
+/**
+ * @file src/kernel/logic/schema.js
+ * @description Validación de tipos y esquemas de los nodos del IIS, al estilo JSON Schema.
+ *              Soporta el subconjunto de palabras clave útil para nodos ontológicos:
+ *              type, enum, const, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ *              minLength, maxLength, pattern, items, minItems, maxItems, properties,
+ *              required, additionalProperties, anyOf y not.
+ */
+
+import { kindOf } from './diff.js';
+
+export const SCHEMA_KEYWORDS = Object.freeze([
+    'type', 'enum', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'minLength', 'maxLength', 'pattern', 'items', 'minItems', 'maxItems',
+    'properties', 'required', 'additionalProperties', 'anyOf', 'not',
+    'title', 'description',
+]);
+
+/**
+ * Expresiones de `pattern` ya compiladas, por su fuente.
+ * @type {Map<string, RegExp>}
+ */
+const PATTERNS = new Map();
+
+/**
+ * Valida un valor contra un esquema.
+ * @param {object} schema
+ * @param {any} value
+ * @param {string} [path=''] - Ruta del valor (estilo JSON Pointer), prefijo de las rutas de los errores.
+ * @returns {{ path: string, keyword: string, message: string }[]} - Vacío si el valor es válido.
+ */
+export function validateSchema(schema, value, path = '') {
+    const errors = [];
+    const fail = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => hasType(value, type))) {
+            fail('type', `se esperaba ${types.join(' | ')} y se recibió ${kindOf(value)}`);
+            return errors; // El resto de palabras clave asume el tipo correcto.
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => sameValue(option, value))) {
+        fail('enum', `debe ser uno de ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !sameValue(schema.const, value)) {
+        fail('const', `debe ser ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `debe ser ≥ ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `debe ser ≤ ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `debe ser > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `debe ser < ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `debe tener al menos ${schema.minLength} caracteres`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `debe tener como mucho ${schema.maxLength} caracteres`);
+        if (schema.pattern !== undefined && !compileRegExp(schema.pattern).test(value)) fail('pattern', `debe casar con /${schema.pattern}/`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `debe tener al menos ${schema.minItems} elementos`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `debe tener como mucho ${schema.maxItems} elementos`);
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}/${i}`)));
+        }
+    }
+
+    if (kindOf(value) === 'object') {
+        for (const name of schema.required ?? []) {
+            if (value[name] === undefined) fail('required', `falta la propiedad obligatoria '${name}'`);
+        }
+        const properties = schema.properties ?? {};
+        for (const [name, child] of Object.entries(value)) {
+            if (child === undefined) continue;
+            if (properties[name] !== undefined) {
+                errors.push(...validateSchema(properties[name], child, `${path}/${name}`));
+            } else if (schema.additionalProperties === false) {
+                fail('additionalProperties', `propiedad no permitida '${name}'`, `${path}/${name}`);
+            } else if (kindOf(schema.additionalProperties) === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, child, `${path}/${name}`));
+            }
+        }
+    }
+
+    if (schema.anyOf !== undefined && !schema.anyOf.some(option => validateSchema(option, value, path).length === 0)) {
+        fail('anyOf', 'no cumple ninguna de las alternativas');
+    }
+    if (schema.not !== undefined && validateSchema(schema.not, value, path).length === 0) {
+        fail('not', 'cumple un esquema prohibido');
+    }
+
+    return errors;
+}
+
+/**
+ * Comprueba que un esquema solo use palabras clave soportadas (en todos sus niveles), para que
+ * un error tipográfico en la configuración no desactive una validación en silencio.
+ * @param {object} schema
+ * @param {string} [where='esquema']
+ * @throws {Error} Si el esquema no es un objeto, usa palabras clave desconocidas o un `pattern`
+ *         que no es una expresión regular válida.
+ */
+export function assertSchema(schema, where = 'esquema') {
+    if (kindOf(schema) !== 'object') {
+        throw new Error(`[EIF] El ${where} debe ser un objeto.`);
+    }
+    for (const [keyword, argument] of Object.entries(schema)) {
+        if (!SCHEMA_KEYWORDS.includes(keyword)) {
+            throw new Error(`[EIF] Palabra clave de esquema no soportada en el ${where}: '${keyword}'.`);
+        }
+        if (keyword === 'items' || keyword === 'not' || (keyword === 'additionalProperties' && typeof argument !== 'boolean')) {
+            assertSchema(argument, where);
+        }
+        if (keyword === 'pattern') {
+            try {
+                compileRegExp(argument);
+            } catch (error) {
+                throw new Error(`[Schema] Patrón inválido en el ${where}: '${argument}' (${error.message}).`);
+            }
+        }
+        if (keyword === 'properties') Object.values(argument).forEach(child => assertSchema(child, where));
+        if (keyword === 'anyOf') argument.forEach(child => assertSchema(child, where));
+    }
+}
+
+/**
+ * Compila (una sola vez por fuente) la expresión de un `pattern`.
+ * @private
+ */
+function compileRegExp(source) {
+    if (typeof source !== 'string') {
+        throw new TypeError('debe ser un texto');
+    }
+    let regexp = PATTERNS.get(source);
+    if (!regexp) {
+        regexp = new RegExp(source);
+        PATTERNS.set(source, regexp);
+    }
+    return regexp;
+}
+
+/**
+ * @private
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return kindOf(value) === type;
+    }
+}
+
+/**
+ * @private
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,360 @@
+/**
+ * @file src/kernel/logic/semantics.js
+ * @description Comparación semántica de textos para el EIF, sin servicios externos.
+ *              Dos textos se comparan por su contenido (normalizado, sin palabras vacías ni
+ *              negaciones y con un recorte de sufijos flexivos) con tres medidas: Jaccard de
+ *              términos, Jaccard de shingles (n-gramas de términos) y coseno TF-IDF. Aparte, unas
+ *              heurísticas de negación y antónimos detectan si un texto afirma lo contrario que
+ *              el otro. Cubre español e inglés.
+ *
+ *              Relaciones resultantes:
+ *              - 'duplicate': el mismo contenido con otras palabras o formato.
+ *              - 'opposed': contenido parecido con polaridad contraria (negación o antónimo).
+ *              - 'related' / 'unrelated': según la similitud.
+ */
+
+const NEGATIONS = new Set([
+    'not', 'no', 'never', 'none', 'nothing', 'nobody', 'nor', 'cannot', 'without',
+    'nunca', 'jamas', 'ningun', 'ninguno', 'ninguna', 'nada', 'nadie', 'tampoco', 'ni', 'sin',
+]);
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'it', 'its', 'this', 'that',
+    'i', 'my', 'me', 'we', 'our', 'you', 'your', 'he', 'she', 'they', 'their', 'so', 'very',
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'de', 'del', 'al', 'en', 'por',
+    'para', 'con', 'que', 'es', 'son', 'era', 'fue', 'ser', 'esta', 'este', 'esto', 'estan', 'se',
+    'lo', 'le', 'les', 'mi', 'su', 'sus', 'yo', 'muy', 'como',
+]);
+
+/**
+ * Pares de antónimos (en ambos sentidos). Las negaciones ("never", "nunca") no aparecen aquí:
+ * las cubre la paridad de negaciones.
+ */
+export const ANTONYMS = Object.freeze([
+    ['true', 'false'], ['possible', 'impossible'], ['alive', 'dead'],
+    ['good', 'bad'], ['increase', 'decrease'], ['increases', 'decreases'], ['more', 'less'],
+    ['coherent', 'incoherent'], ['conscious', 'unconscious'], ['finite', 'infinite'],
+    ['exists', 'vanishes'], ['stable', 'unstable'], ['certain', 'uncertain'],
+    ['accept', 'reject'], ['win', 'lose'], ['open', 'closed'], ['love', 'hate'], ['same', 'different'],
+    ['verdadero', 'falso'], ['posible', 'imposible'], ['vivo', 'muerto'],
+    ['bueno', 'malo'], ['aumenta', 'disminuye'], ['mas', 'menos'], ['coherente', 'incoherente'],
+    ['consciente', 'inconsciente'], ['finito', 'infinito'], ['estable', 'inestable'],
+    ['cierto', 'incierto'], ['acepta', 'rechaza'], ['abierto', 'cerrado'],
+    ['igual', 'distinto'],
+]);
+
+const ANTONYM_OF = new Map(ANTONYMS.flatMap(([a, b]) => [[a, b], [b, a]]));
+
+/**
+ * Normaliza un texto: minúsculas, sin tildes ni puntuación, contracciones negativas
+ * inglesas expandidas ("don't" → "do not") y espacios colapsados.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\b(can)'?t\b/g, 'can not')
+        .replace(/\bwon'?t\b/g, 'will not')
+        .replace(/n't\b/g, ' not')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Términos de un texto normalizado.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Índice de frecuencias documentales para el peso IDF. Parte de un corpus de referencia
+ * opcional y el EIF le añade, por clave, los textos guardados en su ámbito semántico; los dos
+ * textos comparados cuentan siempre como documentos. Los documentos con clave forman además un
+ * índice invertido (término → claves) para elegir qué textos guardados merece la pena comparar.
+ */
+export class TextIndex {
+    /**
+     * @param {string[]} [corpus=[]]
+     */
+    constructor(corpus = []) {
+        this.documents = 0;
+        this.frequencies = new Map();
+        /** @type {Map<string, string>} Texto indexado de cada clave. */
+        this.texts = new Map();
+        /** @type {Map<string, Set<string>>} Claves cuyo texto contiene cada término. */
+        this.postings = new Map();
+        /** @type {Map<string, number>} Orden de indexación de cada clave. */
+        this.sequence = new Map();
+        this._nextSequence = 0;
+        corpus.forEach(text => this.addDocument(text));
+    }
+
+    /**
+     * @param {string} text
+     */
+    addDocument(text) {
+        this.documents++;
+        for (const term of indexTerms(text)) {
+            this.frequencies.set(term, (this.frequencies.get(term) ?? 0) + 1);
+        }
+    }
+
+    /**
+     * Retira un documento añadido antes con addDocument().
+     * @param {string} text
+     */
+    removeDocument(text) {
+        this.documents--;
+        for (const term of indexTerms(text)) {
+            const df = this.frequencies.get(term) - 1;
+            if (df > 0) this.frequencies.set(term, df);
+            else this.frequencies.delete(term);
+        }
+    }
+
+    /**
+     * Indexa (o reindexa, si cambió) el texto de una clave.
+     * @param {string} key
+     * @param {string} text
+     */
+    setDocument(key, text) {
+        if (this.texts.get(key) === text) return;
+        this.deleteDocument(key);
+        this.addDocument(text);
+        this.texts.set(key, text);
+        this.sequence.set(key, this._nextSequence++);
+        for (const term of indexTerms(text)) {
+            if (!this.postings.has(term)) this.postings.set(term, new Set());
+            this.postings.get(term).add(key);
+        }
+    }
+
+    /**
+     * Retira del índice el texto de una clave, si lo tiene.
+     * @param {string} key
+     */
+    deleteDocument(key) {
+        const text = this.texts.get(key);
+        if (text === undefined) return;
+        this.removeDocument(text);
+        this.texts.delete(key);
+        this.sequence.delete(key);
+        for (const term of indexTerms(text)) {
+            const keys = this.postings.get(term);
+            keys.delete(key);
+            if (keys.size === 0) this.postings.delete(term);
+        }
+    }
+
+    /**
+     * Claves indexadas que comparten algún término con `text`, de más a menos términos compartidos
+     * (a igualdad, las indexadas más recientemente primero).
+     * @param {string} text
+     * @param {number} [limit=Infinity]
+     * @returns {string[]}
+     */
+    candidates(text, limit = Infinity) {
+        const shared = new Map();
+        for (const term of indexTerms(text)) {
+            for (const key of this.postings.get(term) ?? []) shared.set(key, (shared.get(key) ?? 0) + 1);
+        }
+        return Array.from(shared.keys())
+            .sort((a, b) => shared.get(b) - shared.get(a) || this.sequence.get(b) - this.sequence.get(a))
+            .slice(0, limit);
+    }
+
+    /**
+     * IDF suavizado, log((1 + N) / (1 + df)) + 1, con `extra` documentos adicionales que
+     * contienen el término `extraHits` veces.
+     * @param {string} term
+     * @param {number} [extra=0]
+     * @param {number} [extraHits=0]
+     * @returns {number}
+     */
+    idf(term, extra = 0, extraHits = 0) {
+        const df = (this.frequencies.get(term) ?? 0) + extraHits;
+        return Math.log((1 + this.documents + extra) / (1 + df)) + 1;
+    }
+}
+
+export class SemanticComparator {
+    /**
+     * @param {object} [options={}]
+     * @param {string[]} [options.corpus=[]] - Textos de referencia para el IDF.
+     * @param {number} [options.shingleSize=2] - Términos por shingle.
+     * @param {number} [options.duplicateThreshold=0.8] - Similitud a partir de la cual dos textos son el mismo.
+     * @param {number} [options.oppositionThreshold=0.5] - Similitud mínima para que una polaridad
+     *        contraria cuente como oposición (y no como dos textos sobre cosas distintas).
+     * @param {number} [options.relatedThreshold=0.3] - Similitud a partir de la cual dos textos están relacionados.
+     */
+    constructor({
+        corpus = [],
+        shingleSize = 2,
+        duplicateThreshold = 0.8,
+        oppositionThreshold = 0.5,
+        relatedThreshold = 0.3
+    } = {}) {
+        this.index = new TextIndex(corpus);
+        this.shingleSize = shingleSize;
+        this.duplicateThreshold = duplicateThreshold;
+        this.oppositionThreshold = oppositionThreshold;
+        this.relatedThreshold = relatedThreshold;
+    }
+
+    /**
+     * Compara dos textos.
+     * @param {string} a
+     * @param {string} b
+     * @returns {{ similarity: number, jaccard: number, shingles: number, cosine: number,
+     *             negation: boolean, antonyms: string[][], relation: string }}
+     *          `similarity` = 0.3·jaccard + 0.2·shingles + 0.5·coseno, sobre el contenido.
+     */
+    compare(a, b) {
+        const tokensA = tokenize(a);
+        const tokensB = tokenize(b);
+        const contentA = contentTerms(tokensA);
+        const contentB = contentTerms(tokensB);
+        // Los antónimos se pliegan en un mismo término: la similitud mide el tema, no la polaridad.
+        const foldedA = contentA.map(term => stem(foldAntonym(term)));
+        const foldedB = contentB.map(term => stem(foldAntonym(term)));
+
+        const jaccardScore = jaccard(new Set(foldedA), new Set(foldedB));
+        const shingleScore = jaccard(shingles(foldedA, this.shingleSize), shingles(foldedB, this.shingleSize));
+        const cosineScore = this._cosine(foldedA, foldedB);
+        const similarity = foldedA.length === 0 && foldedB.length === 0
+            ? 1
+            : 0.3 * jaccardScore + 0.2 * shingleScore + 0.5 * cosineScore;
+
+        const negation = polarity(tokensA) !== polarity(tokensB);
+        const antonyms = antonymPairs(contentA, contentB);
+        const opposed = (negation || antonyms.length > 0) && similarity >= this.oppositionThreshold;
+
+        let relation = 'unrelated';
+        if (opposed) relation = 'opposed';
+        else if (similarity >= this.duplicateThreshold) relation = 'duplicate';
+        else if (similarity >= this.relatedThreshold) relation = 'related';
+
+        return { similarity, jaccard: jaccardScore, shingles: shingleScore, cosine: cosineScore, negation, antonyms, relation };
+    }
+
+    /**
+     * Coseno entre los vectores TF-IDF de dos listas de términos.
+     * @private
+     */
+    _cosine(termsA, termsB) {
+        const vocabulary = new Set([...termsA, ...termsB]);
+        const setA = new Set(termsA);
+        const setB = new Set(termsB);
+        const weights = new Map(Array.from(vocabulary, term => [
+            term,
+            this.index.idf(term, 2, (setA.has(term) ? 1 : 0) + (setB.has(term) ? 1 : 0)),
+        ]));
+        const vectorA = termFrequencies(termsA, weights);
+        const vectorB = termFrequencies(termsB, weights);
+
+        let dot = 0;
+        for (const [term, weight] of vectorA) dot += weight * (vectorB.get(term) ?? 0);
+        const norm = vector => Math.sqrt(Array.from(vector.values()).reduce((acc, w) => acc + w * w, 0));
+        const denominator = norm(vectorA) * norm(vectorB);
+        return denominator === 0 ? 0 : dot / denominator;
+    }
+}
+
+/**
+ * Términos de un texto tal y como los indexa y compara el comparador: de contenido, con los
+ * antónimos plegados y recortados.
+ * @private
+ */
+function indexTerms(text) {
+    return new Set(contentTerms(tokenize(text)).map(term => stem(foldAntonym(term))));
+}
+
+/**
+ * Términos de contenido: sin palabras vacías ni negaciones.
+ * @private
+ */
+function contentTerms(tokens) {
+    return tokens.filter(token => !STOPWORDS.has(token) && !NEGATIONS.has(token));
+}
+
+/**
+ * Recorte de sufijos flexivos comunes (inglés y español): "emerges", "emerge" → "emerg";
+ * "expanding", "expande" → "expand". No es un lematizador, solo acerca las formas de una palabra.
+ * @private
+ */
+function stem(term) {
+    if (term.length <= 4) return term;
+    for (const suffix of ['ing', 'ed', 'es', 's', 'e']) {
+        if (term.endsWith(suffix) && term.length - suffix.length >= 3) return term.slice(0, -suffix.length);
+    }
+    return term;
+}
+
+/**
+ * @private
+ */
+function foldAntonym(term) {
+    const other = ANTONYM_OF.get(term);
+    return other !== undefined && other < term ? other : term;
+}
+
+/**
+ * Paridad de negaciones: true si el texto afirma.
+ * @private
+ */
+function polarity(tokens) {
+    return tokens.filter(token => NEGATIONS.has(token)).length % 2 === 0;
+}
+
+/**
+ * Pares [a, b] con a en un texto y su antónimo b solo en el otro.
+ * @private
+ */
+function antonymPairs(termsA, termsB) {
+    const setA = new Set(termsA);
+    const setB = new Set(termsB);
+    const pairs = [];
+    for (const term of setA) {
+        const other = ANTONYM_OF.get(term);
+        if (other !== undefined && setB.has(other) && !setB.has(term) && !setA.has(other)) pairs.push([term, other]);
+    }
+    return pairs;
+}
+
+/**
+ * @private
+ */
+function shingles(terms, size) {
+    if (terms.length < size) return new Set(terms.length ? [terms.join(' ')] : []);
+    const result = new Set();
+    for (let i = 0; i + size <= terms.length; i++) result.add(terms.slice(i, i + size).join(' '));
+    return result;
+}
+
+/**
+ * @private
+ */
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let intersection = 0;
+    for (const item of a) if (b.has(item)) intersection++;
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * @private
+ */
+function termFrequencies(terms, weights) {
+    const vector = new Map();
+    for (const term of terms) vector.set(term, (vector.get(term) ?? 0) + weights.get(term));
+    return vector;
+}
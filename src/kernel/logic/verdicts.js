@@ -0,0 +1,22 @@
+// src/kernel/logic/verdicts.js
+// Veredictos del Epistemic Integrity Framework (EIF), compartidos por el juicio y sus reglas.
+
+export const VERDICTS = Object.freeze({
+    COHERENT: 'COHERENT',
+    REDUNDANT: 'REDUNDANT',
+    TENSION: 'TENSION',
+    CONTRADICTION: 'CONTRADICTION',
+    INVALID: 'INVALID', // El valor no cumple el esquema registrado para su clave.
+});
+
+// De menor a mayor gravedad: el veredicto de un lote es el más grave de sus deltas.
+export const VERDICT_ORDER = Object.freeze([
+    VERDICTS.REDUNDANT,
+    VERDICTS.COHERENT,
+    VERDICTS.TENSION,
+    VERDICTS.CONTRADICTION,
+    VERDICTS.INVALID,
+]);
+
+// Veredictos que permiten integrar el delta en el IIS.
+export const INTEGRABLE_VERDICTS = Object.freeze([VERDICTS.COHERENT, VERDICTS.REDUNDANT]);
@@ -1,14 +1,35 @@
 // FORGED: src/kernel/meta_universe.js
 
-export class MetaUniverse {
+import { EventEmitter } from 'node:events';
+import { resolveRandom } from '../utils/random.js';
+
+/**
+ * Eventos emitidos por el Meta-Universo:
+ *  - 'tick':          el mismo objeto que devuelve tick().
+ *  - 'newBest':       { tick, score, previous, tour, strategy } al mejorar el mejor score.
+ *  - 'evolution':     { tick, generation, populationSize, elites, born, died } tras cada evolución.
+ *  - 'strategyBorn':  { tick, strategy, origin, parents } con origin 'crossover', 'mutation' o 'manual'.
+ *  - 'strategyDied':  { tick, strategy, coherence, uses } al quedar fuera de la nueva generación.
+ *  - 'converged':     { tick, bestScore, ticksSinceImprovement } tras `convergencePatience` ticks sin
+ *                     mejorar. Se emite una vez por estancamiento; un nuevo mejor score lo rearma.
+ */
+export class MetaUniverse extends EventEmitter {
     /**
      * Meta-Universe: ecosistema evolutivo de estrategias mínimas (COCs).
      * @param {object} config - Configuración evolutiva
+     * @param {number | string | { next: () => number }} [config.rng] - Semilla o generador para toda la
+     *        aleatoriedad evolutiva (selección, crossover, mutación, aceptación de Metropolis).
+     * @param {number} [config.convergencePatience=500] - Ticks sin mejorar el mejor score tras los
+     *        que se emite 'converged'.
      * @param {object} environment - Entorno (e.g., TSP, Protein)
      * @param {Array} initialPopulation - COCs iniciales
      * @param {object} strategyLibrary - Genoma de estrategias disponibles
      */
     constructor(config, environment, initialPopulation = [], strategyLibrary = {}) {
+        super();
+        const { rng, ...evolutionConfig } = config || {};
+        this.rng = resolveRandom(rng);
+
         this.config = {
             maxPopulation: 100,
             crossoverRate: 0.7,
@@ -18,7 +39,8 @@ export class MetaUniverse {
             initialTemperature: 100.0,
             coolingRate: 0.999,
             explorationRate: 0.05,
-            ...config
+            convergencePatience: 500,
+            ...evolutionConfig
         };
 
         this.environment = environment;
@@ -31,6 +53,9 @@ export class MetaUniverse {
         this.temperature = this.config.initialTemperature;
         this.bestTour = null;
         this.bestDistance = Infinity;
+        this.lastImprovementTick = 0;
+        this.generation = 0;
+        this.converged = false;
     }
 
     /**
@@ -53,7 +78,7 @@ export class MetaUniverse {
         const finalScore = this.environment.evaluate();
         const deltaScore = finalScore - initialScore;
 
-        strategy.feedback(deltaScore, this.temperature);
+        strategy.feedback(deltaScore, this.temperature, this.rng);
 
         let logMessage = null;
 
@@ -67,7 +92,15 @@ export class MetaUniverse {
             }
 
             logMessage = `✨ Nuevo Mejor Score: ${this.bestDistance.toFixed(2)} (supera ${oldBest.toFixed(2)})`;
-            console.log(`\n${logMessage}`);
+            this.lastImprovementTick = this.tickCount;
+            this.converged = false;
+            this.emit('newBest', {
+                tick: this.tickCount,
+                score: finalScore,
+                previous: oldBest,
+                tour: this.bestTour,
+                strategy: strategy.toString()
+            });
         }
 
         // Evolución periódica
@@ -78,7 +111,7 @@ export class MetaUniverse {
         // Enfriamiento
         this.temperature *= this.config.coolingRate;
 
-        return {
+        const info = {
             tick: this.tickCount,
             applied: applied,
             strategy: strategy.toString(),
@@ -87,23 +120,33 @@ export class MetaUniverse {
             temperature: this.temperature.toFixed(3),
             logMessage
         };
+        this.emit('tick', info);
+
+        // Convergencia: estancamiento del mejor score
+        const ticksSinceImprovement = this.tickCount - this.lastImprovementTick;
+        if (!this.converged && ticksSinceImprovement >= this.config.convergencePatience) {
+            this.converged = true;
+            this.emit('converged', { tick: this.tickCount, bestScore: this.bestDistance, ticksSinceImprovement });
+        }
+
+        return info;
     }
 
     /**
      * Selección de estrategia (ε-greedy).
      */
     selectStrategy() {
-        if (Math.random() < this.config.explorationRate) {
-            const randIndex = Math.floor(Math.random() * this.population.length);
+        if (this.rng.next() < this.config.explorationRate) {
+            const randIndex = Math.floor(this.rng.next() * this.population.length);
             return this.population[randIndex];
         }
 
         const totalCoherence = this.population.reduce((sum, coc) => sum + coc.coherence, 0);
         if (totalCoherence === 0) {
-            return this.population[Math.floor(Math.random() * this.population.length)];
+            return this.population[Math.floor(this.rng.next() * this.population.length)];
         }
 
-        const r = Math.random() * totalCoherence;
+        const r = this.rng.next() * totalCoherence;
         let acc = 0;
         for (const coc of this.population) {
             acc += coc.coherence;
@@ -123,29 +166,55 @@ export class MetaUniverse {
         const eliteCount = Math.floor(this.population.length * this.config.eliteSurvivalRate);
         const elites = this.population.slice(0, eliteCount);
         const newPopulation = [...elites];
+        const births = [];
 
         while (newPopulation.length < this.config.maxPopulation) {
-            const useCrossover = Math.random() < this.config.crossoverRate;
+            const useCrossover = this.rng.next() < this.config.crossoverRate;
 
             if (useCrossover) {
                 const parentA = this.tournamentSelect();
                 const parentB = this.tournamentSelect();
                 if (parentA && parentB && parentA.id !== parentB.id) {
-                    const child = parentA.crossover(parentB, this.strategyLibrary);
+                    const child = parentA.crossover(parentB, this.strategyLibrary, this.rng);
                     newPopulation.push(child);
+                    births.push({ strategy: child, origin: 'crossover', parents: [parentA.id, parentB.id] });
                 } else if (parentA) {
-                    newPopulation.push(parentA.cloneWithMutation(this.strategyLibrary));
+                    const child = parentA.cloneWithMutation(this.strategyLibrary, this.rng);
+                    newPopulation.push(child);
+                    births.push({ strategy: child, origin: 'mutation', parents: [parentA.id] });
                 }
             } else {
                 const parent = this.tournamentSelect();
                 if (parent) {
-                    const child = parent.cloneWithMutation(this.strategyLibrary);
+                    const child = parent.cloneWithMutation(this.strategyLibrary, this.rng);
                     newPopulation.push(child);
+                    births.push({ strategy: child, origin: 'mutation', parents: [parent.id] });
                 }
             }
         }
 
+        const previousPopulation = this.population;
         this.population = newPopulation.slice(0, this.config.maxPopulation);
+        this.generation++;
+
+        const survivors = new Set(this.population);
+        const born = births.filter(({ strategy }) => survivors.has(strategy));
+        const died = previousPopulation.filter(coc => !survivors.has(coc));
+
+        for (const birth of born) {
+            this.emit('strategyBorn', { tick: this.tickCount, ...birth });
+        }
+        for (const coc of died) {
+            this.emit('strategyDied', { tick: this.tickCount, strategy: coc, coherence: coc.coherence, uses: coc.uses });
+        }
+        this.emit('evolution', {
+            tick: this.tickCount,
+            generation: this.generation,
+            populationSize: this.population.length,
+            elites: elites.length,
+            born: born.length,
+            died: died.length
+        });
     }
 
     /**
@@ -154,7 +223,7 @@ export class MetaUniverse {
     tournamentSelect(k = 3) {
         let best = null;
         for (let i = 0; i < k; i++) {
-            const randIndex = Math.floor(Math.random() * this.population.length);
+            const randIndex = Math.floor(this.rng.next() * this.population.length);
             const candidate = this.population[randIndex];
             if (!best || candidate.coherence > best.coherence) {
                 best = candidate;
@@ -168,6 +237,7 @@ export class MetaUniverse {
      */
     addStrategy(coc) {
         this.population.push(coc);
+        this.emit('strategyBorn', { tick: this.tickCount, strategy: coc, origin: 'manual', parents: [] });
     }
 
     /**
@@ -0,0 +1,180 @@
+/**
+ * @file src/kernel/metrics/coherence.js
+ * @description Observables de coherencia del Universo.
+ *              - Parámetro de orden global: longitud media resultante R = |⟨x_i⟩| sobre S^(n-1).
+ *              - Sincronización por cluster (componentes conexas de la red de conexiones).
+ *              - Energía de alineamiento por pares: E = -Σ_i Σ_j w_ij (x_i · x_j).
+ *              - Coherencia y operabilidad locales de cada COC a partir de su vecindario.
+ *              - Convergencia de la población hacia sus telos.
+ */
+
+import { telosConvergence } from '../dynamics/telos.js';
+
+/**
+ * Suma de un conjunto de vectores de estado.
+ * @private
+ */
+function resultant(states) {
+    const sum = new Array(states[0].length).fill(0);
+    for (const state of states) {
+        for (let k = 0; k < sum.length; k++) sum[k] += state[k];
+    }
+    return sum;
+}
+
+/**
+ * @private
+ */
+function magnitude(vec) {
+    return Math.sqrt(vec.reduce((acc, x) => acc + x * x, 0));
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a.reduce((acc, x, k) => acc + x * b[k], 0);
+}
+
+/**
+ * Parámetro de orden (longitud media resultante) de un conjunto de estados en S^(n-1).
+ * Vale 1 cuando todos los estados coinciden y ~0 cuando están dispersos uniformemente.
+ * @param {number[][]} states
+ * @returns {{ orderParameter: number, meanDirection: number[] }}
+ */
+export function orderParameter(states) {
+    if (states.length === 0) {
+        return { orderParameter: 0, meanDirection: [0, 0, 0] };
+    }
+    const sum = resultant(states);
+    const length = magnitude(sum);
+    return {
+        orderParameter: length / states.length,
+        meanDirection: length === 0 ? [0, 0, 0] : sum.map(x => x / length),
+    };
+}
+
+/**
+ * Componentes conexas de la red, tratando cada conexión como no dirigida.
+ * Las conexiones hacia IDs que ya no existen en el universo se ignoran.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {string[][]}
+ */
+export function findClusters(cocs) {
+    const adjacency = new Map(Array.from(cocs.keys(), id => [id, new Set()]));
+    for (const [id, coc] of cocs.entries()) {
+        for (const neighborId of coc.connections.keys()) {
+            if (adjacency.has(neighborId) && neighborId !== id) {
+                adjacency.get(id).add(neighborId);
+                adjacency.get(neighborId).add(id);
+            }
+        }
+    }
+
+    const visited = new Set();
+    const clusters = [];
+    for (const id of adjacency.keys()) {
+        if (visited.has(id)) continue;
+        const members = [];
+        const queue = [id];
+        visited.add(id);
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            members.push(current);
+            for (const neighborId of adjacency.get(current)) {
+                if (!visited.has(neighborId)) {
+                    visited.add(neighborId);
+                    queue.push(neighborId);
+                }
+            }
+        }
+        clusters.push(members);
+    }
+    return clusters;
+}
+
+/**
+ * Energía de alineamiento por pares E = -Σ_i Σ_j w_ij (x_i · x_j).
+ * Es mínima (más negativa) cuando cada COC apunta hacia sus vecinos.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {number}
+ */
+export function alignmentEnergy(cocs) {
+    let energy = 0;
+    for (const coc of cocs.values()) {
+        for (const [neighborId, weight] of coc.connections.entries()) {
+            const neighbor = cocs.get(neighborId);
+            if (neighbor) {
+                energy -= weight * dot(coc.state, neighbor.state);
+            }
+        }
+    }
+    return energy;
+}
+
+/**
+ * Coherencia y operabilidad locales de un COC.
+ * - coherence: parámetro de orden ponderado de su vecindario, |Σ_j w_ij x_j| / Σ_j |w_ij|.
+ * - operability: alineamiento del COC con el campo medio de su vecindario, (1 + x_i · m_i) / 2.
+ * Un COC sin vecinos tiene coherencia y operabilidad nulas.
+ * @param {import('../core/coc.js').default} coc
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{ coherence: number, operability: number }}
+ */
+export function localCoherence(coc, cocs) {
+    const field = new Array(coc.state.length).fill(0);
+    let totalWeight = 0;
+    for (const [neighborId, weight] of coc.connections.entries()) {
+        const neighbor = cocs.get(neighborId);
+        if (!neighbor) continue;
+        for (let k = 0; k < field.length; k++) field[k] += weight * neighbor.state[k];
+        totalWeight += Math.abs(weight);
+    }
+
+    if (totalWeight === 0) {
+        return { coherence: 0, operability: 0 };
+    }
+
+    const fieldLength = magnitude(field);
+    const meanField = fieldLength === 0 ? field : field.map(x => x / fieldLength);
+    return {
+        coherence: fieldLength / totalWeight,
+        operability: fieldLength === 0 ? 0.5 : (1 + dot(coc.state, meanField)) / 2,
+    };
+}
+
+/**
+ * Calcula todas las métricas de coherencia del estado presente de un universo.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{
+ *   orderParameter: number,
+ *   meanDirection: number[],
+ *   alignmentEnergy: number,
+ *   clusters: { members: string[], size: number, orderParameter: number }[],
+ *   local: Object<string, { coherence: number, operability: number }>,
+ *   telos: { count: number, meanDistance: number, converged: number }
+ * }}
+ */
+export function computeMetrics(cocs) {
+    const global = orderParameter(Array.from(cocs.values(), coc => coc.state));
+
+    const clusters = findClusters(cocs).map(members => ({
+        members,
+        size: members.length,
+        orderParameter: orderParameter(members.map(id => cocs.get(id).state)).orderParameter,
+    }));
+
+    const local = {};
+    for (const [id, coc] of cocs.entries()) {
+        local[id] = localCoherence(coc, cocs);
+    }
+
+    return {
+        orderParameter: global.orderParameter,
+        meanDirection: global.meanDirection,
+        alignmentEnergy: alignmentEnergy(cocs),
+        clusters,
+        local,
+        telos: telosConvergence(cocs.values()),
+    };
+}
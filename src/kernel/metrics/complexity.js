@@ -0,0 +1,293 @@
+/**
+ * @file src/kernel/metrics/complexity.js
+ * @description Análisis de complejidad de la memoria de firmas de los COCs.
+ *              Cada tick, `snapshotSignature()` reduce el estado de un COC a un escalar (su firma)
+ *              y lo guarda en una ventana deslizante. Este módulo define firmas más ricas que la
+ *              suma de componentes y calcula sobre esa serie temporal:
+ *              - Entropía de Shannon (histograma) y entropía de permutación (Bandt–Pompe).
+ *              - Complejidad de Lempel–Ziv (LZ76) de la serie binarizada en la mediana.
+ *              - Autocorrelación y frecuencia dominante (DFT).
+ */
+
+import { resolveTelos } from '../dynamics/telos.js';
+
+const sum = Object.freeze({
+    name: 'sum',
+    /** Suma de componentes: proxy de la 'polaridad' (firma histórica). */
+    compute: (state) => state.reduce((acc, val) => acc + val, 0),
+});
+
+const polar = Object.freeze({
+    name: 'polar',
+    /** Ángulo polar θ ∈ [0, π] respecto al último eje (z en S²). */
+    compute: (state) => Math.acos(Math.min(1, Math.max(-1, state[state.length - 1]))),
+});
+
+const azimuth = Object.freeze({
+    name: 'azimuth',
+    /** Ángulo azimutal φ ∈ (-π, π] en el plano de los dos primeros ejes (la fase en S¹). */
+    compute: (state) => Math.atan2(state[1], state[0]),
+});
+
+const octant = Object.freeze({
+    name: 'octant',
+    /** Símbolo discreto 0..2^n-1: ortante que ocupa el estado (octante en S², bit alto = primer eje). */
+    compute: (state) => state.reduce((code, x) => code * 2 + (x >= 0 ? 1 : 0), 0),
+});
+
+const telos = Object.freeze({
+    name: 'telos',
+    /** Distancia geodésica (radianes) al telos del COC; 0 si el telos no tiene atractor. */
+    compute: (state, coc) => resolveTelos(coc?.telos)?.distance(state) ?? 0,
+});
+
+export const SIGNATURES = Object.freeze({ sum, polar, azimuth, octant, telos });
+
+/**
+ * Resuelve la opción `signature` del Universo a una definición de firma concreta.
+ * @param {string | { name: string, compute: Function }} signature - Nombre registrado o firma propia.
+ * @returns {{ name: string, compute: (state: number[], coc?: object) => number }}
+ */
+export function resolveSignature(signature = 'sum') {
+    if (typeof signature === 'string') {
+        const resolved = SIGNATURES[signature];
+        if (!resolved) {
+            throw new Error(`[Universe] Firma desconocida: '${signature}'. Disponibles: ${Object.keys(SIGNATURES).join(', ')}.`);
+        }
+        return resolved;
+    }
+    if (signature && typeof signature.compute === 'function') {
+        return signature;
+    }
+    throw new TypeError('[Universe] La firma debe ser un nombre registrado o un objeto con método compute().');
+}
+
+/**
+ * Entropía de Shannon de la serie discretizada en `bins` intervalos iguales entre su mínimo y su máximo.
+ * @param {number[]} series
+ * @param {object} [options]
+ * @param {number} [options.bins=8]
+ * @param {boolean} [options.normalize=true] - Divide por log2(bins) para obtener un valor en [0, 1].
+ * @returns {number | null} - En bits (o normalizada); null si la serie está vacía.
+ */
+export function shannonEntropy(series, { bins = 8, normalize = true } = {}) {
+    if (series.length === 0) return null;
+    // Una sola pasada y sin spread: memoryWindow puede superar el límite de argumentos.
+    const { min, max } = series.reduce(
+        (acc, x) => ({ min: Math.min(acc.min, x), max: Math.max(acc.max, x) }),
+        { min: Infinity, max: -Infinity }
+    );
+    const span = max - min;
+    const counts = new Array(bins).fill(0);
+    for (const value of series) {
+        const bin = span === 0 ? 0 : Math.min(bins - 1, Math.floor((value - min) / span * bins));
+        counts[bin]++;
+    }
+
+    let entropy = 0;
+    for (const count of counts) {
+        if (count > 0) {
+            const p = count / series.length;
+            entropy -= p * Math.log2(p);
+        }
+    }
+    return normalize ? entropy / Math.log2(bins) : entropy;
+}
+
+/**
+ * Entropía de permutación (Bandt–Pompe): entropía de los patrones ordinales de longitud `order`.
+ * Los empates se ordenan por posición.
+ * @param {number[]} series
+ * @param {object} [options]
+ * @param {number} [options.order=3]
+ * @param {number} [options.delay=1]
+ * @param {boolean} [options.normalize=true] - Divide por log2(order!) para obtener un valor en [0, 1].
+ * @returns {number | null} - null si la serie no contiene ningún patrón completo.
+ */
+export function permutationEntropy(series, { order = 3, delay = 1, normalize = true } = {}) {
+    const patterns = series.length - (order - 1) * delay;
+    if (order < 2 || patterns <= 0) return null;
+
+    const counts = new Map();
+    for (let t = 0; t < patterns; t++) {
+        const window = Array.from({ length: order }, (_, k) => series[t + k * delay]);
+        const key = window
+            .map((value, k) => [value, k])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+            .map(([, k]) => k)
+            .join(',');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / patterns;
+        entropy -= p * Math.log2(p);
+    }
+    if (!normalize) return entropy;
+
+    let factorial = 1;
+    for (let k = 2; k <= order; k++) factorial *= k;
+    return entropy / Math.log2(factorial);
+}
+
+/**
+ * Complejidad de Lempel–Ziv (LZ76, algoritmo de Kaspar–Schuster) de la serie binarizada
+ * respecto a su mediana.
+ * @param {number[]} series
+ * @param {object} [options]
+ * @param {boolean} [options.normalize=true] - Multiplica por log2(n)/n: ~1 para ruido, →0 para series regulares.
+ * @returns {number | null} - null si la serie está vacía.
+ */
+export function lempelZivComplexity(series, { normalize = true } = {}) {
+    const n = series.length;
+    if (n === 0) return null;
+
+    const sorted = [...series].sort((a, b) => a - b);
+    const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    const s = series.map(value => (value > median ? 1 : 0));
+
+    let complexity = 1;
+    if (n > 1) {
+        let i = 0, k = 1, l = 1, kMax = 1;
+        while (true) {
+            if (s[i + k - 1] === s[l + k - 1]) {
+                k++;
+                if (l + k > n) {
+                    complexity++;
+                    break;
+                }
+            } else {
+                kMax = Math.max(k, kMax);
+                i++;
+                if (i === l) {
+                    complexity++;
+                    l += kMax;
+                    if (l + 1 > n) break;
+                    i = 0;
+                    k = 1;
+                    kMax = 1;
+                } else {
+                    k = 1;
+                }
+            }
+        }
+    }
+
+    return normalize && n > 1 ? complexity * Math.log2(n) / n : complexity;
+}
+
+/**
+ * Función de autocorrelación normalizada r(τ) para τ = 0..maxLag.
+ * Una serie constante no tiene varianza: r(0) = 1 y r(τ > 0) = 0.
+ * @param {number[]} series
+ * @param {number} [maxLag=floor(n / 2)]
+ * @returns {number[]}
+ */
+export function autocorrelation(series, maxLag = Math.floor(series.length / 2)) {
+    const n = series.length;
+    if (n === 0) return [];
+    const lags = Math.min(maxLag, n - 1);
+    const mean = series.reduce((acc, x) => acc + x, 0) / n;
+    const centered = series.map(x => x - mean);
+    const variance = centered.reduce((acc, x) => acc + x * x, 0);
+
+    const result = [1];
+    for (let lag = 1; lag <= lags; lag++) {
+        if (variance === 0) {
+            result.push(0);
+            continue;
+        }
+        let acc = 0;
+        for (let t = 0; t + lag < n; t++) acc += centered[t] * centered[t + lag];
+        result.push(acc / variance);
+    }
+    return result;
+}
+
+/**
+ * Frecuencia dominante de la serie (sin su media) según su espectro de potencia (DFT).
+ * @param {number[]} series
+ * @returns {{ frequency: number, period: number, power: number }}
+ *          Frecuencia en ciclos por tick, periodo en ticks y potencia relativa del pico en [0, 1].
+ *          Una serie sin oscilación devuelve frecuencia 0 y periodo Infinity.
+ */
+export function dominantFrequency(series) {
+    const n = series.length;
+    const none = { frequency: 0, period: Infinity, power: 0 };
+    if (n < 2) return none;
+
+    const mean = series.reduce((acc, x) => acc + x, 0) / n;
+    let best = 0, bestPower = 0, totalPower = 0;
+    for (let k = 1; k <= Math.floor(n / 2); k++) {
+        let re = 0, im = 0;
+        for (let t = 0; t < n; t++) {
+            const angle = -2 * Math.PI * k * t / n;
+            re += (series[t] - mean) * Math.cos(angle);
+            im += (series[t] - mean) * Math.sin(angle);
+        }
+        const power = re * re + im * im;
+        totalPower += power;
+        if (power > bestPower) {
+            best = k;
+            bestPower = power;
+        }
+    }
+    // Umbral relativo: por debajo, la "oscilación" es error de redondeo de una serie constante.
+    if (best === 0 || bestPower <= Number.EPSILON * n * n) return none;
+    return { frequency: best / n, period: n / best, power: bestPower / totalPower };
+}
+
+/**
+ * Todos los observables de complejidad de una serie de firmas.
+ * @param {number[]} series
+ * @param {object} [options]
+ * @param {number} [options.bins=8] - Intervalos de la entropía de Shannon.
+ * @param {number} [options.order=3] - Orden de la entropía de permutación.
+ * @param {number} [options.delay=1] - Retardo de la entropía de permutación.
+ * @param {number} [options.maxLag] - Retardo máximo de la autocorrelación.
+ * @returns {object}
+ */
+export function analyzeSeries(series, { bins = 8, order = 3, delay = 1, maxLag } = {}) {
+    const acf = autocorrelation(series, maxLag);
+    const { frequency, period, power } = dominantFrequency(series);
+    return {
+        length: series.length,
+        shannonEntropy: shannonEntropy(series, { bins }),
+        permutationEntropy: permutationEntropy(series, { order, delay }),
+        lempelZiv: lempelZivComplexity(series),
+        autocorrelation: acf,
+        lag1Autocorrelation: acf.length > 1 ? acf[1] : null,
+        dominantFrequency: frequency,
+        dominantPeriod: period,
+        spectralPower: power,
+    };
+}
+
+const SCALAR_OBSERVABLES = [
+    'shannonEntropy', 'permutationEntropy', 'lempelZiv', 'lag1Autocorrelation', 'dominantFrequency', 'spectralPower',
+];
+
+/**
+ * Análisis de complejidad por COC y agregado sobre el universo, a partir de `coc.memory`.
+ * @param {Map<string, import('../core/coc.js').default> | Iterable<import('../core/coc.js').default>} cocs
+ * @param {object} [options] - Opciones de analyzeSeries(), más:
+ * @param {number} [options.window] - Usa solo las últimas `window` firmas de cada memoria.
+ * @returns {{ perCOC: Object<string, object>, aggregate: Object<string, number | null> & { count: number } }}
+ *          `aggregate` promedia cada observable escalar sobre los COCs donde está definido.
+ */
+export function analyzeComplexity(cocs, { window, ...options } = {}) {
+    const list = cocs instanceof Map ? Array.from(cocs.values()) : Array.from(cocs);
+    const perCOC = {};
+    for (const coc of list) {
+        const series = window === undefined ? coc.memory : coc.memory.slice(-window);
+        perCOC[coc.id] = analyzeSeries(series, options);
+    }
+
+    const aggregate = { count: list.length };
+    for (const key of SCALAR_OBSERVABLES) {
+        const values = Object.values(perCOC).map(analysis => analysis[key]).filter(value => value !== null);
+        aggregate[key] = values.length === 0 ? null : values.reduce((acc, x) => acc + x, 0) / values.length;
+    }
+    return { perCOC, aggregate };
+}
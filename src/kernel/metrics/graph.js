@@ -0,0 +1,406 @@
+/**
+ * @file src/kernel/metrics/graph.js
+ * @description Análisis de la red de conexiones de los COCs (`coc.connections`).
+ *              Ayuda a diagnosticar por qué un universo no sincroniza: una red fragmentada, con
+ *              conectividad algebraica baja o comunidades débilmente unidas frena la difusión del
+ *              alineamiento.
+ *              - Componentes conexas y distribución de grados (no dirigido, entrada, salida, fuerza).
+ *              - Coeficientes de clustering local, medio y global (transitividad).
+ *              - Espectro del Laplaciano ponderado L = D − W: conectividad algebraica λ₂ y vector de Fiedler.
+ *              - Comunidades por el método de Louvain (maximización de modularidad).
+ *              Salvo los grados de entrada/salida, la red se trata como no dirigida con peso
+ *              simétrico (w_ij + w_ji) / 2; las conexiones colgantes y los bucles se ignoran.
+ */
+
+import { findClusters } from './coherence.js';
+
+/**
+ * Red no dirigida: índice de cada ID y, por nodo, sus vecinos con peso simétrico.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{ ids: string[], index: Map<string, number>, neighbors: Map<number, number>[] }}
+ */
+export function undirectedAdjacency(cocs) {
+    const ids = Array.from(cocs.keys());
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const neighbors = ids.map(() => new Map());
+    ids.forEach((id, i) => {
+        for (const [neighborId, weight] of cocs.get(id).connections.entries()) {
+            const j = index.get(neighborId);
+            if (j === undefined || j === i) continue;
+            neighbors[i].set(j, (neighbors[i].get(j) ?? 0) + weight / 2);
+            neighbors[j].set(i, (neighbors[j].get(i) ?? 0) + weight / 2);
+        }
+    });
+    return { ids, index, neighbors };
+}
+
+/**
+ * Resumen estadístico de una serie de enteros o reales.
+ * @private
+ */
+function summarize(values, { histogram = false } = {}) {
+    if (values.length === 0) return { mean: 0, min: 0, max: 0, ...(histogram ? { histogram: {} } : {}) };
+    const summary = {
+        mean: values.reduce((acc, x) => acc + x, 0) / values.length,
+        // Sin spread: Math.min(...values) supera el límite de argumentos en redes grandes.
+        min: values.reduce((acc, x) => Math.min(acc, x), Infinity),
+        max: values.reduce((acc, x) => Math.max(acc, x), -Infinity),
+    };
+    if (histogram) {
+        summary.histogram = {};
+        for (const value of [...values].sort((a, b) => a - b)) {
+            summary.histogram[value] = (summary.histogram[value] ?? 0) + 1;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Componentes conexas (ver findClusters), de la mayor a la menor.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{ count: number, sizes: number[], largest: number, components: string[][] }}
+ */
+export function connectedComponents(cocs) {
+    const components = findClusters(cocs).sort((a, b) => b.length - a.length);
+    return {
+        count: components.length,
+        sizes: components.map(members => members.length),
+        largest: components.length === 0 ? 0 : components[0].length,
+        components,
+    };
+}
+
+/**
+ * Distribuciones de grado de la red.
+ * - degree: vecinos distintos en la red no dirigida (con histograma grado → número de COCs).
+ * - inDegree / outDegree: conexiones dirigidas entrantes y salientes.
+ * - strength: suma de |w_ij| de las conexiones salientes.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{ degree: object, inDegree: object, outDegree: object, strength: object,
+ *             perCOC: Object<string, { degree: number, inDegree: number, outDegree: number, strength: number }> }}
+ */
+export function degreeDistribution(cocs) {
+    const { ids, index, neighbors } = undirectedAdjacency(cocs);
+    const inDegree = new Array(ids.length).fill(0);
+    const outDegree = new Array(ids.length).fill(0);
+    const strength = new Array(ids.length).fill(0);
+    ids.forEach((id, i) => {
+        for (const [neighborId, weight] of cocs.get(id).connections.entries()) {
+            const j = index.get(neighborId);
+            if (j === undefined || j === i) continue;
+            outDegree[i]++;
+            inDegree[j]++;
+            strength[i] += Math.abs(weight);
+        }
+    });
+    const degree = neighbors.map(map => map.size);
+
+    const perCOC = {};
+    ids.forEach((id, i) => {
+        perCOC[id] = { degree: degree[i], inDegree: inDegree[i], outDegree: outDegree[i], strength: strength[i] };
+    });
+    return {
+        degree: summarize(degree, { histogram: true }),
+        inDegree: summarize(inDegree),
+        outDegree: summarize(outDegree),
+        strength: summarize(strength),
+        perCOC,
+    };
+}
+
+/**
+ * Coeficientes de clustering (sin pesos) de la red no dirigida.
+ * - local: C_i = triángulos_i / (k_i (k_i − 1) / 2); 0 si k_i < 2.
+ * - average: media de C_i sobre todos los COCs.
+ * - global: transitividad, 3 · triángulos / tripletes conectados.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @returns {{ average: number, global: number, local: Object<string, number> }}
+ */
+export function clusteringCoefficients(cocs) {
+    const { ids, neighbors } = undirectedAdjacency(cocs);
+    const local = {};
+    let closed = 0;
+    let triples = 0;
+    ids.forEach((id, i) => {
+        const adjacent = Array.from(neighbors[i].keys());
+        const k = adjacent.length;
+        let links = 0;
+        for (let a = 0; a < k; a++) {
+            for (let b = a + 1; b < k; b++) {
+                if (neighbors[adjacent[a]].has(adjacent[b])) links++;
+            }
+        }
+        const pairs = k * (k - 1) / 2;
+        local[id] = pairs === 0 ? 0 : links / pairs;
+        closed += links;
+        triples += pairs;
+    });
+    return {
+        average: ids.length === 0 ? 0 : Object.values(local).reduce((acc, c) => acc + c, 0) / ids.length,
+        global: triples === 0 ? 0 : closed / triples,
+        local,
+    };
+}
+
+/**
+ * Autovalores y autovectores de una matriz simétrica por el método de Jacobi cíclico.
+ * @private
+ * @returns {{ values: number[], vectors: number[][] }} - vectors[k] es el autovector de values[k].
+ */
+function symmetricEigen(matrix, { tolerance = 1e-12, maxSweeps = 100 } = {}) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const scale = Math.max(1, ...a.map((row, i) => Math.abs(row[i])));
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+        if (Math.sqrt(off) <= tolerance * scale) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+                const c = 1 / Math.sqrt(t ** 2 + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = Array.from({ length: n }, (_, k) => k).sort((x, y) => a[x][x] - a[y][y]);
+    return {
+        values: order.map(k => a[k][k]),
+        vectors: order.map(k => v.map(row => row[k])),
+    };
+}
+
+/**
+ * Espectro del Laplaciano ponderado L = D − W de la red no dirigida (Jacobi, O(N³)).
+ * La multiplicidad del autovalor 0 es el número de componentes; λ₂ > 0 solo si la red es conexa,
+ * y cuanto mayor es, más rápido se difunde la sincronización.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @param {object} [options]
+ * @param {number} [options.tolerance=1e-12] - Norma relativa fuera de la diagonal a la que se detiene Jacobi.
+ * @returns {{
+ *   eigenvalues: number[],
+ *   algebraicConnectivity: number,
+ *   spectralRadius: number,
+ *   fiedlerVector: Object<string, number> | null
+ * }} - Autovalores ascendentes, λ₂, λ_max y el autovector de λ₂ por COC (null con menos de 2 COCs).
+ */
+export function laplacianSpectrum(cocs, { tolerance = 1e-12 } = {}) {
+    const { ids, neighbors } = undirectedAdjacency(cocs);
+    const n = ids.length;
+    const laplacian = Array.from({ length: n }, () => new Array(n).fill(0));
+    neighbors.forEach((map, i) => {
+        for (const [j, weight] of map.entries()) {
+            laplacian[i][j] -= weight;
+            laplacian[i][i] += weight;
+        }
+    });
+
+    const { values, vectors } = symmetricEigen(laplacian, { tolerance });
+    let fiedlerVector = null;
+    if (n >= 2) {
+        fiedlerVector = {};
+        ids.forEach((id, i) => { fiedlerVector[id] = vectors[1][i]; });
+    }
+    return {
+        eigenvalues: values,
+        algebraicConnectivity: n >= 2 ? Math.max(0, values[1]) : 0,
+        spectralRadius: n === 0 ? 0 : values[n - 1],
+        fiedlerVector,
+    };
+}
+
+/**
+ * Modularidad de una partición: Q = (1/2m) Σ_ij [A_ij − γ k_i k_j / 2m] δ(c_i, c_j).
+ * Solo cuentan los pesos simétricos positivos.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @param {string[][]} communities
+ * @param {{ resolution?: number }} [options]
+ * @returns {number}
+ */
+export function modularity(cocs, communities, { resolution = 1 } = {}) {
+    const { index, neighbors } = undirectedAdjacency(cocs);
+    const community = new Array(neighbors.length);
+    communities.forEach((members, c) => members.forEach(id => { community[index.get(id)] = c; }));
+    return partitionModularity(positive(neighbors), community, resolution);
+}
+
+/**
+ * @private
+ */
+function positive(neighbors) {
+    return neighbors.map(map => new Map(Array.from(map.entries()).filter(([, weight]) => weight > 0)));
+}
+
+/**
+ * Modularidad sobre listas de adyacencia simétricas (A_ii, si existe, es el peso interno ordenado).
+ * @private
+ */
+function partitionModularity(neighbors, community, resolution) {
+    const degree = neighbors.map(map => Array.from(map.values()).reduce((acc, w) => acc + w, 0));
+    const total = degree.reduce((acc, k) => acc + k, 0);
+    if (total === 0) return 0;
+
+    const internal = new Map();
+    const totals = new Map();
+    neighbors.forEach((map, i) => {
+        const c = community[i];
+        totals.set(c, (totals.get(c) ?? 0) + degree[i]);
+        for (const [j, weight] of map.entries()) {
+            if (community[j] === c) internal.set(c, (internal.get(c) ?? 0) + weight);
+        }
+    });
+    let q = 0;
+    for (const [c, sum] of totals.entries()) {
+        q += (internal.get(c) ?? 0) / total - resolution * (sum / total) ** 2;
+    }
+    return q;
+}
+
+/**
+ * Fase local de Louvain: mueve cada nodo a la comunidad vecina de mayor ganancia de modularidad
+ * hasta que ninguna pasada mejora.
+ * @private
+ */
+function localMoving(neighbors, resolution) {
+    const n = neighbors.length;
+    const degree = neighbors.map(map => Array.from(map.values()).reduce((acc, w) => acc + w, 0));
+    const total = degree.reduce((acc, k) => acc + k, 0);
+    const community = Array.from({ length: n }, (_, i) => i);
+    const totals = [...degree];
+    let improved = false;
+
+    let moved = true;
+    while (moved) {
+        moved = false;
+        for (let i = 0; i < n; i++) {
+            const current = community[i];
+            const links = new Map();
+            for (const [j, weight] of neighbors[i].entries()) {
+                if (j !== i) links.set(community[j], (links.get(community[j]) ?? 0) + weight);
+            }
+            totals[current] -= degree[i];
+
+            const gain = (c) => (links.get(c) ?? 0) - resolution * totals[c] * degree[i] / total;
+            let best = current;
+            let bestGain = gain(current);
+            for (const c of links.keys()) {
+                const candidate = gain(c);
+                if (candidate > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = candidate;
+                }
+            }
+
+            totals[best] += degree[i];
+            if (best !== current) {
+                community[i] = best;
+                moved = true;
+                improved = true;
+            }
+        }
+    }
+    return { community, improved };
+}
+
+/**
+ * Comunidades por el método de Louvain: fases de movimiento local y agregación de cada
+ * comunidad en un nodo, hasta que la modularidad deja de mejorar. Determinista (orden de los COCs).
+ * Solo cuentan los pesos simétricos positivos.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @param {object} [options]
+ * @param {number} [options.resolution=1] - Resolución γ: valores mayores producen comunidades más pequeñas.
+ * @returns {{ count: number, communities: string[][], membership: Object<string, number>, modularity: number }}
+ */
+export function detectCommunities(cocs, { resolution = 1 } = {}) {
+    const { ids, neighbors: symmetric } = undirectedAdjacency(cocs);
+    let neighbors = positive(symmetric);
+    const total = neighbors.reduce((acc, map) => acc + Array.from(map.values()).reduce((s, w) => s + w, 0), 0);
+    let membership = ids.map((_, i) => i);
+
+    while (total > 0) {
+        const { community, improved } = localMoving(neighbors, resolution);
+        if (!improved) break;
+
+        // Etiquetas 0..k-1 en orden de primera aparición.
+        const labels = new Map();
+        for (const c of community) if (!labels.has(c)) labels.set(c, labels.size);
+        membership = membership.map(node => labels.get(community[node]));
+
+        const aggregated = Array.from({ length: labels.size }, () => new Map());
+        neighbors.forEach((map, i) => {
+            const a = labels.get(community[i]);
+            for (const [j, weight] of map.entries()) {
+                const b = labels.get(community[j]);
+                aggregated[a].set(b, (aggregated[a].get(b) ?? 0) + weight);
+            }
+        });
+        neighbors = aggregated;
+    }
+
+    const communities = [];
+    const byLabel = new Map();
+    ids.forEach((id, i) => {
+        if (!byLabel.has(membership[i])) {
+            byLabel.set(membership[i], communities.length);
+            communities.push([]);
+        }
+        communities[byLabel.get(membership[i])].push(id);
+    });
+    const result = {};
+    ids.forEach((id, i) => { result[id] = byLabel.get(membership[i]); });
+
+    return {
+        count: communities.length,
+        communities,
+        membership: result,
+        modularity: partitionModularity(positive(symmetric), ids.map((_, i) => byLabel.get(membership[i])), resolution),
+    };
+}
+
+/**
+ * Análisis completo de la red de un universo.
+ * @param {Map<string, import('../core/coc.js').default>} cocs
+ * @param {object} [options]
+ * @param {boolean} [options.spectrum=true] - Calcula el espectro del Laplaciano (O(N³)).
+ * @param {number} [options.resolution=1] - Resolución de detectCommunities().
+ * @returns {{
+ *   components: ReturnType<typeof connectedComponents>,
+ *   degree: ReturnType<typeof degreeDistribution>,
+ *   clustering: ReturnType<typeof clusteringCoefficients>,
+ *   spectrum: ReturnType<typeof laplacianSpectrum> | null,
+ *   communities: ReturnType<typeof detectCommunities>
+ * }}
+ */
+export function analyzeGraph(cocs, { spectrum = true, resolution = 1 } = {}) {
+    return {
+        components: connectedComponents(cocs),
+        degree: degreeDistribution(cocs),
+        clustering: clusteringCoefficients(cocs),
+        spectrum: spectrum ? laplacianSpectrum(cocs) : null,
+        communities: detectCommunities(cocs, { resolution }),
+    };
+}
@@ -0,0 +1,305 @@
+/**
+ * @file src/kernel/presets.js
+ * @description Fábricas que configuran el Universo como modelos de sincronización conocidos,
+ *              para validar el kernel contra sus resultados analíticos:
+ *              - Kuramoto: osciladores de fase en S¹ con frecuencia natural ω_i y acoplo K/N,
+ *                dθ_i/dt = ω_i + (K/N) Σ_j sin(θ_j − θ_i).
+ *              - Sakaguchi–Kuramoto: el mismo modelo con desfase α, sin(θ_j − θ_i − α).
+ *              - Vicsek: alineamiento discreto con el rumbo medio de un vecindario local más
+ *                ruido angular uniforme de amplitud η.
+ */
+
+import Universe from './universe.js';
+import CoherentOntologicalCubit from './core/coc.js';
+import { generateEdges } from './topology.js';
+import { phaseOf } from './dynamics/oscillators.js';
+import { gaussian, resolveRandom } from '../utils/random.js';
+import { VectorN } from '../utils/linear_algebra.js';
+
+/**
+ * Cuantil de la normal estándar (aproximación racional de Acklam, error relativo < 1.2e-9).
+ * @private
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+        / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Frecuencias naturales de n osciladores.
+ * @param {number} n
+ * @param {number | number[] | ((i: number, rng: object) => number) | { distribution: string, quantiles?: boolean, [param: string]: any }} spec
+ *        Frecuencia común, lista explícita, función propia o distribución g(ω):
+ *        'normal' { mean=0, std=1 }, 'lorentzian' { center=0, gamma=1 } o 'uniform' { min=-1, max=1 }.
+ *        Con `quantiles: true` se toman los cuantiles (i + ½)/n en lugar de muestras aleatorias:
+ *        una muestra determinista que reproduce g(ω) sin ruido de muestreo.
+ * @param {{ next: () => number }} rng
+ * @returns {number[]}
+ */
+export function sampleFrequencies(n, spec, rng) {
+    if (typeof spec === 'number') return new Array(n).fill(spec);
+    if (Array.isArray(spec)) {
+        if (spec.length !== n) {
+            throw new Error(`[Presets] Se esperaban ${n} frecuencias naturales y se recibieron ${spec.length}.`);
+        }
+        return [...spec];
+    }
+    if (typeof spec === 'function') return Array.from({ length: n }, (_, i) => spec(i, rng));
+
+    const { distribution = 'normal', quantiles = false, ...params } = spec || {};
+    let quantile;
+    let sample;
+    switch (distribution) {
+        case 'normal': {
+            const { mean = 0, std = 1 } = params;
+            quantile = (p) => mean + std * normalQuantile(p);
+            sample = () => mean + std * gaussian(rng);
+            break;
+        }
+        case 'lorentzian': {
+            const { center = 0, gamma = 1 } = params;
+            quantile = (p) => center + gamma * Math.tan(Math.PI * (p - 0.5));
+            sample = () => quantile(rng.next());
+            break;
+        }
+        case 'uniform': {
+            const { min = -1, max = 1 } = params;
+            quantile = (p) => min + (max - min) * p;
+            sample = () => quantile(rng.next());
+            break;
+        }
+        default:
+            throw new Error(`[Presets] Distribución de frecuencias desconocida: '${distribution}'.`);
+    }
+    return Array.from({ length: n }, (_, i) => (quantiles ? quantile((i + 0.5) / n) : sample()));
+}
+
+/**
+ * Acoplo crítico de Kuramoto en el límite N → ∞: K_c = 2 / (π g(0)), con g unimodal y simétrica.
+ * @param {{ distribution: string, [param: string]: number }} spec - Distribución de sampleFrequencies().
+ * @returns {number}
+ */
+export function kuramotoCriticalCoupling(spec) {
+    const { distribution = 'normal', ...params } = spec || {};
+    switch (distribution) {
+        case 'normal':
+            return 2 * (params.std ?? 1) * Math.sqrt(2 * Math.PI) / Math.PI;
+        case 'lorentzian':
+            return 2 * (params.gamma ?? 1);
+        case 'uniform':
+            return 2 * ((params.max ?? 1) - (params.min ?? -1)) / Math.PI;
+        default:
+            throw new Error(`[Presets] Distribución de frecuencias desconocida: '${distribution}'.`);
+    }
+}
+
+/**
+ * Fases iniciales de n osciladores.
+ * @private
+ */
+function initialPhases(n, spec, rng) {
+    if (spec === 'random') return Array.from({ length: n }, () => 2 * Math.PI * rng.next());
+    if (spec === 'aligned') return new Array(n).fill(0);
+    if (Array.isArray(spec)) return [...spec];
+    if (typeof spec === 'function') return Array.from({ length: n }, (_, i) => spec(i, rng));
+    throw new Error(`[Presets] Fases iniciales inválidas: '${spec}'.`);
+}
+
+/**
+ * Crea los osciladores de fase en S¹ y los conecta según la topología.
+ * @private
+ */
+function addPhaseOscillators(universe, { n, phases, frequencies = [], edges, weight, idPrefix }) {
+    const ids = Array.from({ length: n }, (_, i) => `${idPrefix}-${i}`);
+    ids.forEach((id, i) => {
+        universe.addCOC(new CoherentOntologicalCubit({
+            id,
+            cgpNet: [Math.cos(phases[i]), Math.sin(phases[i])],
+            naturalFrequency: frequencies[i] ?? 0,
+        }));
+    });
+    for (const [i, j] of edges) {
+        universe.cocs.get(ids[i]).connectTo(ids[j], weight);
+        universe.cocs.get(ids[j]).connectTo(ids[i], weight);
+    }
+    return ids;
+}
+
+/**
+ * Universo configurado como el modelo de Kuramoto:
+ * dθ_i/dt = ω_i + (K/N) Σ_j a_ij sin(θ_j − θ_i − α).
+ * Los estados son x_i = (cos θ_i, sin θ_i) ∈ S¹; el parámetro de orden del Universo es r = |⟨e^{iθ}⟩|.
+ * @param {object} [options]
+ * @param {number} [options.n=100] - Número de osciladores.
+ * @param {number} [options.coupling=1.0] - Constante de acoplo K.
+ * @param {number | number[] | Function | object} [options.frequencies=0] - Frecuencias naturales (ver sampleFrequencies).
+ * @param {number} [options.phaseLag=0] - Desfase α.
+ * @param {'random' | 'aligned' | number[] | Function} [options.initialPhases='random']
+ * @param {string} [options.topology='complete'] - Red de acoplo (clave de TOPOLOGIES); el peso de
+ *        cada arista es 1/N, como en el modelo de campo medio.
+ * @param {object} [options.params={}] - Parámetros de la topología.
+ * @param {number} [options.noise=0] - σ del MBI.
+ * @param {number} [options.dt=0.05]
+ * @param {string | object} [options.integrator='rk4']
+ * @param {number | string | { next: () => number }} [options.rng]
+ * @param {object} [options.universe={}] - Parámetros adicionales del Universo.
+ * @returns {Universe}
+ */
+export function kuramoto({
+    n = 100,
+    coupling = 1.0,
+    frequencies = 0,
+    phaseLag = 0,
+    initialPhases: phases = 'random',
+    topology = 'complete',
+    params = {},
+    noise = 0,
+    dt = 0.05,
+    integrator = 'rk4',
+    rng,
+    universe: universeParams = {}
+} = {}) {
+    const random = resolveRandom(rng);
+    const universe = new Universe({ sigma: noise, dt, integrator, rng: random, coupling, phaseLag, ...universeParams });
+    addPhaseOscillators(universe, {
+        n,
+        phases: initialPhases(n, phases, random),
+        frequencies: sampleFrequencies(n, frequencies, random),
+        edges: generateEdges(topology, n, params, random),
+        weight: 1 / n,
+        idPrefix: 'osc',
+    });
+    return universe;
+}
+
+/**
+ * Universo configurado como el modelo de Sakaguchi–Kuramoto (Kuramoto con desfase α).
+ * Para α ≠ 0 el estado sincronizado de osciladores idénticos gira a Ω = ω − K·(N−1)/N·sin α.
+ * @param {object} [options] - Las mismas opciones que kuramoto().
+ * @param {number} [options.phaseLag=Math.PI / 4] - Desfase α ∈ (−π/2, π/2).
+ * @returns {Universe}
+ */
+export function sakaguchiKuramoto({ phaseLag = Math.PI / 4, ...options } = {}) {
+    return kuramoto({ ...options, phaseLag });
+}
+
+/**
+ * Integrador del modelo de Vicsek: cada tick es una actualización discreta
+ * θ_i ← arg(x_i + Σ_j w_ij x_j) + η·(u − ½), con u ~ U[0, 1).
+ * Ignora el campo de la EDE; el vecindario se lee de las conexiones en cada paso.
+ * @private
+ */
+function vicsekIntegrator(universe, eta) {
+    return Object.freeze({
+        name: 'vicsek',
+        step(states) {
+            const ids = Array.from(universe.cocs.keys());
+            const index = new Map(ids.map((id, i) => [id, i]));
+            return states.map((x, i) => {
+                const heading = x.clone();
+                for (const [neighborId, weight] of universe.cocs.get(ids[i]).connections.entries()) {
+                    const j = index.get(neighborId);
+                    if (j !== undefined) heading.add(states[j].clone().multiplyScalar(weight));
+                }
+                const theta = heading.magnitude() === 0 ? phaseOf(x.components) : phaseOf(heading.components);
+                const noisy = theta + eta * (universe.rng.next() - 0.5);
+                return new VectorN([Math.cos(noisy), Math.sin(noisy)]);
+            });
+        }
+    });
+}
+
+/**
+ * Vecindarios locales: cada nodo con todos los que están a ≤ radius saltos en la red base.
+ * @private
+ */
+function neighborhoods(n, edges, radius) {
+    const adjacency = Array.from({ length: n }, () => []);
+    for (const [i, j] of edges) {
+        adjacency[i].push(j);
+        adjacency[j].push(i);
+    }
+    const result = [];
+    for (let source = 0; source < n; source++) {
+        const depth = new Map([[source, 0]]);
+        const queue = [source];
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            if (depth.get(node) === radius) continue;
+            for (const next of adjacency[node]) {
+                if (!depth.has(next)) {
+                    depth.set(next, depth.get(node) + 1);
+                    queue.push(next);
+                }
+            }
+        }
+        for (const target of depth.keys()) {
+            if (source < target) result.push([source, target]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Universo configurado como el modelo de Vicsek (alineamiento de rumbos en S¹).
+ * El vecindario de alineamiento de cada COC son los COCs a ≤ `radius` saltos de una red base
+ * (por defecto, una retícula periódica: el análogo discreto de la bola de radio r del modelo
+ * original). El orden polar es el parámetro de orden del Universo: ~1 con poco ruido y ~1/√N
+ * con ruido máximo (η = 2π).
+ * @param {object} [options]
+ * @param {number} [options.n=100] - Número de COCs.
+ * @param {number} [options.eta=0.5] - Amplitud η del ruido angular, en [0, 2π].
+ * @param {number} [options.radius=1] - Radio del vecindario, en saltos.
+ * @param {string} [options.topology='lattice'] - Red base (clave de TOPOLOGIES).
+ * @param {object} [options.params] - Parámetros de la red base; por defecto, retícula periódica lo más
+ *        cuadrada posible (ver latticeColumns). Si n es primo, una sola columna: un anillo.
+ * @param {'random' | 'aligned' | number[] | Function} [options.initialPhases='random']
+ * @param {number | string | { next: () => number }} [options.rng]
+ * @param {object} [options.universe={}] - Parámetros adicionales del Universo.
+ * @returns {Universe}
+ */
+export function vicsek({
+    n = 100,
+    eta = 0.5,
+    radius = 1,
+    topology = 'lattice',
+    params = { cols: latticeColumns(n), periodic: true },
+    initialPhases: phases = 'random',
+    rng,
+    universe: universeParams = {}
+} = {}) {
+    const random = resolveRandom(rng);
+    const universe = new Universe({ sigma: 0, dt: 1, rng: random, ...universeParams });
+    universe.integrator = vicsekIntegrator(universe, eta);
+    addPhaseOscillators(universe, {
+        n,
+        phases: initialPhases(n, phases, random),
+        edges: neighborhoods(n, generateEdges(topology, n, params, random), radius),
+        weight: 1.0,
+        idPrefix: 'boid',
+    });
+    return universe;
+}
+
+/**
+ * Mayor divisor de n que no supera √n: las columnas de la retícula más cuadrada con n nodos.
+ * @private
+ */
+function latticeColumns(n) {
+    for (let cols = Math.floor(Math.sqrt(n)); cols > 1; cols--) {
+        if (n % cols === 0) return cols;
+    }
+    return 1;
+}
+
+export const PRESETS = Object.freeze({ kuramoto, sakaguchiKuramoto, vicsek });
@@ -0,0 +1,92 @@
+/**
+ * @file src/kernel/replay.js
+ * @description Grabación y replay determinista de corridas del Universo.
+ *              Una grabación es un snapshot inicial más la trayectoria de estados tick a tick;
+ *              el replay restaura el snapshot, vuelve a ejecutar la EDE y verifica que cada
+ *              estado coincide con el registrado.
+ */
+
+import Universe from './universe.js';
+
+/**
+ * Estados de todos los COCs presentes, indexados por ID.
+ * @private
+ */
+function captureStates(universe) {
+    const states = {};
+    for (const [id, coc] of universe.cocs.entries()) {
+        states[id] = [...coc.state];
+    }
+    return states;
+}
+
+/**
+ * Ejecuta `ticks` pasos del universo registrando su trayectoria.
+ * @param {Universe} universe - Universo a evolucionar (se modifica).
+ * @param {number} ticks
+ * @returns {{ snapshot: object, frames: { tick: number, states: Object<string, number[]> }[] }}
+ *          Grabación serializable como JSON.
+ */
+export function recordRun(universe, ticks) {
+    const snapshot = universe.toSnapshot();
+    const frames = [];
+    for (let t = 0; t < ticks; t++) {
+        universe.tick();
+        frames.push({ tick: universe.tickCount, states: captureStates(universe) });
+    }
+    return { snapshot, frames };
+}
+
+/**
+ * Restaura el snapshot de una grabación, la re-ejecuta y compara cada tick con lo registrado.
+ * @param {{ snapshot: object, frames: object[] }} recording - Resultado de `recordRun()`.
+ * @param {object} [options={}]
+ * @param {number} [options.tolerance=0] - Máxima diferencia por componente admitida (0 = bit a bit).
+ * @param {object} [options.overrides={}] - Parámetros no serializables a reinyectar (ver Universe.fromSnapshot).
+ * @returns {{
+ *   reproduced: boolean,
+ *   ticks: number,
+ *   maxError: number,
+ *   divergence: { tick: number, id: string, expected: number[] | undefined, actual: number[] | undefined, error: number } | null,
+ *   universe: Universe
+ * }} - `ticks` es el número de ticks re-ejecutados hasta terminar o divergir.
+ */
+export function replay(recording, { tolerance = 0, overrides = {} } = {}) {
+    const { snapshot, frames } = recording;
+    const sigma = overrides.sigma ?? snapshot.params.sigma;
+    if (!snapshot.rng && sigma !== 0 && !overrides.rng) {
+        throw new Error('[Replay] La grabación no tiene un RNG sembrado: con ruido (sigma > 0) no es reproducible.');
+    }
+
+    const universe = Universe.fromSnapshot(snapshot, overrides);
+    let maxError = 0;
+    let ticks = 0;
+
+    for (const frame of frames) {
+        universe.tick();
+        ticks++;
+
+        const actualStates = captureStates(universe);
+        const ids = new Set([...Object.keys(frame.states), ...Object.keys(actualStates)]);
+        for (const id of ids) {
+            const expected = frame.states[id];
+            const actual = actualStates[id];
+            const error = expected && actual
+                ? Math.max(...expected.map((x, k) => Math.abs(x - actual[k])))
+                : Infinity;
+            maxError = Math.max(maxError, error);
+
+            if (error > tolerance) {
+                return {
+                    reproduced: false,
+                    ticks,
+                    maxError,
+                    divergence: { tick: universe.tickCount, id, expected, actual, error },
+                    universe,
+                };
+            }
+        }
+    }
+
+    return { reproduced: true, ticks, maxError, divergence: null, universe };
+}
@@ -0,0 +1,316 @@
+/**
+ * @file src/kernel/topology.js
+ * @description Generadores de topología para poblar un Universo.
+ *              Cada generador produce una lista de aristas no dirigidas [i, j] sobre n nodos;
+ *              `populateUniverse()` crea los COCs, sortea sus pesos y los conecta en ambos
+ *              sentidos en una sola llamada.
+ */
+
+import CoherentOntologicalCubit from './core/coc.js';
+import { gaussian, resolveRandom } from '../utils/random.js';
+
+/**
+ * Conjunto de aristas no dirigidas sin duplicados ni auto-lazos.
+ * @private
+ */
+class EdgeSet {
+    constructor() {
+        this._edges = new Map(); // clave "i-j" (i < j) -> [i, j], en orden de inserción
+        this._degree = new Map();
+    }
+
+    get edges() {
+        return Array.from(this._edges.values());
+    }
+
+    degree(i) {
+        return this._degree.get(i) || 0;
+    }
+
+    has(i, j) {
+        return this._edges.has(i < j ? `${i}-${j}` : `${j}-${i}`);
+    }
+
+    add(i, j) {
+        if (i === j || this.has(i, j)) return false;
+        this._edges.set(i < j ? `${i}-${j}` : `${j}-${i}`, i < j ? [i, j] : [j, i]);
+        this._degree.set(i, this.degree(i) + 1);
+        this._degree.set(j, this.degree(j) + 1);
+        return true;
+    }
+
+    delete(i, j) {
+        if (!this._edges.delete(i < j ? `${i}-${j}` : `${j}-${i}`)) return false;
+        this._degree.set(i, this.degree(i) - 1);
+        this._degree.set(j, this.degree(j) - 1);
+        return true;
+    }
+}
+
+/**
+ * Anillo: cada nodo se une a sus `k` vecinos más cercanos a cada lado.
+ * @param {number} n
+ * @param {{ k?: number }} [params]
+ */
+function ring(n, { k = 1 } = {}) {
+    const set = new EdgeSet();
+    for (let i = 0; i < n; i++) {
+        for (let offset = 1; offset <= k; offset++) {
+            set.add(i, (i + offset) % n);
+        }
+    }
+    return set.edges;
+}
+
+/**
+ * Retícula 2D de rows × cols con vecindad de von Neumann.
+ * @param {number} n
+ * @param {{ cols?: number, periodic?: boolean }} [params]
+ */
+function lattice(n, { cols = Math.round(Math.sqrt(n)), periodic = false } = {}) {
+    const rows = n / cols;
+    if (!Number.isInteger(rows)) {
+        throw new Error(`[Topology] Una retícula de ${n} nodos no admite ${cols} columnas.`);
+    }
+    const set = new EdgeSet();
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const i = r * cols + c;
+            if (c + 1 < cols) set.add(i, i + 1);
+            else if (periodic && cols > 2) set.add(i, r * cols);
+            if (r + 1 < rows) set.add(i, i + cols);
+            else if (periodic && rows > 2) set.add(i, c);
+        }
+    }
+    return set.edges;
+}
+
+/**
+ * Grafo completo (campo medio).
+ * @param {number} n
+ */
+function complete(n) {
+    const set = new EdgeSet();
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) set.add(i, j);
+    }
+    return set.edges;
+}
+
+/**
+ * Erdős–Rényi G(n, p).
+ * @param {number} n
+ * @param {{ p?: number }} [params]
+ * @param {{ next: () => number }} rng
+ */
+function erdosRenyi(n, { p = 0.1 } = {}, rng) {
+    const set = new EdgeSet();
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (rng.next() < p) set.add(i, j);
+        }
+    }
+    return set.edges;
+}
+
+/**
+ * Watts–Strogatz: anillo con `k` vecinos por lado cuyas aristas se recablean con probabilidad `beta`.
+ * @param {number} n
+ * @param {{ k?: number, beta?: number }} [params]
+ * @param {{ next: () => number }} rng
+ */
+function wattsStrogatz(n, { k = 2, beta = 0.1 } = {}, rng) {
+    const set = new EdgeSet();
+    for (const edge of ring(n, { k })) set.add(...edge);
+
+    for (let offset = 1; offset <= k; offset++) {
+        for (let i = 0; i < n; i++) {
+            const j = (i + offset) % n;
+            if (rng.next() >= beta || !set.has(i, j)) continue;
+
+            // Un nodo ya conectado con todos los demás no puede recablearse.
+            if (set.degree(i) >= n - 1) continue;
+
+            // Muestreo por rechazo: en grafos dispersos casi siempre acierta al primer intento.
+            let target;
+            do {
+                target = Math.floor(rng.next() * n);
+            } while (target === i || set.has(i, target));
+            set.delete(i, j);
+            set.add(i, target);
+        }
+    }
+    return set.edges;
+}
+
+/**
+ * Barabási–Albert: crecimiento con enlace preferencial, `m` aristas por nodo nuevo.
+ * @param {number} n
+ * @param {{ m?: number }} [params]
+ * @param {{ next: () => number }} rng
+ */
+function barabasiAlbert(n, { m = 2 } = {}, rng) {
+    if (m < 1 || m >= n) {
+        throw new Error(`[Topology] Barabási–Albert requiere 1 <= m < n (m=${m}, n=${n}).`);
+    }
+    const set = new EdgeSet();
+    // Núcleo inicial: grafo completo de m + 1 nodos.
+    for (let i = 0; i <= m; i++) {
+        for (let j = i + 1; j <= m; j++) set.add(i, j);
+    }
+    // Cada nodo aparece en `stubs` tantas veces como su grado.
+    const stubs = set.edges.flat();
+
+    for (let newNode = m + 1; newNode < n; newNode++) {
+        const targets = new Set();
+        while (targets.size < m) {
+            targets.add(stubs[Math.floor(rng.next() * stubs.length)]);
+        }
+        for (const target of targets) {
+            set.add(newNode, target);
+            stubs.push(newNode, target);
+        }
+    }
+    return set.edges;
+}
+
+/**
+ * Red modular (modelo de bloques estocástico): `communities` grupos de tamaño similar,
+ * con probabilidad `pIn` de arista dentro de un grupo y `pOut` entre grupos.
+ * @param {number} n
+ * @param {{ communities?: number, pIn?: number, pOut?: number }} [params]
+ * @param {{ next: () => number }} rng
+ */
+function modular(n, { communities = 4, pIn = 0.3, pOut = 0.01 } = {}, rng) {
+    const communityOf = (i) => Math.floor((i * communities) / n);
+    const set = new EdgeSet();
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const p = communityOf(i) === communityOf(j) ? pIn : pOut;
+            if (rng.next() < p) set.add(i, j);
+        }
+    }
+    return set.edges;
+}
+
+export const TOPOLOGIES = Object.freeze({
+    ring,
+    lattice,
+    complete,
+    erdosRenyi,
+    wattsStrogatz,
+    barabasiAlbert,
+    modular,
+});
+
+/**
+ * Resuelve la distribución de pesos de las conexiones.
+ * @param {number | { distribution: string, [param: string]: number } | ((i: number, j: number, rng: object) => number)} weights
+ *        Peso constante, distribución ('constant', 'uniform', 'normal', 'lognormal', 'exponential')
+ *        o función propia.
+ * @param {{ next: () => number }} rng
+ * @returns {(i: number, j: number) => number}
+ */
+export function resolveWeights(weights, rng) {
+    if (typeof weights === 'number') {
+        return () => weights;
+    }
+    if (typeof weights === 'function') {
+        return (i, j) => weights(i, j, rng);
+    }
+
+    const { distribution = 'constant', ...params } = weights || {};
+    switch (distribution) {
+        case 'constant': {
+            const { value = 1.0 } = params;
+            return () => value;
+        }
+        case 'uniform': {
+            const { min = 0.0, max = 1.0 } = params;
+            return () => min + (max - min) * rng.next();
+        }
+        case 'normal': {
+            const { mean = 1.0, std = 0.1 } = params;
+            return () => mean + std * gaussian(rng);
+        }
+        case 'lognormal': {
+            const { mu = 0.0, sigma = 0.5 } = params;
+            return () => Math.exp(mu + sigma * gaussian(rng));
+        }
+        case 'exponential': {
+            const { rate = 1.0 } = params;
+            return () => -Math.log(1 - rng.next()) / rate;
+        }
+        default:
+            throw new Error(`[Topology] Distribución de pesos desconocida: '${distribution}'.`);
+    }
+}
+
+/**
+ * Genera las aristas no dirigidas de una topología registrada.
+ * @param {string} type - Clave de TOPOLOGIES.
+ * @param {number} n - Número de nodos.
+ * @param {object} [params] - Parámetros específicos del generador.
+ * @param {number | string | { next: () => number }} [rng] - Semilla o generador.
+ * @returns {number[][]}
+ */
+export function generateEdges(type, n, params = {}, rng) {
+    const generator = TOPOLOGIES[type];
+    if (!generator) {
+        throw new Error(`[Topology] Topología desconocida: '${type}'. Disponibles: ${Object.keys(TOPOLOGIES).join(', ')}.`);
+    }
+    if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`[Topology] Se requiere un número entero positivo de nodos (n=${n}).`);
+    }
+    return generator(n, params, resolveRandom(rng));
+}
+
+/**
+ * Crea n COCs, los añade al universo y los conecta según la topología elegida.
+ * Cada arista se materializa en ambos sentidos con el mismo peso.
+ * @param {import('./universe.js').default} universe
+ * @param {object} options
+ * @param {string} options.topology - Clave de TOPOLOGIES.
+ * @param {number} options.n - Número de COCs a crear.
+ * @param {object} [options.params={}] - Parámetros del generador (k, p, beta, m, communities...).
+ * @param {number | object | Function} [options.weights=1.0] - Distribución de pesos (ver resolveWeights).
+ * @param {'random' | 'aligned' | ((i: number, rng: object) => number[])} [options.initialState='random']
+ *        Estado inicial de cada COC: uniforme en la esfera (gaussiana isótropa normalizada), todos en el
+ *        polo norte (0, ..., 0, 1) o función propia.
+ * @param {number} [options.dimension] - Dimensión n de los estados (S^(n-1)). Por defecto, la del
+ *        universo si ya tiene COCs, o 3.
+ * @param {string} [options.idPrefix='coc'] - Prefijo de los IDs generados (`${idPrefix}-${i}`).
+ * @param {number | string | { next: () => number }} [options.rng] - Por defecto, el rng del universo.
+ * @returns {{ ids: string[], edges: number[][] }}
+ */
+export function populateUniverse(universe, {
+    topology,
+    n,
+    params = {},
+    weights = 1.0,
+    initialState = 'random',
+    idPrefix = 'coc',
+    dimension = universe.dimension ?? 3,
+    rng = universe.rng
+} = {}) {
+    const random = resolveRandom(rng);
+    const edges = generateEdges(topology, n, params, random);
+    const weightOf = resolveWeights(weights, random);
+
+    const ids = Array.from({ length: n }, (_, i) => `${idPrefix}-${i}`);
+    ids.forEach((id, i) => {
+        let cgpNet;
+        if (typeof initialState === 'function') cgpNet = initialState(i, random);
+        else if (initialState === 'random') cgpNet = Array.from({ length: dimension }, () => gaussian(random));
+        else cgpNet = Array.from({ length: dimension }, (_, k) => (k === dimension - 1 ? 1 : 0));
+        universe.addCOC(new CoherentOntologicalCubit({ id, cgpNet }));
+    });
+
+    for (const [i, j] of edges) {
+        const weight = weightOf(i, j);
+        universe.cocs.get(ids[i]).connectTo(ids[j], weight);
+        universe.cocs.get(ids[j]).connectTo(ids[i], weight);
+    }
+
+    return { ids, edges };
+}
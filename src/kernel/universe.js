@@ -3,26 +3,145 @@
  * @description El contenedor computacional y motor de la Infogénesis.
  *              Implementa el Operador de Coherencia Ontológica (Ω) para
  *              evolucionar el estado de una red de COCs según la EDE canónica.
+ *              Los estados viven en S^(n-1) para cualquier n (S¹ para osciladores de fase,
+ *              S² para el canon); todos los COCs de un universo comparten dimensión.
  */
 
+import { EventEmitter } from 'node:events';
 import CoherentOntologicalCubit from './core/coc.js';
-import { Vector3 } from '../utils/linear_algebra.js';
+import { VectorN } from '../utils/linear_algebra.js';
+import { SeededRandom, resolveRandom } from '../utils/random.js';
+import { projectToTangent, resolveIntegrator } from './dynamics/integrators.js';
+import { resolvePlasticity } from './dynamics/plasticity.js';
+import { resolveLifecycle } from './dynamics/lifecycle.js';
+import { resolveSpatial } from './dynamics/spatial.js';
+import { DEFAULT_FORCES, resolveForce, resolveNoiseModel } from './dynamics/forces.js';
+import { computeMetrics, orderParameter } from './metrics/coherence.js';
+import { analyzeComplexity, resolveSignature } from './metrics/complexity.js';
+import { analyzeGraph } from './metrics/graph.js';
+import { ParallelUniverseEngine } from './engines/parallel_engine.js';
+import { coarseGrain, projectDown } from './coarse_graining.js';
 
-class Universe {
+/**
+ * Versión del formato de `toSnapshot()`. Se incrementa ante cambios incompatibles.
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Eventos emitidos por el Universo:
+ *  - 'tick':      { tick, metrics, plasticity, lifecycle } tras cada tick (metrics es la entrada del historial o null).
+ *  - 'lifecycle': { tick, type, id, ... } por cada nacimiento, muerte o fusión (ver dynamics/lifecycle.js).
+ *  - 'converged': { tick, orderParameter, threshold } cuando R alcanza `convergenceThreshold`.
+ *                 Se emite una vez por cruce; vuelve a armarse si R cae por debajo del umbral.
+ */
+class Universe extends EventEmitter {
     /**
      * @param {object} [params={}] - Parámetros de la física del universo.
-     * @param {number} [params.zeta=1.0] - Zoom Computacional (no usado en este tick, pero reservado).
+     * @param {number} [params.zeta=1.0] - Zoom Computacional ζ ≥ 1: factor de coarse-graining por
+     *        defecto de coarseGrain() y runCoarse() (1 = resolución nativa; ver coarse_graining.js).
      * @param {number} [params.sigma=0.01] - Magnitud del MBI (ruido estocástico).
+     * @param {'direction' | 'wiener'} [params.noiseModel='direction'] - Modelo del MBI: dirección
+     *        unitaria por tick (histórico, depende de dt) o incrementos de Wiener gaussianos escalados
+     *        por √dt, donde sigma es el coeficiente de difusión (ver dynamics/forces.js).
      * @param {number} [params.dt=0.1] - Paso de tiempo para la integración de la EDE.
+     * @param {string | { name: string, step: Function }} [params.integrator='euler'] - Integrador de la EDE:
+     *        'euler', 'heun', 'rk4', 'geodesic' o un integrador propio (ver dynamics/integrators.js).
+     * @param {number | string | { next: () => number }} [params.rng] - Semilla o generador para el MBI.
+     *        Sin él se usa Math.random() y la corrida no es reproducible.
+     * @param {boolean} [params.trackMetrics=true] - Calcula las métricas de coherencia en cada tick,
+     *        actualiza la coherencia/operabilidad de cada COC y las acumula en `metricsHistory`.
+     * @param {number} [params.metricsHistoryLimit=1000] - Máximo de ticks retenidos en el historial.
+     * @param {boolean} [params.graphMetrics=false] - Incluye el análisis de la red (ver metrics/graph.js)
+     *        en getMetrics() y un resumen en el historial. El espectro del Laplaciano es O(N³) por tick.
+     * @param {object | import('./dynamics/plasticity.js').Plasticity} [params.plasticity] - Regla de
+     *        plasticidad de los pesos (ver dynamics/plasticity.js). Sin ella la red es estática.
+     * @param {object | import('./dynamics/lifecycle.js').Lifecycle} [params.lifecycle] - Reglas de
+     *        nacimiento, muerte y fusión de COCs (ver dynamics/lifecycle.js). Sin ellas la población es fija.
+     * @param {object | import('./dynamics/spatial.js').SpatialEmbedding} [params.spatial] - Embebido
+     *        espacial: los pesos entre COCs con posición se derivan de un núcleo de distancia y se
+     *        recalculan al inicio de cada tick en que las posiciones hayan cambiado (ver dynamics/spatial.js).
+     *        Con COCs en movimiento sustituyen cada tick a los de la plasticidad.
+     * @param {number} [params.telosStrength=1.0] - Factor global de las fuerzas atractoras de telos
+     *        (ver dynamics/telos.js). 0 desactiva la dinámica dirigida por objetivos.
+     * @param {number} [params.convergenceThreshold=0.99] - Parámetro de orden R a partir del cual
+     *        se emite 'converged'.
+     * @param {number} [params.coupling=1.0] - Constante de acoplo K que multiplica la fuerza de
+     *        sincronización (los pesos w_ij fijan la estructura, K su intensidad global).
+     * @param {number} [params.phaseLag=0] - Desfase α de Sakaguchi–Kuramoto: los vecinos se perciben
+     *        girados −α en el plano de los dos primeros ejes (ver dynamics/oscillators.js).
+     * @param {string | { name: string, compute: Function }} [params.signature='sum'] - Definición de la
+     *        firma que cada COC registra por tick (ver metrics/complexity.js).
+     * @param {number} [params.memoryWindow=10] - Firmas retenidas en la memoria de cada COC.
+     * @param {number[] | ((time: number, coc: CoherentOntologicalCubit) => number[]) | null} [params.externalField=null] -
+     *        Campo externo global h, constante o función del tiempo t = tickCount · dt.
+     * @param {number[] | number[][] | null} [params.noiseAnisotropy=null] - Escala por eje (diagonal) o
+     *        matriz que deforma la dirección del MBI antes de aplicar σ.
+     * @param {Array<string | object>} [params.forces=[]] - Términos de fuerza adicionales, sumados tras
+     *        los incorporados (ver dynamics/forces.js).
      */
-    constructor({ zeta = 1.0, sigma = 0.01, dt = 0.1 } = {}) {
+    constructor({
+        zeta = 1.0,
+        sigma = 0.01,
+        noiseModel = 'direction',
+        dt = 0.1,
+        integrator = 'euler',
+        rng,
+        trackMetrics = true,
+        metricsHistoryLimit = 1000,
+        graphMetrics = false,
+        plasticity = null,
+        lifecycle = null,
+        spatial = null,
+        telosStrength = 1.0,
+        convergenceThreshold = 0.99,
+        coupling = 1.0,
+        phaseLag = 0,
+        signature = 'sum',
+        memoryWindow = 10,
+        externalField = null,
+        noiseAnisotropy = null,
+        forces = []
+    } = {}) {
+        super();
         this.cocs = new Map(); // Almacena todos los COCs (X_t), indexados por ID
         this.zeta = zeta;
         this.sigma = sigma;
+        this.noiseModel = resolveNoiseModel(noiseModel);
         this.dt = dt;
+        this.integrator = resolveIntegrator(integrator);
+        this.rng = resolveRandom(rng);
+        this.trackMetrics = trackMetrics;
+        this.metricsHistoryLimit = metricsHistoryLimit;
+        this.metricsHistory = []; // Serie temporal de observables globales, un registro por tick
+        this.graphMetrics = graphMetrics;
+        this.plasticity = resolvePlasticity(plasticity);
+        this.lastPlasticity = null; // Resumen { updated, pruned, created } del último tick
+        this.lifecycle = resolveLifecycle(lifecycle);
+        this.lastLifecycle = null; // Resumen { born, died, merged, events } del último tick
+        this.spatial = resolveSpatial(spatial);
+        this.lastSpatial = null; // Resumen { edges, moved } del último tick
+        this.telosStrength = telosStrength;
+        this.convergenceThreshold = convergenceThreshold;
+        this.converged = false; // R >= convergenceThreshold en el último tick observado
+        this.coupling = coupling;
+        this.phaseLag = phaseLag;
+        this.signature = resolveSignature(signature);
+        this.memoryWindow = memoryWindow;
+        this.externalField = externalField;
+        this.noiseAnisotropy = noiseAnisotropy;
+        this.forces = forces.map(resolveForce); // Términos adicionales, tras DEFAULT_FORCES
         this.tickCount = 0;
     }
 
+    /**
+     * Dimensión n del espacio ambiente de los estados (S^(n-1)), o null si el universo está vacío.
+     * @returns {number | null}
+     */
+    get dimension() {
+        const first = this.cocs.values().next();
+        return first.done ? null : first.value.state.length;
+    }
+
     /**
      * Añade un COC al universo.
      * @param {CoherentOntologicalCubit} coc
@@ -31,7 +150,40 @@ class Universe {
         if (!(coc instanceof CoherentOntologicalCubit)) {
             throw new TypeError('Solo se pueden añadir instancias de CoherentOntologicalCubit.');
         }
+        const dimension = this.dimension;
+        if (dimension !== null && coc.state.length !== dimension) {
+            throw new Error(`[Universe] Dimensión incompatible: el COC '${coc.id}' vive en S^${coc.state.length - 1} y el universo en S^${dimension - 1}.`);
+        }
         this.cocs.set(coc.id, coc);
+        if (this.spatial && coc.position) {
+            this.spatial.stale = true;
+        }
+    }
+
+    /**
+     * Elimina un COC y todas las conexiones que apuntan a él, de modo que no quedan IDs colgantes.
+     * @param {string} id
+     * @returns {boolean} - false si el COC no existía.
+     */
+    removeCOC(id) {
+        const coc = this.cocs.get(id);
+        if (!this.cocs.delete(id)) return false;
+        if (this.spatial && coc.position) {
+            this.spatial.stale = true;
+        }
+        for (const coc of this.cocs.values()) {
+            coc.connections.delete(id);
+        }
+        return true;
+    }
+
+    /**
+     * Añade un término de fuerza a la EDE, tras los ya presentes.
+     * @param {string | object} force - Nombre registrado, especificación `{ type, ...params }` o
+     *        término propio `{ name, prepare }` (ver dynamics/forces.js).
+     */
+    addForce(force) {
+        this.forces.push(resolveForce(force));
     }
 
     /**
@@ -39,46 +191,388 @@ class Universe {
      * Computa un único paso de evolución del estado del Universo (X_t -> X_{t+1}).
      */
     tick() {
-        const nextStates = new Map();
+        // FASE ESPACIAL: los pesos por distancia se recablean si las posiciones cambiaron.
+        const rewired = this.spatial?.stale ? this.spatial.rewire(this.cocs) : null;
+
+        const ids = Array.from(this.cocs.keys());
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const cocs = ids.map(id => this.cocs.get(id));
+        const states = cocs.map(coc => new VectorN(coc.state));
+
+        // Cada término se prepara una vez por tick: el MBI y los atractores quedan fijos
+        // durante todos los estadios del integrador.
+        const context = { ids, index, cocs, states, time: this.tickCount * this.dt };
+        const terms = [...DEFAULT_FORCES, ...this.forces]
+            .map(force => force.prepare(this, context))
+            .filter(Boolean);
+
+        // Campo tangente de la EDE evaluado sobre un estado candidato de todo el universo:
+        // suma de los términos en orden y proyección sobre el tangente.
+        const field = (candidateStates) => ids.map((id, i) => {
+            let totalForce = null;
+            for (const term of terms) {
+                const force = term(i, candidateStates);
+                if (!force) continue;
+                if (totalForce) totalForce.add(force);
+                else totalForce = force.clone();
+            }
+            return projectToTangent(candidateStates[i], totalForce ?? VectorN.zeros(candidateStates[i].dimension));
+        });
 
         // FASE DE CÓMPUTO: Calcular todos los estados futuros sin modificar el presente.
-        for (const [id, coc] of this.cocs.entries()) {
-            // 1. Fuerza de Sincronización (Σ w_ij * x_j)
-            let syncForce = new Vector3(0, 0, 0);
-            for (const [neighborId, weight] of coc.connections.entries()) {
-                const neighbor = this.cocs.get(neighborId);
-                if (neighbor) {
-                    syncForce.add(new Vector3(...neighbor.state).multiplyScalar(weight));
-                }
+        const nextStates = this.integrator.step(states, field, this.dt);
+
+        // FASE DE MANIFESTACIÓN: Aplicar todos los cambios de forma síncrona.
+        ids.forEach((id, i) => {
+            const coc = this.cocs.get(id);
+            coc.updateState(nextStates[i].toArray());
+            coc.snapshotSignature({ signature: this.signature, window: this.memoryWindow });
+        });
+
+        // FASE DE MOVIMIENTO: las posiciones avanzan con el estado recién manifestado.
+        if (this.spatial) {
+            this.lastSpatial = { edges: rewired?.edges ?? null, ...this.spatial.move(this.cocs, this.dt) };
+        }
+
+        // FASE DE PLASTICIDAD: los pesos se adaptan a los estados recién manifestados.
+        if (this.plasticity) {
+            this.lastPlasticity = this.plasticity.apply(this.cocs, this.dt);
+        }
+
+        // FASE DE CICLO DE VIDA: la población cambia sobre los estados y pesos ya actualizados.
+        if (this.lifecycle) {
+            this.lastLifecycle = this.lifecycle.apply(this);
+        }
+
+        this.tickCount++;
+
+        if (this.trackMetrics) {
+            this._recordMetrics();
+        }
+        this._publishTick();
+    }
+
+    /**
+     * Ejecuta varios ticks repartiendo los COCs entre worker_threads sobre memoria compartida.
+     * Consume el RNG igual que `tick()`, así que con la misma semilla la trayectoria es idéntica
+     * a la secuencial. Las métricas y los eventos no se producen por tick: con `trackMetrics` se
+     * registra una única entrada al final del lote y se emite un único 'tick'.
+     * @param {number} ticks
+     * @param {{ workers?: number }} [options]
+     * @returns {Promise<void>}
+     */
+    async runParallel(ticks, { workers } = {}) {
+        const engine = ParallelUniverseEngine.fromUniverse(this, { workers });
+        try {
+            await engine.run(ticks);
+            engine.syncTo(this);
+        } finally {
+            await engine.terminate();
+        }
+
+        if (ticks > 0) {
+            if (this.trackMetrics) {
+                this._recordMetrics();
             }
+            this._publishTick();
+        }
+    }
 
-            // 2. Ruido Browniano (σ * dW_t)
-            const mbiTerm = Vector3.random().multiplyScalar(this.sigma);
+    /**
+     * Agrupa los COCs fuertemente conectados en super-COCs (ver coarse_graining.js).
+     * @param {{ zeta?: number, minWeight?: number, idPrefix?: string }} [options]
+     * @returns {ReturnType<typeof coarseGrain>}
+     */
+    coarseGrain(options) {
+        return coarseGrain(this, options);
+    }
 
-            // 3. Fuerza Total
-            const totalForce = syncForce.add(mbiTerm);
+    /**
+     * Ejecuta varios ticks a la escala gruesa ζ y proyecta el resultado sobre los COCs.
+     * Como `runParallel()`, produce una única entrada de métricas y un único 'tick' al final
+     * del lote; la memoria de firmas de los COCs no se actualiza.
+     * @param {number} ticks
+     * @param {{ zeta?: number, minWeight?: number }} [options]
+     * @returns {ReturnType<typeof coarseGrain>} - El coarse-graining usado, con el universo grueso ya evolucionado.
+     */
+    runCoarse(ticks, options) {
+        const coarseGraining = coarseGrain(this, options);
+        for (let t = 0; t < ticks; t++) coarseGraining.universe.tick();
+        projectDown(coarseGraining, this);
+        this.tickCount += ticks;
 
-            // 4. Proyección Tangente: F_tangent = F - x * dot(x, F)
-            const currentStateVec = new Vector3(...coc.state);
-            const tangentForce = totalForce.subtract(
-                currentStateVec.clone().multiplyScalar(totalForce.dot(currentStateVec))
-            );
+        if (ticks > 0) {
+            if (this.trackMetrics) {
+                this._recordMetrics();
+            }
+            this._publishTick();
+        }
+        return coarseGraining;
+    }
+
+    /**
+     * Ejecuta ticks hasta que se cumple un criterio de parada. Los criterios se evalúan antes de
+     * cada tick (un universo ya sincronizado no avanza), en este orden:
+     *  - 'orderParameter': R ≥ `orderParameter`.
+     *  - 'stationary':     ningún estado se ha movido más de `epsilon` (distancia euclídea) respecto
+     *                      a `window` ticks antes.
+     *  - 'maxTicks':       se ejecutaron `maxTicks` ticks en esta llamada.
+     *  - 'timeBudget':     se agotaron `timeBudget` milisegundos de reloj.
+     * @param {object} [criteria={}]
+     * @param {number | null} [criteria.orderParameter=null] - Umbral de R.
+     * @param {number | null} [criteria.epsilon=null] - Cambio máximo de estado que se considera estacionario.
+     * @param {number} [criteria.window=10] - Ticks sobre los que se mide el cambio de estado.
+     * @param {number} [criteria.maxTicks=10000]
+     * @param {number} [criteria.timeBudget=Infinity] - Presupuesto de reloj en milisegundos.
+     * @returns {{
+     *   reason: 'orderParameter' | 'stationary' | 'maxTicks' | 'timeBudget',
+     *   ticks: number,
+     *   tickCount: number,
+     *   elapsed: number,
+     *   orderParameter: number,
+     *   stateChange: number | null,
+     *   metrics: ReturnType<Universe['getMetrics']>
+     * }} - Informe de la corrida: motivo, ticks ejecutados, contador final, milisegundos empleados,
+     *      R final, último cambio de estado medido sobre la ventana y métricas finales.
+     */
+    runUntil({
+        orderParameter: threshold = null,
+        epsilon = null,
+        window = 10,
+        maxTicks = 10000,
+        timeBudget = Infinity
+    } = {}) {
+        if (threshold === null && epsilon === null && !Number.isFinite(maxTicks) && !Number.isFinite(timeBudget)) {
+            throw new Error('[Universe] runUntil() necesita al menos un criterio de parada alcanzable.');
+        }
+        if (epsilon !== null && !(Number.isInteger(window) && window > 0)) {
+            throw new Error(`[Universe] Ventana de estacionariedad inválida: '${window}'.`);
+        }
 
-            // 5. Integración de Euler: dx = F_tangent * dt
-            const deltaState = tangentForce.multiplyScalar(this.dt);
-            const nextState = currentStateVec.clone().add(deltaState).normalize();
+        const start = performance.now();
+        const history = []; // Estados de los últimos `window` ticks, el más antiguo primero
+        let stateChange = null;
+        let ticks = 0;
+        let R = this._currentOrderParameter();
+        let reason;
 
-            nextStates.set(id, nextState.toArray());
+        while (true) {
+            if (epsilon !== null) {
+                const states = new Map(Array.from(this.cocs.entries(), ([id, coc]) => [id, coc.state]));
+                history.push(states);
+                if (history.length > window + 1) history.shift();
+                stateChange = history.length > window ? maxDisplacement(history[0], states) : null;
+            }
+
+            if (threshold !== null && R >= threshold) reason = 'orderParameter';
+            else if (stateChange !== null && stateChange <= epsilon) reason = 'stationary';
+            else if (ticks >= maxTicks) reason = 'maxTicks';
+            else if (performance.now() - start >= timeBudget) reason = 'timeBudget';
+            if (reason) break;
+
+            this.tick();
+            ticks++;
+            R = this._currentOrderParameter();
         }
 
-        // FASE DE MANIFESTACIÓN: Aplicar todos los cambios de forma síncrona.
-        for (const [id, newState] of nextStates.entries()) {
+        return {
+            reason,
+            ticks,
+            tickCount: this.tickCount,
+            elapsed: performance.now() - start,
+            orderParameter: R,
+            stateChange,
+            metrics: this.getMetrics(),
+        };
+    }
+
+    /**
+     * R del estado presente: del historial si el último tick se registró, calculado si no.
+     * @private
+     */
+    _currentOrderParameter() {
+        const last = this.trackMetrics ? this.metricsHistory.at(-1) : undefined;
+        if (last && last.tick === this.tickCount) return last.orderParameter;
+        return orderParameter(Array.from(this.cocs.values(), coc => coc.state)).orderParameter;
+    }
+
+    /**
+     * Calcula las métricas de coherencia del estado presente del universo.
+     * @returns {ReturnType<typeof computeMetrics> & { tick: number }}
+     */
+    getMetrics() {
+        const metrics = { tick: this.tickCount, ...computeMetrics(this.cocs) };
+        if (this.graphMetrics) {
+            metrics.graph = analyzeGraph(this.cocs);
+        }
+        return metrics;
+    }
+
+    /**
+     * Análisis de la red de conexiones: componentes, grados, clustering, espectro del Laplaciano
+     * y comunidades (ver metrics/graph.js).
+     * @param {object} [options] - Opciones de analyzeGraph().
+     * @returns {ReturnType<typeof analyzeGraph>}
+     */
+    getGraphAnalysis(options) {
+        return analyzeGraph(this.cocs, options);
+    }
+
+    /**
+     * Actualiza la coherencia fractal y la operabilidad de cada COC desde su vecindario
+     * y añade los observables globales del tick al historial.
+     * @private
+     */
+    _recordMetrics() {
+        const metrics = this.getMetrics();
+
+        for (const [id, { coherence, operability }] of Object.entries(metrics.local)) {
             const coc = this.cocs.get(id);
-            coc.updateState(newState);
-            coc.snapshotSignature();
+            coc.fractalCoherence = coherence;
+            coc.operability = operability;
         }
 
-        this.tickCount++;
+        const entry = {
+            tick: metrics.tick,
+            orderParameter: metrics.orderParameter,
+            alignmentEnergy: metrics.alignmentEnergy,
+            clusters: metrics.clusters.map(({ size, orderParameter }) => ({ size, orderParameter })),
+        };
+        if (metrics.telos.count > 0) {
+            entry.telos = metrics.telos;
+        }
+        if (metrics.graph) {
+            const { components, degree, clustering, spectrum, communities } = metrics.graph;
+            entry.graph = {
+                components: components.count,
+                largestComponent: components.largest,
+                meanDegree: degree.degree.mean,
+                clustering: clustering.average,
+                algebraicConnectivity: spectrum.algebraicConnectivity,
+                communities: communities.count,
+                modularity: communities.modularity,
+            };
+        }
+        if (this.lastPlasticity) {
+            entry.plasticity = this.lastPlasticity;
+        }
+        if (this.lastLifecycle) {
+            entry.lifecycle = this.lastLifecycle;
+        }
+        this.metricsHistory.push(entry);
+        if (this.metricsHistory.length > this.metricsHistoryLimit) {
+            this.metricsHistory.shift();
+        }
+    }
+
+    /**
+     * Análisis de complejidad de la memoria de firmas, por COC y agregado (ver metrics/complexity.js).
+     * @param {object} [options] - Opciones de analyzeComplexity().
+     * @returns {ReturnType<typeof analyzeComplexity>}
+     */
+    getComplexity(options) {
+        return analyzeComplexity(this.cocs, options);
+    }
+
+    /**
+     * Emite 'tick' y, si R cruza el umbral de convergencia, 'converged'.
+     * R se toma del historial cuando el tick se registró; si no, solo se calcula si alguien escucha.
+     * @private
+     */
+    _publishTick() {
+        const metrics = this.trackMetrics ? this.metricsHistory.at(-1) ?? null : null;
+        this.emit('tick', { tick: this.tickCount, metrics, plasticity: this.lastPlasticity, lifecycle: this.lastLifecycle });
+        for (const event of this.lastLifecycle?.events ?? []) {
+            this.emit('lifecycle', { tick: this.tickCount, ...event });
+        }
+
+        if (!metrics && this.listenerCount('converged') === 0) return;
+        const R = metrics
+            ? metrics.orderParameter
+            : orderParameter(Array.from(this.cocs.values(), coc => coc.state)).orderParameter;
+
+        const converged = R >= this.convergenceThreshold;
+        if (converged && !this.converged) {
+            this.emit('converged', { tick: this.tickCount, orderParameter: R, threshold: this.convergenceThreshold });
+        }
+        this.converged = converged;
+    }
+
+    /**
+     * Captura sin pérdidas del universo: parámetros, contador de ticks, estado del RNG,
+     * historial de métricas y cada COC con sus pesos, telos, memoria y firma.
+     * El resultado es JSON puro y se restaura con `Universe.fromSnapshot()`.
+     * @returns {object}
+     */
+    toSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            params: {
+                zeta: this.zeta,
+                sigma: this.sigma,
+                noiseModel: this.noiseModel,
+                dt: this.dt,
+                integrator: this.integrator.name,
+                trackMetrics: this.trackMetrics,
+                metricsHistoryLimit: this.metricsHistoryLimit,
+                graphMetrics: this.graphMetrics,
+                plasticity: this.plasticity ? this.plasticity.toJSON() : null,
+                lifecycle: this.lifecycle ? this.lifecycle.toJSON() : null,
+                spatial: this.spatial ? this.spatial.toJSON() : null,
+                telosStrength: this.telosStrength,
+                convergenceThreshold: this.convergenceThreshold,
+                coupling: this.coupling,
+                phaseLag: this.phaseLag,
+                signature: this.signature.name,
+                memoryWindow: this.memoryWindow,
+                externalField: typeof this.externalField === 'function' ? null : this.externalField,
+                noiseAnisotropy: this.noiseAnisotropy,
+                forces: this.forces.map(force => force.spec ?? force.name),
+            },
+            tickCount: this.tickCount,
+            // Solo un generador sembrado puede reanudarse; Math.random() no expone su estado.
+            rng: this.rng instanceof SeededRandom ? { seed: this.rng.seed, state: this.rng.getState() } : null,
+            metricsHistory: structuredClone(this.metricsHistory),
+            lastPlasticity: this.lastPlasticity ? { ...this.lastPlasticity } : null,
+            lastLifecycle: this.lastLifecycle ? structuredClone(this.lastLifecycle) : null,
+            lastSpatial: this.lastSpatial ? { ...this.lastSpatial } : null,
+            cocs: Array.from(this.cocs.values(), coc => coc.toSnapshot()),
+        };
+    }
+
+    /**
+     * Reconstruye un universo a partir de `toSnapshot()`.
+     * @param {object} snapshot
+     * @param {object} [overrides={}] - Parámetros que sustituyen a los guardados; necesarios para
+     *        reinyectar piezas no serializables (un integrador, una firma, una regla de plasticidad,
+     *        un campo externo variable o fuerzas propios).
+     * @returns {Universe}
+     */
+    static fromSnapshot(snapshot, overrides = {}) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`[Universe] Versión de snapshot no soportada: ${snapshot?.version} (se esperaba ${SNAPSHOT_VERSION}).`);
+        }
+
+        let rng;
+        if (snapshot.rng) {
+            rng = new SeededRandom(snapshot.rng.seed);
+            rng.setState(snapshot.rng.state);
+        }
+
+        const universe = new Universe({ ...snapshot.params, rng, ...overrides });
+        universe.tickCount = snapshot.tickCount;
+        universe.metricsHistory = structuredClone(snapshot.metricsHistory);
+        universe.lastPlasticity = snapshot.lastPlasticity ? { ...snapshot.lastPlasticity } : null;
+        universe.lastLifecycle = snapshot.lastLifecycle ? structuredClone(snapshot.lastLifecycle) : null;
+        for (const cocSnapshot of snapshot.cocs) {
+            universe.addCOC(CoherentOntologicalCubit.fromSnapshot(cocSnapshot));
+        }
+        if (universe.spatial && snapshot.params.spatial) {
+            // addCOC marca el embebido como pendiente; se respeta el estado guardado.
+            universe.spatial.stale = snapshot.params.spatial.stale ?? true;
+        }
+        universe.lastSpatial = snapshot.lastSpatial ? { ...snapshot.lastSpatial } : null;
+        return universe;
     }
 
     /**
@@ -93,4 +587,20 @@ class Universe {
     }
 }
 
+/**
+ * Máxima distancia euclídea entre los estados de dos instantáneas { id → estado }.
+ * Un cambio de población (nacimientos, muertes) cuenta como cambio infinito.
+ * @private
+ */
+function maxDisplacement(before, after) {
+    if (before.size !== after.size) return Infinity;
+    let max = 0;
+    for (const [id, state] of after.entries()) {
+        const previous = before.get(id);
+        if (!previous) return Infinity;
+        max = Math.max(max, Math.sqrt(state.reduce((acc, x, k) => acc + (x - previous[k]) ** 2, 0)));
+    }
+    return max;
+}
+
 export default Universe;
\ No newline at end of file
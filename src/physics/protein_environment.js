@@ -7,16 +7,22 @@
  *              que busca la configuración de mínima energía (máxima coherencia).
  */
 
+import { resolveRandom } from '../utils/random.js';
+
 export class ProteinEnvironment {
     /**
      * @param {string} sequence - Secuencia de aminoácidos, ej. "HPHPPHHPHPPHPHHPPHPH"
+     * @param {object} [options={}]
+     * @param {number | string | { next: () => number }} [options.rng] - Semilla o generador que usan
+     *        los movimientos conformacionales de la biblioteca de estrategias.
      */
-    constructor(sequence) {
+    constructor(sequence, { rng } = {}) {
         if (!sequence || !/^[HP]+$/.test(sequence)) {
             throw new Error("ProteinEnvironment requiere una secuencia válida de 'H' y 'P'.");
         }
         this.sequence = sequence;
         this.numAminoAcids = sequence.length;
+        this.rng = resolveRandom(rng);
 
         // --- PROTOCOLO "BIG BANG MOLECULAR" ---
         // El estado inicial es una simple línea recta, una configuración de baja coherencia.
@@ -5,8 +5,20 @@
  * @description Biblioteca de acciones atómicas para el plegamiento de proteínas.
  *              Estas son las operaciones fundamentales (mutaciones conformacionales)
  *              que el Meta-Universo puede combinar y evolucionar.
+ *              Toda la aleatoriedad proviene de `env.rng` para que las corridas sembradas sean reproducibles.
  */
 
+import { defaultRandom } from '../utils/random.js';
+
+/**
+ * Siguiente número aleatorio del entorno (o de Math.random() si el entorno no tiene `rng`).
+ * @param {import('../physics/protein_environment.js').ProteinEnvironment} env
+ * @returns {number}
+ */
+function random(env) {
+    return (env.rng ?? defaultRandom).next();
+}
+
 /**
  * ESTRATEGIA 1: Rotar un segmento de la cadena 90 grados alrededor de un pivote.
  * Esta es una acción fundamental de exploración en modelos de lattice.
@@ -17,7 +29,7 @@
 function rotateSegment(env, direction) {
     if (env.numAminoAcids < 3) return false;
 
-    const pivotIndex = Math.floor(Math.random() * (env.numAminoAcids - 2)) + 1; // No rotar sobre los extremos
+    const pivotIndex = Math.floor(random(env) * (env.numAminoAcids - 2)) + 1; // No rotar sobre los extremos
     const pivotPoint = env.chain[pivotIndex];
 
     const newChain = [...env.chain]; // Copia para no mutar el estado original
@@ -77,7 +89,7 @@ export function hydrophobic_collapse(env) {
     centerY /= h_indices.length;
 
     // Tomar un H al azar y tratar de moverlo una casilla hacia el centro
-    const randomIndex = h_indices[Math.floor(Math.random() * h_indices.length)];
+    const randomIndex = h_indices[Math.floor(random(env) * h_indices.length)];
     const currentPos = env.chain[randomIndex];
 
     const dx = centerX - currentPos.x;
@@ -94,7 +106,7 @@ export function hydrophobic_collapse(env) {
 
     // Esta es una simplificación. Una implementación real requeriría movimientos
     // más complejos para mantener la conectividad. Por ahora, reutilizamos una rotación.
-    return rotateSegment(env, Math.random() < 0.5 ? 'cw' : 'ccw');
+    return rotateSegment(env, random(env) < 0.5 ? 'cw' : 'ccw');
 }
 
 
@@ -114,7 +126,7 @@ export function pullMove(env) {
     if (env.numAminoAcids < 3) return false;
 
     // 1. Elige un residuo 'i' al azar para mover
-    const i = Math.floor(Math.random() * env.numAminoAcids);
+    const i = Math.floor(random(env) * env.numAminoAcids);
     const pos_i = env.chain[i];
 
     // 2. Elige un vecino 'j' como pivote (i-1 o i+1)
@@ -123,7 +135,7 @@ export function pullMove(env) {
     if (i < env.numAminoAcids - 1) neighbors.push(i + 1);
     if (neighbors.length === 0) return false;
 
-    const j = neighbors[Math.floor(Math.random() * neighbors.length)];
+    const j = neighbors[Math.floor(random(env) * neighbors.length)];
     const pos_j = env.chain[j];
 
     // 3. Encuentra las posiciones de destino candidatas para 'i'
@@ -138,7 +150,7 @@ export function pullMove(env) {
     const validTargets = candidates.filter(p => !env.occupiedCoords.has(`${p.x},${p.y}`));
     if (validTargets.length === 0) return false;
 
-    const newPos_i = validTargets[Math.floor(Math.random() * validTargets.length)];
+    const newPos_i = validTargets[Math.floor(random(env) * validTargets.length)];
 
     // 4. Construye la nueva cadena
     const newChain = new Array(env.numAminoAcids);
@@ -1,7 +1,11 @@
 /**
  * @file src/utils/linear_algebra.js
- * @description Librería ultra-ligera de vectores 3D para el kernel.
+ * @description Librería ultra-ligera de vectores para el kernel.
+ *              VectorN opera en cualquier dimensión (estados en S^(n-1)); Vector3 se conserva
+ *              por compatibilidad con el código 3D existente.
  */
+import { defaultRandom, gaussian } from './random.js';
+
 export class Vector3 {
     constructor(x=0, y=0, z=0) { this.x = x; this.y = y; this.z = z; }
     add(v) { this.x += v.x; this.y += v.y; this.z += v.z; return this; }
@@ -12,5 +16,32 @@ export class Vector3 {
     normalize() { const mag = this.magnitude(); if(mag > 0) { this.multiplyScalar(1/mag); } return this; }
     clone() { return new Vector3(this.x, this.y, this.z); }
     toArray() { return [this.x, this.y, this.z]; }
-    static random() { return new Vector3(Math.random()*2-1, Math.random()*2-1, Math.random()*2-1).normalize(); }
-}
\ No newline at end of file
+    static random(rng = defaultRandom) { return new Vector3(rng.next()*2-1, rng.next()*2-1, rng.next()*2-1).normalize(); }
+}
+
+/**
+ * Vector de dimensión arbitraria. Misma API (mutable y encadenable) que Vector3 y, en 3D,
+ * la misma aritmética operación por operación, de modo que ambos producen resultados idénticos.
+ */
+export class VectorN {
+    /** @param {number[]} components */
+    constructor(components) { this.components = Array.from(components); }
+    get dimension() { return this.components.length; }
+    add(v) { const c = this.components; for (let k = 0; k < c.length; k++) c[k] += v.components[k]; return this; }
+    subtract(v) { const c = this.components; for (let k = 0; k < c.length; k++) c[k] -= v.components[k]; return this; }
+    multiplyScalar(s) { const c = this.components; for (let k = 0; k < c.length; k++) c[k] *= s; return this; }
+    dot(v) { const c = this.components; let acc = c.length > 0 ? c[0] * v.components[0] : 0; for (let k = 1; k < c.length; k++) acc += c[k] * v.components[k]; return acc; }
+    magnitude() { const c = this.components; let acc = c.length > 0 ? c[0]**2 : 0; for (let k = 1; k < c.length; k++) acc += c[k]**2; return Math.sqrt(acc); }
+    normalize() { const mag = this.magnitude(); if(mag > 0) { this.multiplyScalar(1/mag); } return this; }
+    clone() { return new VectorN(this.components); }
+    toArray() { return [...this.components]; }
+    static zeros(dimension) { return new VectorN(new Array(dimension).fill(0)); }
+    /** Dirección aleatoria: punto uniforme del hipercubo [-1, 1]^n proyectado sobre S^(n-1). */
+    static random(dimension, rng = defaultRandom) {
+        return new VectorN(Array.from({ length: dimension }, () => rng.next()*2-1)).normalize();
+    }
+    /** Vector gaussiano isótropo: cada componente es una normal estándar independiente. */
+    static gaussian(dimension, rng = defaultRandom) {
+        return new VectorN(Array.from({ length: dimension }, () => gaussian(rng)));
+    }
+}
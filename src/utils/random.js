@@ -0,0 +1,108 @@
+/**
+ * @file src/utils/random.js
+ * @description Fuente de aleatoriedad inyectable para el kernel.
+ *              Un generador sembrado (mulberry32) hace que cada corrida sea reproducible
+ *              bit a bit; su estado es un único entero de 32 bits, trivial de guardar y restaurar.
+ */
+
+/**
+ * Convierte una semilla arbitraria (número o texto) en un entero de 32 bits sin signo.
+ * Los textos puramente numéricos (p. ej. SEED=42 desde el entorno) se tratan como números.
+ * @param {number | string} seed
+ * @returns {number}
+ * @private
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+        return Number(seed) >>> 0;
+    }
+    // Hash FNV-1a para semillas textuales.
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * @param {number | string} [seed] - Semilla de la corrida. Si se omite, se genera una.
+     */
+    constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+        this.seed = normalizeSeed(seed);
+        this._state = this.seed;
+    }
+
+    /**
+     * Siguiente número pseudoaleatorio en [0, 1). Sustituto directo de Math.random().
+     * @returns {number}
+     */
+    next() {
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Estado interno del generador, para snapshots y replays.
+     * @returns {number}
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Restaura un estado obtenido con getState().
+     * @param {number} state
+     */
+    setState(state) {
+        this._state = state >>> 0;
+    }
+}
+
+/**
+ * Fuente no sembrada respaldada por Math.random(). Es el comportamiento por defecto
+ * cuando no se inyecta un `rng`.
+ */
+export const defaultRandom = Object.freeze({
+    next: () => Math.random(),
+});
+
+/**
+ * Muestra de una normal estándar N(0, 1) por Box–Muller.
+ * @param {{ next: () => number }} rng
+ * @returns {number}
+ */
+export function gaussian(rng) {
+    const u = 1 - rng.next(); // (0, 1], evita log(0)
+    const v = rng.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Resuelve la opción `rng` aceptada por el kernel y los entornos.
+ * @param {number | string | { next: () => number } | (() => number)} [rng]
+ *        Semilla, generador con método next() o función estilo Math.random.
+ * @returns {{ next: () => number }}
+ */
+export function resolveRandom(rng) {
+    if (rng === undefined || rng === null) {
+        return defaultRandom;
+    }
+    if (typeof rng === 'number' || typeof rng === 'string') {
+        return new SeededRandom(rng);
+    }
+    if (typeof rng === 'function') {
+        return { next: rng };
+    }
+    if (typeof rng.next === 'function') {
+        return rng;
+    }
+    throw new TypeError('[random] La opción rng debe ser una semilla, una función o un objeto con método next().');
+}
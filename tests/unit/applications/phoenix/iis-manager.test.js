@@ -0,0 +1,118 @@
+/**
+ * @file tests/unit/applications/phoenix/iis-manager.test.js
+ * @description Verifica las transacciones del IISManager: todo o nada.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import IISManager from '../../../../src/applications/phoenix/iis-manager.js';
+
+describe('Phoenix IISManager: transacciones', () => {
+
+    it('should stage writes until commit and read them back meanwhile', () => {
+        const iis = new IISManager();
+        iis.set('/a', 1);
+
+        iis.begin();
+        expect(iis.inTransaction).toBe(true);
+        iis.set('/a', 2);
+        iis.set('/b', 3);
+        expect(iis.get('/a')).toBe(2);
+        expect(iis.iis.get('/a')).toBe(1);
+        expect(iis.iis.has('/b')).toBe(false);
+        expect(iis.keys()).toEqual(['/a', '/b']);
+
+        expect(iis.commit()).toBe(2);
+        expect(iis.inTransaction).toBe(false);
+        expect(Object.fromEntries(iis.iis)).toEqual({ '/a': 2, '/b': 3 });
+    });
+
+    it('should discard every staged write on rollback', () => {
+        const iis = new IISManager();
+        iis.set('/a', 1);
+        iis.begin();
+        iis.set('/a', 2);
+        iis.set('/b', 3);
+        iis.rollback();
+
+        expect(Object.fromEntries(iis.iis)).toEqual({ '/a': 1 });
+        expect(iis.get('/b')).toBeUndefined();
+    });
+
+    it('should reject nested transactions and stray commits or rollbacks', () => {
+        const iis = new IISManager();
+        expect(() => iis.commit()).toThrow(/confirmar/);
+        expect(() => iis.rollback()).toThrow(/deshacer/);
+        iis.begin();
+        expect(() => iis.begin()).toThrow(/en curso/);
+    });
+
+    it('should commit or roll back a transaction around synchronous work', () => {
+        const iis = new IISManager();
+        expect(iis.transaction(manager => {
+            manager.set('/a', 1);
+            return 'done';
+        })).toBe('done');
+
+        expect(() => iis.transaction(manager => {
+            manager.set('/a', 2);
+            manager.set('/b', 2);
+            throw new Error('boom');
+        })).toThrow('boom');
+
+        expect(Object.fromEntries(iis.iis)).toEqual({ '/a': 1 });
+        expect(iis.inTransaction).toBe(false);
+    });
+
+    it('should refuse async work instead of leaving the transaction open', () => {
+        const iis = new IISManager();
+        expect(() => iis.transaction(async manager => {
+            manager.set('/a', 1);
+        })).toThrow(/debe ser síncrono/);
+
+        expect(iis.inTransaction).toBe(false);
+        expect(iis.iis.has('/a')).toBe(false);
+        // Otra transacción puede empezar de inmediato.
+        expect(iis.transaction(manager => manager.set('/b', 1))).toBeUndefined();
+        expect(iis.get('/b')).toBe(1);
+    });
+
+    it('should announce integrated writes and wholesale replacements', () => {
+        const iis = new IISManager();
+        const changes = [];
+        let resets = 0;
+        iis.on('change', change => changes.push(change));
+        iis.on('reset', () => resets++);
+
+        iis.set('/a', 1);
+        iis.transaction(manager => {
+            manager.set('/b', 2);
+            expect(changes).toEqual([{ key: '/a', value: 1 }]);
+        });
+        expect(() => iis.transaction(manager => {
+            manager.set('/c', 3);
+            throw new Error('boom');
+        })).toThrow('boom');
+        expect(changes).toEqual([{ key: '/a', value: 1 }, { key: '/b', value: 2 }]);
+
+        iis.initializeEmptyIIS();
+        expect(resets).toBe(1);
+    });
+
+    it('should only persist committed state', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'iis-'));
+        try {
+            const iis = new IISManager(path.join(directory, 'iis.json'));
+            iis.set('/kept', true);
+            iis.begin();
+            iis.set('/pending', true);
+            await iis.save();
+
+            const saved = JSON.parse(await fs.readFile(iis.snapshotPath, 'utf8'));
+            expect(saved).toEqual({ '/kept': true });
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
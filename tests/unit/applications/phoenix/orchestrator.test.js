@@ -0,0 +1,228 @@
+/**
+ * @file tests/unit/applications/phoenix/orchestrator.test.js
+ * @description Verifica que el Orchestrator solo escribe en el IIS valores que cumplen sus esquemas.
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import IISManager from '../../../../src/applications/phoenix/iis-manager.js';
+import Orchestrator, { THOUGHT_SCOPE } from '../../../../src/applications/phoenix/orchestrator.js';
+import EpistemicIntegrityFramework, { VERDICTS } from '../../../../src/kernel/logic/eif.js';
+import { CORE_SCHEMAS } from '../../../../src/applications/phoenix/schemas.js';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+let directory;
+
+async function phoenix(thought, schemas = {}, config = {}) {
+    const iisManager = new IISManager(path.join(directory, 'iis.json'));
+    iisManager.initializeEmptyIIS();
+    const eif = new EpistemicIntegrityFramework(iisManager, {
+        schemas: { ...CORE_SCHEMAS, ...schemas },
+        semantics: { scope: THOUGHT_SCOPE },
+    });
+    // Un pensamiento fijo o una secuencia de pensamientos, uno por tick.
+    const thoughts = Array.isArray(thought) ? [...thought] : null;
+    const sci = { reason: async () => (thoughts ? thoughts.shift() : thought) };
+    return { iisManager, orchestrator: new Orchestrator({ iisManager, eif, sci }, config) };
+}
+
+function keysUnder(iisManager, prefix) {
+    return Array.from(iisManager.iis.keys()).filter(key => key.startsWith(prefix));
+}
+
+describe('Phoenix Orchestrator: escrituras validadas', () => {
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'phoenix-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should integrate valid thoughts and advance the internal clock', async () => {
+        const { iisManager, orchestrator } = await phoenix('What is coherence?');
+        await orchestrator.executeTick();
+
+        const [thoughtKey] = keysUnder(iisManager, '/log/thought/');
+        expect(iisManager.get(thoughtKey).value).toBe('What is coherence?');
+        expect(iisManager.get('/self/thought_log')).toEqual(['What is coherence?']);
+        expect(iisManager.get('/self/internal_clock')).toBe(1);
+    });
+
+    it('should discard deltas judged INVALID and record why', async () => {
+        const { iisManager, orchestrator } = await phoenix('A thought far too long', { '/log/thought/*': { type: 'string', maxLength: 10 } });
+        await orchestrator.executeTick();
+
+        expect(keysUnder(iisManager, '/log/thought/')).toEqual([]);
+        expect(iisManager.get('/self/thought_log')).toBeUndefined();
+        const [invalidKey] = keysUnder(iisManager, '/log/invalid/');
+        expect(iisManager.get(invalidKey).result).toMatchObject({
+            verdict: VERDICTS.INVALID,
+            explanation: { errors: [expect.objectContaining({ keyword: 'maxLength' })] },
+        });
+        expect(iisManager.get('/self/internal_clock')).toBe(1);
+    });
+
+    it('should record internal writes that break a schema instead of writing them', async () => {
+        const { iisManager, orchestrator } = await phoenix('Hello', { '/self/thought_log': { type: 'array', maxItems: 0 } });
+        await orchestrator.executeTick();
+
+        expect(iisManager.get('/self/thought_log')).toBeUndefined();
+        const [invalidKey] = keysUnder(iisManager, '/log/invalid/');
+        expect(iisManager.get(invalidKey).rejected).toEqual([
+            { key: '/self/thought_log', value: ['Hello'], errors: [expect.objectContaining({ keyword: 'maxItems' })] },
+        ]);
+        // El resto del tick sí se integra.
+        expect(keysUnder(iisManager, '/log/thought/')).toHaveLength(1);
+        expect(iisManager.get('/self/internal_clock')).toBe(1);
+        expect(iisManager.inTransaction).toBe(false);
+    });
+
+    it('should repair a corrupt saved clock and thought log', async () => {
+        const { iisManager, orchestrator } = await phoenix('Hello');
+        iisManager.set('/self/internal_clock', 4.5);
+        iisManager.set('/self/thought_log', ['Earlier', 42]);
+        await orchestrator.executeTick();
+
+        expect(iisManager.get('/self/internal_clock')).toBe(5);
+        expect(iisManager.get('/self/thought_log')).toEqual(['Earlier', 'Hello']);
+        expect(keysUnder(iisManager, '/log/invalid/')).toEqual([]);
+    });
+
+    it('should keep the main loop running on a stale saved clock', async () => {
+        const { iisManager, orchestrator } = await phoenix('Hello', {}, { tickInterval: 1 });
+        iisManager.set('/self/internal_clock', 'noon');
+
+        // Se detiene el bucle al acabar el segundo tick, antes de que programe el siguiente.
+        const tick = orchestrator.executeTick.bind(orchestrator);
+        const twoTicks = new Promise((resolve, reject) => {
+            let ticks = 0;
+            orchestrator.executeTick = async () => {
+                try {
+                    await tick();
+                } catch (err) {
+                    reject(err);
+                    throw err;
+                }
+                if (++ticks === 2) {
+                    orchestrator.stopMainComputeLoop();
+                    resolve();
+                }
+            };
+        });
+
+        orchestrator.startMainComputeLoop();
+        await twoTicks;
+        expect(iisManager.get('/self/internal_clock')).toBe(2);
+        expect(keysUnder(iisManager, '/log/thought/').length).toBeGreaterThan(0);
+    });
+
+    it('should judge a thought that negates an earlier one against it', async () => {
+        let now = 1000;
+        const clock = jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        try {
+            const { iisManager, orchestrator } = await phoenix([
+                'Consciousness emerges from coherent information.',
+                'Consciousness does not emerge from coherent information.',
+            ]);
+            await orchestrator.executeTick();
+            await orchestrator.executeTick();
+
+            const [firstKey, ...others] = keysUnder(iisManager, '/log/thought/');
+            expect(others).toEqual([]);
+            expect(iisManager.get('/self/thought_log')).toEqual(['Consciousness emerges from coherent information.']);
+
+            const [contradictionKey] = keysUnder(iisManager, '/log/contradiction/');
+            expect(iisManager.get(contradictionKey).result).toMatchObject({
+                verdict: VERDICTS.CONTRADICTION,
+                explanation: { rule: 'semantic-contradiction', semantic: [expect.objectContaining({ key: firstKey, negation: true })] },
+            });
+        } finally {
+            clock.mockRestore();
+        }
+    });
+
+    it('should not store a thought that paraphrases an earlier one', async () => {
+        let now = 1000;
+        const clock = jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        try {
+            const { iisManager, orchestrator } = await phoenix([
+                'Consciousness emerges from coherent information.',
+                'consciousness EMERGED from coherent information',
+            ]);
+            await orchestrator.executeTick();
+            await orchestrator.executeTick();
+
+            const thoughtKeys = keysUnder(iisManager, '/log/thought/');
+            expect(thoughtKeys).toHaveLength(1);
+            expect(iisManager.get('/self/thought_log')).toEqual(['Consciousness emerges from coherent information.']);
+
+            const [redundantKey] = keysUnder(iisManager, '/log/redundant/');
+            expect(iisManager.get(redundantKey)).toEqual({
+                key: expect.stringMatching(/^\/log\/thought\//),
+                reference: thoughtKeys[0],
+                similarity: expect.closeTo(1, 12),
+            });
+            expect(iisManager.get('/self/internal_clock')).toBe(2);
+        } finally {
+            clock.mockRestore();
+        }
+    });
+
+    it('should keep the semantic index in step with the IIS without walking it every tick', async () => {
+        let now = 1000;
+        const clock = jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        try {
+            const { iisManager, orchestrator } = await phoenix(['The universe is expanding', 'Cats enjoy warm milk', 'Stars are distant suns']);
+            const eif = orchestrator._eif;
+            const keys = jest.spyOn(iisManager, 'keys');
+
+            for (let i = 0; i < 3; i++) await orchestrator.executeTick();
+            expect(keys).toHaveBeenCalledTimes(1);
+            expect(eif.semantics.index.documents).toBe(3);
+
+            const [first] = keysUnder(iisManager, '/log/thought/');
+            iisManager.set(first, { value: 'The universe is contracting' });
+            expect(eif.semantics.index.texts.get(first)).toBe('The universe is contracting');
+            expect(eif.semantics.index.frequencies.has('expand')).toBe(false);
+            expect(keys).toHaveBeenCalledTimes(1);
+        } finally {
+            clock.mockRestore();
+        }
+    });
+
+    it('should integrate a batch of deltas atomically or not at all', async () => {
+        const { iisManager, orchestrator } = await phoenix('unused');
+
+        const accepted = await orchestrator.integrateBatch([
+            { key: '/world/sky', value: 'blue' },
+            { key: '/world/sea', value: 'blue' },
+        ]);
+        expect(accepted.integrable).toBe(true);
+        expect(iisManager.get('/world/sea').value).toBe('blue');
+
+        const rejected = await orchestrator.integrateBatch([
+            { key: '/world/grass', value: 'green' },
+            { key: '/world/sky', value: 'green' },
+        ]);
+        expect(rejected).toMatchObject({ verdict: VERDICTS.TENSION, integrable: false });
+        expect(iisManager.get('/world/grass')).toBeUndefined();
+        expect(iisManager.get('/world/sky').value).toBe('blue');
+    });
+
+    it('should leave the IIS untouched for an empty batch', async () => {
+        const { iisManager, orchestrator } = await phoenix('unused');
+        const begin = jest.spyOn(iisManager, 'begin');
+        const save = jest.spyOn(iisManager, 'save');
+
+        expect(await orchestrator.integrateBatch([])).toMatchObject({ empty: true, integrable: false });
+        expect(begin).not.toHaveBeenCalled();
+        expect(save).not.toHaveBeenCalled();
+    });
+});
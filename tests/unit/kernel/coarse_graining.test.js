@@ -0,0 +1,115 @@
+/**
+ * @file tests/unit/kernel/coarse_graining.test.js
+ * @description Verifica el Zoom Computacional: agrupación en super-COCs, renormalización y proyección.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { coarseGrain } from '../../../src/kernel/coarse_graining.js';
+
+const dot = (a, b) => a.reduce((acc, x, k) => acc + x * b[k], 0);
+
+function twoCommunities() {
+    const universe = new Universe({ sigma: 0, telosStrength: 0, rng: 3 });
+    const states = [[1, 0, 0.2], [1, 0.1, 0], [0.9, 0, 0.1], [0, 1, 0], [0.1, 1, 0], [0, 1, 0.2]];
+    states.forEach((cgpNet, i) => universe.addCOC(new CoherentOntologicalCubit({ id: `c${i}`, cgpNet })));
+    const connect = (a, b, weight) => {
+        universe.cocs.get(`c${a}`).connectTo(`c${b}`, weight);
+        universe.cocs.get(`c${b}`).connectTo(`c${a}`, weight);
+    };
+    for (const [a, b] of [[0, 1], [1, 2], [0, 2], [3, 4], [4, 5], [3, 5]]) connect(a, b, 5);
+    connect(2, 3, 0.3);
+    return universe;
+}
+
+describe('Kernel Coarse Graining: Zoom Computacional', () => {
+
+    it('should group strongly connected COCs into ~N/zeta super-COCs', () => {
+        const universe = twoCommunities();
+        const { universe: coarse, groups, membership } = universe.coarseGrain({ zeta: 3 });
+
+        expect(Array.from(groups.values()).map(members => members.sort())).toEqual([['c0', 'c1', 'c2'], ['c3', 'c4', 'c5']]);
+        expect(membership.get('c4')).toBe('super-1');
+        expect(coarse.cocs.size).toBe(2);
+        // Solo sobrevive la arista entre comunidades, promediada sobre los miembros del origen.
+        const links = coarse.cocs.get('super-0').connections;
+        expect(Array.from(links.keys())).toEqual(['super-1']);
+        expect(links.get('super-1')).toBeCloseTo(0.1, 12);
+        expect(coarse.cocs.get('super-0').state[0]).toBeGreaterThan(0.9);
+    });
+
+    it('should halve a ring per matching round and stop at a single super-COC', () => {
+        const universe = new Universe({ rng: 5 });
+        populateUniverse(universe, { topology: 'ring', n: 8 });
+
+        const pairs = coarseGrain(universe, { zeta: 2 });
+        expect(pairs.groups.size).toBe(4);
+        for (const [a, b] of pairs.groups.values()) {
+            expect(universe.cocs.get(a).connections.has(b)).toBe(true);
+        }
+
+        expect(coarseGrain(universe, { zeta: 100 }).groups.size).toBe(1);
+        expect(coarseGrain(universe, { zeta: 1 }).groups.size).toBe(8);
+    });
+
+    it('should only group pairs above minWeight', () => {
+        const universe = twoCommunities();
+        const { groups } = coarseGrain(universe, { zeta: 6, minWeight: 1 });
+        expect(groups.size).toBe(2);
+    });
+
+    it('should renormalize the noise of each super-COC', () => {
+        const universe = new Universe({ sigma: 0.4 });
+        populateUniverse(universe, { topology: 'ring', n: 4, rng: 1 });
+        universe.cocs.get('coc-0').noise = 0.2;
+
+        const { universe: coarse, membership } = coarseGrain(universe, { zeta: 2 });
+        const superId = membership.get('coc-0');
+        expect(coarse.cocs.get(superId).noise).toBeCloseTo(0.3 / Math.SQRT2, 12);
+    });
+
+    it('should match the fine dynamics at zeta = 1', () => {
+        const build = () => {
+            const universe = new Universe({ sigma: 0.2, dt: 0.05, integrator: 'heun', rng: 21 });
+            populateUniverse(universe, { topology: 'wattsStrogatz', n: 20, params: { k: 2, beta: 0.2 } });
+            return universe;
+        };
+        const fine = build();
+        const coarse = build();
+        for (let t = 0; t < 10; t++) fine.tick();
+        coarse.runCoarse(10);
+
+        expect(coarse.tickCount).toBe(10);
+        for (const [id, coc] of fine.cocs.entries()) {
+            coarse.cocs.get(id).state.forEach((x, k) => expect(x).toBeCloseTo(coc.state[k], 10));
+        }
+    });
+
+    it('should step at the coarse scale and project back preserving intra-group structure', () => {
+        const universe = twoCommunities();
+        const before = Array.from(universe.cocs.values(), coc => [...coc.state]);
+        const ticks = [];
+        universe.on('tick', event => ticks.push(event.tick));
+
+        const { universe: coarse, groups } = universe.runCoarse(300, { zeta: 3 });
+        expect(universe.tickCount).toBe(300);
+        expect(ticks).toEqual([300]);
+        expect(universe.metricsHistory).toHaveLength(1);
+
+        // Los super-COCs se sincronizan a través de su arista débil...
+        const [a, b] = Array.from(coarse.cocs.values(), coc => coc.state);
+        expect(dot(a, b)).toBeGreaterThan(0.99);
+        // ...y cada grupo gira como un sólido rígido.
+        const after = Array.from(universe.cocs.values(), coc => coc.state);
+        for (const members of groups.values()) {
+            const [i, j] = members.map(id => Number(id.slice(1)));
+            expect(dot(after[i], after[j])).toBeCloseTo(dot(before[i], before[j]), 10);
+        }
+        expect(dot(after[0], after[3])).toBeGreaterThan(dot(before[0], before[3]));
+    });
+
+    it('should reject zoom factors below 1', () => {
+        expect(() => coarseGrain(new Universe(), { zeta: 0.5 })).toThrow(/zeta/);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * @file tests/unit/kernel/complexity.test.js
+ * @description Verifica el análisis de complejidad de la memoria de firmas.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { SeededRandom } from '../../../src/utils/random.js';
+import {
+    SIGNATURES,
+    resolveSignature,
+    shannonEntropy,
+    permutationEntropy,
+    lempelZivComplexity,
+    autocorrelation,
+    dominantFrequency,
+    analyzeComplexity,
+} from '../../../src/kernel/metrics/complexity.js';
+
+const periodic = Array.from({ length: 64 }, (_, t) => Math.sin(2 * Math.PI * t / 8));
+const rng = new SeededRandom(7);
+const noise = Array.from({ length: 64 }, () => rng.next());
+
+describe('Kernel Metrics: Complejidad de firmas', () => {
+
+    it('should bound entropies between ordered and random series', () => {
+        const ramp = Array.from({ length: 30 }, (_, t) => t);
+        expect(shannonEntropy([3, 3, 3, 3])).toBe(0);
+        expect(shannonEntropy([0, 1], { bins: 2 })).toBe(1);
+        // Ventanas de memoria mayores que el límite de argumentos de una llamada.
+        expect(shannonEntropy(Array.from({ length: 300000 }, (_, t) => t % 2), { bins: 2 })).toBe(1);
+        expect(permutationEntropy(ramp)).toBe(0);
+        expect(permutationEntropy(noise)).toBeGreaterThan(0.9);
+        expect(permutationEntropy([1, 2])).toBeNull();
+    });
+
+    it('should count Lempel-Ziv phrases (LZ76)', () => {
+        // Binarizada en la mediana: 0001101001000101 → 0 · 001 · 10 · 100 · 1000 · 101 (6 frases).
+        const series = [0, 0, 0, 1, 1, 0, 1, 0, 0, 1, 0, 0, 0, 1, 0, 1];
+        expect(lempelZivComplexity(series, { normalize: false })).toBe(6);
+        expect(lempelZivComplexity(noise)).toBeGreaterThan(lempelZivComplexity(periodic));
+    });
+
+    it('should find the autocorrelation and dominant frequency of a periodic signal', () => {
+        const acf = autocorrelation(periodic, 8);
+        expect(acf[0]).toBe(1);
+        expect(acf[4]).toBeLessThan(-0.9);
+        expect(acf[8]).toBeGreaterThan(0.85);
+        expect(dominantFrequency(periodic)).toMatchObject({ frequency: 1 / 8, period: 8 });
+        expect(dominantFrequency(periodic).power).toBeCloseTo(1, 10);
+        expect(dominantFrequency([2, 2, 2, 2])).toEqual({ frequency: 0, period: Infinity, power: 0 });
+        expect(autocorrelation([2, 2, 2])).toEqual([1, 0]);
+    });
+
+    it('should resolve signature definitions', () => {
+        expect(resolveSignature()).toBe(SIGNATURES.sum);
+        expect(SIGNATURES.polar.compute([0, 0, -1])).toBeCloseTo(Math.PI, 12);
+        expect(SIGNATURES.octant.compute([1, -1, 1])).toBe(5);
+        const coc = new CoherentOntologicalCubit({ telos: 'NORTH_POLE' });
+        expect(SIGNATURES.telos.compute([1, 0, 0], coc)).toBeCloseTo(Math.PI / 2, 12);
+        expect(() => resolveSignature('entropy')).toThrow(/Firma desconocida/);
+    });
+
+    it('should analyse a universe with a configurable memory window and signature', () => {
+        const universe = new Universe({ sigma: 0.4, rng: 3, signature: 'azimuth', memoryWindow: 32 });
+        populateUniverse(universe, { topology: 'ring', n: 8 });
+        for (let t = 0; t < 40; t++) universe.tick();
+
+        const coc = universe.cocs.get('coc-0');
+        expect(coc.memory).toHaveLength(32);
+        expect(coc.signature).toBe(Math.atan2(coc.state[1], coc.state[0]));
+
+        const { perCOC, aggregate } = universe.getComplexity({ window: 16 });
+        expect(perCOC['coc-0'].length).toBe(16);
+        expect(aggregate.count).toBe(8);
+        const mean = Object.values(perCOC).reduce((acc, a) => acc + a.permutationEntropy, 0) / 8;
+        expect(aggregate.permutationEntropy).toBeCloseTo(mean, 12);
+
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+        expect(restored.signature).toBe(SIGNATURES.azimuth);
+        expect(restored.memoryWindow).toBe(32);
+    });
+
+    it('should skip undefined observables when aggregating', () => {
+        const cocs = [new CoherentOntologicalCubit({ id: 'a' }), new CoherentOntologicalCubit({ id: 'b' })];
+        cocs[0].memory = [0.1, 0.5, 0.2, 0.9];
+        const { aggregate } = analyzeComplexity(cocs);
+        expect(aggregate.permutationEntropy).toBe(analyzeComplexity([cocs[0]]).aggregate.permutationEntropy);
+        expect(aggregate.lempelZiv).not.toBeNull();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @file tests/unit/kernel/dimensions.test.js
+ * @description Verifica COCs y Universe.tick() sobre esferas S^(n-1) de dimensión arbitraria.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { Vector3, VectorN } from '../../../src/utils/linear_algebra.js';
+import { SeededRandom } from '../../../src/utils/random.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+
+const norm = (state) => Math.sqrt(state.reduce((acc, x) => acc + x * x, 0));
+
+describe('Kernel: Estados en S^(n-1)', () => {
+
+    it('should match Vector3 arithmetic exactly in three dimensions', () => {
+        const a = Vector3.random(new SeededRandom(4));
+        const b = VectorN.random(3, new SeededRandom(4));
+        expect(b.toArray()).toEqual(a.toArray());
+
+        const force = new Vector3(0.3, -1.2, 0.7);
+        const forceN = new VectorN([0.3, -1.2, 0.7]);
+        expect(forceN.dot(b)).toBe(force.dot(a));
+        expect(forceN.clone().subtract(b.clone().multiplyScalar(forceN.dot(b))).toArray())
+            .toEqual(force.clone().subtract(a.clone().multiplyScalar(force.dot(a))).toArray());
+        expect(forceN.magnitude()).toBe(force.magnitude());
+    });
+
+    it('should normalize COC states of any dimension', () => {
+        expect(new CoherentOntologicalCubit({ cgpNet: [3, 4] }).state).toEqual([0.6, 0.8]);
+        expect(new CoherentOntologicalCubit({ cgpNet: [0, 0, 0, 0] }).state).toEqual([0, 0, 0, 1]);
+        expect(() => new CoherentOntologicalCubit({ cgpNet: [] })).toThrow(/al menos una componente/);
+    });
+
+    it('should synchronize phase oscillators on S¹', () => {
+        const universe = new Universe({ sigma: 0, dt: 0.1, integrator: 'rk4' });
+        const phases = [0, 2, 4];
+        phases.forEach((theta, i) => universe.addCOC(new CoherentOntologicalCubit({ id: `p${i}`, cgpNet: [Math.cos(theta), Math.sin(theta)] })));
+        for (const a of universe.cocs.values()) {
+            for (const b of universe.cocs.values()) if (a !== b) a.connectTo(b.id, 1.0);
+        }
+
+        for (let t = 0; t < 200; t++) universe.tick();
+
+        expect(universe.dimension).toBe(2);
+        for (const coc of universe.cocs.values()) {
+            expect(coc.state).toHaveLength(2);
+            expect(norm(coc.state)).toBeCloseTo(1, 12);
+        }
+        expect(universe.getMetrics().orderParameter).toBeGreaterThan(0.999);
+    });
+
+    it('should reach consensus on S⁴ with every integrator', () => {
+        for (const integrator of ['euler', 'heun', 'rk4', 'geodesic']) {
+            const universe = new Universe({ sigma: 0.01, dt: 0.1, integrator, rng: 8 });
+            populateUniverse(universe, { topology: 'complete', n: 12, dimension: 5 });
+            const initial = universe.getMetrics().orderParameter;
+            for (let t = 0; t < 150; t++) universe.tick();
+
+            expect(universe.cocs.get('coc-0').state).toHaveLength(5);
+            expect(norm(universe.cocs.get('coc-3').state)).toBeCloseTo(1, 12);
+            expect(initial).toBeLessThan(0.7);
+            expect(universe.getMetrics().orderParameter).toBeGreaterThan(0.99);
+        }
+    });
+
+    it('should pull a planar COC towards a planar telos', () => {
+        const universe = new Universe({ sigma: 0 });
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'x', cgpNet: [0, 1], telos: { type: 'point', direction: [1, 0] } }));
+        for (let t = 0; t < 200; t++) universe.tick();
+        expect(universe.cocs.get('x').state[0]).toBeCloseTo(1, 6);
+    });
+
+    it('should reject mixed or unsupported dimensions', () => {
+        const universe = new Universe();
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'a', cgpNet: [1, 0] }));
+        expect(() => universe.addCOC(new CoherentOntologicalCubit({ id: 'b' }))).toThrow(/Dimensión incompatible/);
+
+        universe.cocs.get('a').telos = 'ICOSAHEDRAL';
+        expect(() => universe.tick()).toThrow(/dimensión 3 y el estado en 2/);
+        expect(() => TypedUniverseEngine.fromUniverse(universe)).toThrow(/solo soporta estados en S²/);
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file tests/unit/kernel/eif_batch.test.js
+ * @description Verifica el juicio por lotes del EIF, incluidos los conflictos entre deltas del mismo lote.
+ */
+
+import { VERDICTS } from '../../../src/kernel/logic/eif.js';
+import { eifWith } from './fixtures.js';
+
+describe('Kernel Logic: Lotes del EIF', () => {
+
+    it('should accept a batch only when every delta is integrable', () => {
+        const eif = eifWith({ '/self/telos': { value: 'grow', meta: { coherence: 0.8 } } });
+
+        const clean = eif.verifyBatch([
+            { key: '/a', value: 1 },
+            { key: '/self/telos', value: 'grow' },
+        ]);
+        expect(clean).toMatchObject({ verdict: VERDICTS.COHERENT, integrable: true, tension: 0, conflicts: [] });
+        expect(clean.results.map(result => result.verdict)).toEqual([VERDICTS.COHERENT, VERDICTS.REDUNDANT]);
+        expect(eif.verifyBatch([{ key: '/self/telos', value: 'grow' }]).verdict).toBe(VERDICTS.REDUNDANT);
+
+        const blocked = eif.verifyBatch([
+            { key: '/a', value: 1 },
+            { key: '/self/telos', value: 'rest' },
+        ]);
+        expect(blocked).toMatchObject({ verdict: VERDICTS.TENSION, integrable: false });
+        expect(blocked.tension).toBe(blocked.results[1].tension);
+        expect(blocked.reason).toBe("El lote no puede integrarse: #1 '/self/telos' TENSION.");
+    });
+
+    it('should judge each delta against the IIS as left by the earlier deltas of the batch', () => {
+        const eif = eifWith({});
+        const batch = eif.verifyBatch([
+            { key: '/plan', value: { step: 1 }, meta: { coherence: 0.95 } },
+            { key: '/plan', value: { step: 1 } },
+            { key: '/plan', value: { step: 2 }, meta: { coherence: 0.5 } },
+            { key: '/other', value: 'x' },
+        ]);
+
+        expect(batch.results.map(result => result.verdict)).toEqual([
+            VERDICTS.COHERENT,
+            VERDICTS.REDUNDANT,
+            VERDICTS.TENSION,
+            VERDICTS.COHERENT,
+        ]);
+        // El delta #1 no trae coherencia: el lote guarda la que trae cada delta, no la del #0.
+        expect(batch.results[2].explanation).toMatchObject({ conflicts: ['/step'], oldCoherence: 0.5 });
+        expect(batch.conflicts).toEqual([{ key: '/plan', indices: [1, 2], verdict: VERDICTS.TENSION }]);
+        expect(batch.integrable).toBe(false);
+    });
+
+    it('should report the gravest verdict of the batch, schema failures first', () => {
+        const eif = eifWith(
+            { '/self/identity': { value: 'Phoenix', meta: { coherence: 0.95 } } },
+            { schemas: { '/self/internal_clock': { type: 'integer' } } }
+        );
+        const batch = eif.verifyBatch([
+            { key: '/self/identity', value: 'Ash', meta: { coherence: 0.6 } },
+            { key: '/self/internal_clock', value: 'late' },
+        ]);
+        expect(batch.verdict).toBe(VERDICTS.INVALID);
+        expect(batch.results[0].verdict).toBe(VERDICTS.CONTRADICTION);
+    });
+
+    it('should treat an empty batch as a no-op that is not integrable', () => {
+        const eif = eifWith({});
+        expect(eif.verifyBatch([])).toEqual({
+            verdict: VERDICTS.REDUNDANT,
+            reason: 'El lote está vacío: no hay nada que integrar.',
+            integrable: false,
+            empty: true,
+            tension: 0,
+            results: [],
+            conflicts: [],
+        });
+        expect(eif.verifyBatch([{ key: '/a', value: 1 }]).empty).toBe(false);
+    });
+});
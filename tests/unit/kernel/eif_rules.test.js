@@ -0,0 +1,114 @@
+/**
+ * @file tests/unit/kernel/eif_rules.test.js
+ * @description Verifica el motor de reglas de las políticas de coherencia del EIF.
+ */
+
+import { VERDICTS } from '../../../src/kernel/logic/eif.js';
+import { DEFAULT_RULES, compilePattern, compileCondition, resolveRule, registerRule } from '../../../src/kernel/logic/rules.js';
+import { eifWith } from './fixtures.js';
+
+const memory = {
+    '/self/identity': { value: 'Phoenix', meta: { coherence: 0.95 } },
+    '/self/mood': { value: 'calm', meta: { coherence: 0.6 } },
+    '/log/thought/1': { value: 'hello', meta: { coherence: 0.6 } },
+};
+
+describe('Kernel Logic: Reglas del EIF', () => {
+
+    it('should match key patterns by segment and by depth', () => {
+        const self = compilePattern('/self/*');
+        expect(self('/self/identity')).toBe(true);
+        expect(self('/self/a/b')).toBe(false);
+        expect(self('/selfish')).toBe(false);
+
+        const logs = compilePattern(['/log/**', /^\/tmp\//]);
+        expect(logs('/log/thought/1')).toBe(true);
+        expect(logs('/tmp/x')).toBe(true);
+        expect(logs('/self/log')).toBe(false);
+        expect(compilePattern('/a.b')('/aXb')).toBe(false);
+    });
+
+    it('should compile declarative conditions with literals, operators and field operands', () => {
+        const condition = compileCondition({ exists: true, tension: { gt: 0.2, lte: 0.5 }, newCoherence: { lt: 'oldCoherence' } });
+        expect(condition({ exists: true, tension: 0.3, newCoherence: 0.5, oldCoherence: 0.9 })).toBe(true);
+        expect(condition({ exists: true, tension: 0.6, newCoherence: 0.5, oldCoherence: 0.9 })).toBe(false);
+        expect(condition({ exists: true, tension: 0.3, newCoherence: 0.5, oldCoherence: null })).toBe(false);
+
+        expect(() => compileCondition({ mood: 'sad' })).toThrow(/Campo de condición desconocido/);
+        expect(() => compileCondition({ tension: { near: 0.5 } })).toThrow(/Operador de condición desconocido/);
+        expect(() => resolveRule({ name: 'x', verdict: 'MAYBE' })).toThrow(/Veredicto desconocido/);
+        expect(() => resolveRule('nope')).toThrow(/Regla desconocida/);
+    });
+
+    it('should read string operands as literals of text fields and reject unknown names', () => {
+        const notDuplicate = compileCondition({ relation: { ne: 'duplicate' } });
+        expect(notDuplicate({ relation: 'opposed' })).toBe(true);
+        expect(notDuplicate({ relation: 'duplicate' })).toBe(false);
+        expect(compileCondition({ relation: 'opposed' })({ relation: 'opposed' })).toBe(true);
+
+        expect(() => compileCondition({ newCoherence: { lt: 'oldCoherense' } })).toThrow(/Valor de condición desconocido para 'newCoherence': 'oldCoherense'/);
+        expect(() => compileCondition({ relation: { eq: 'duplcate' } })).toThrow(/Valor de condición desconocido/);
+        expect(() => compileCondition({ relation: 'opossed' })).toThrow(/Valor de condición desconocido/);
+        expect(() => compileCondition({ tension: 'high' })).toThrow(/Valor de condición desconocido/);
+    });
+
+    it('should reproduce the historical verdicts with the default policy', () => {
+        const eif = eifWith(memory);
+        expect(eif.getPolicy()).toEqual(DEFAULT_RULES);
+
+        expect(eif.verifyCoherence({ key: '/new', value: 1 }).explanation.rule).toBe('new-node');
+        expect(eif.verifyCoherence({ key: '/self/mood', value: 'calm' }).verdict).toBe(VERDICTS.REDUNDANT);
+        expect(eif.verifyCoherence({ key: '/self/identity', value: 'Ash' })).toMatchObject({
+            verdict: VERDICTS.CONTRADICTION,
+            reason: 'La nueva información contradice un principio con alta coherencia (0.95).',
+        });
+        expect(eif.verifyCoherence({ key: '/self/mood', value: 'tense' }).verdict).toBe(VERDICTS.TENSION);
+    });
+
+    it('should load a deployment policy from JSON config', () => {
+        const config = JSON.parse(JSON.stringify({
+            rules: [
+                'new-node',
+                'identical',
+                {
+                    name: 'protect-self',
+                    match: '/self/*',
+                    when: { exists: true, identical: false, tension: { gte: 0.2 } },
+                    verdict: 'CONTRADICTION',
+                    priority: 250,
+                    reason: "'{key}' es parte de la identidad (tensión {tension}).",
+                },
+                { type: 'high-coherence-principle', threshold: 0.99 },
+                { name: 'append-only-log', match: '/log/**', when: { exists: true }, verdict: 'TENSION', priority: 500 },
+                'value-conflict',
+            ],
+        }));
+        const eif = eifWith(memory, config);
+
+        const mood = eif.verifyCoherence({ key: '/self/mood', value: 'tense', meta: { coherence: 0.6 } });
+        expect(mood).toMatchObject({ verdict: VERDICTS.CONTRADICTION, reason: "'/self/mood' es parte de la identidad (tensión 0.5)." });
+        expect(mood.explanation.rule).toBe('protect-self');
+
+        // El umbral de 0.99 deja pasar lo que la política por defecto rechazaría... salvo protect-self.
+        expect(eif.verifyCoherence({ key: '/self/identity', value: 'Ash', meta: { coherence: 0.95 } }).explanation.rule).toBe('protect-self');
+        // La regla de mayor prioridad decide, aun para valores idénticos.
+        expect(eif.verifyCoherence({ key: '/log/thought/1', value: 'hello' }).explanation.rule).toBe('append-only-log');
+        expect(eif.getPolicy()).toEqual(config.rules);
+    });
+
+    it('should accept programmatic and registered rules and fall back when none applies', () => {
+        registerRule('frozen-keys', ({ keys }) => ({ verdict: VERDICTS.CONTRADICTION, match: keys, when: { exists: true, identical: false } }));
+        const eif = eifWith(memory, { rules: [{ type: 'frozen-keys', keys: ['/self/mood'] }] });
+        eif.addRule({ name: 'long-text', verdict: VERDICTS.TENSION, when: context => String(context.delta.value).length > 10 });
+
+        expect(eif.verifyCoherence({ key: '/self/mood', value: 'tense' })).toMatchObject({
+            verdict: VERDICTS.CONTRADICTION,
+            reason: "Regla 'frozen-keys': CONTRADICTION.",
+        });
+        expect(eif.verifyCoherence({ key: '/x', value: 'a very long thought' }).explanation.rule).toBe('long-text');
+
+        const undecided = eif.verifyCoherence({ key: '/x', value: 1 });
+        expect(undecided.verdict).toBe(VERDICTS.TENSION);
+        expect(undecided.explanation.rule).toBeNull();
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file tests/unit/kernel/eif_schema.test.js
+ * @description Verifica la validación de esquemas de los nodos del IIS y el veredicto INVALID del EIF.
+ */
+
+import { VERDICTS } from '../../../src/kernel/logic/eif.js';
+import { validateSchema, assertSchema } from '../../../src/kernel/logic/schema.js';
+import { eifWith } from './fixtures.js';
+
+describe('Kernel Logic: Esquemas del EIF', () => {
+
+    it('should validate types, ranges, strings and nested structures', () => {
+        const schema = {
+            type: 'object',
+            required: ['name', 'level'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+                level: { type: 'integer', minimum: 0, exclusiveMaximum: 10 },
+                tags: { type: 'array', maxItems: 2, items: { enum: ['a', 'b'] } },
+                note: { type: ['string', 'null'] },
+            },
+        };
+        expect(validateSchema(schema, { name: 'core', level: 3, tags: ['a'], note: null })).toEqual([]);
+
+        const errors = validateSchema(schema, { name: 'X', level: 10, tags: ['a', 'c', 'b'], extra: 1 });
+        expect(errors.map(({ path, keyword }) => `${path}:${keyword}`)).toEqual([
+            '/name:minLength',
+            '/name:pattern',
+            '/level:exclusiveMaximum',
+            '/tags:maxItems',
+            '/tags/1:enum',
+            '/extra:additionalProperties',
+        ]);
+        expect(validateSchema(schema, { name: 'ok' })).toEqual([{ path: '', keyword: 'required', message: "falta la propiedad obligatoria 'level'" }]);
+        expect(validateSchema({ type: 'integer' }, 1.5)[0].message).toBe('se esperaba integer y se recibió number');
+        expect(validateSchema({ type: 'number' }, NaN)).toHaveLength(1);
+        expect(validateSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, true)[0].keyword).toBe('anyOf');
+    });
+
+    it('should reject unsupported schema keywords at registration', () => {
+        expect(() => assertSchema({ type: 'string', minLenght: 3 })).toThrow(/no soportada.*minLenght/);
+        expect(() => assertSchema({ properties: { a: { typ: 'string' } } })).toThrow(/typ/);
+        expect(() => eifWith({}, { schemas: { '/x': 'integer' } })).toThrow(/debe ser un objeto/);
+        expect(() => assertSchema({ type: 'string', pattern: '([' })).toThrow(/\[Schema\] Patrón inválido.*'\(\['/);
+        expect(() => assertSchema({ items: { pattern: 42 } })).toThrow(/\[Schema\] Patrón inválido/);
+        expect(() => eifWith({}, { schemas: { '/x': { properties: { name: { pattern: '*a' } } } } })).toThrow(/\[Schema\]/);
+    });
+
+    it('should judge values that break their schema as INVALID before any rule', () => {
+        const eif = eifWith(
+            { '/self/internal_clock': 4 },
+            { schemas: { '/self/internal_clock': { type: 'integer', minimum: 0 } } }
+        );
+
+        const result = eif.verifyCoherence({ key: '/self/internal_clock', value: 'five' });
+        expect(result.verdict).toBe(VERDICTS.INVALID);
+        expect(result.reason).toBe("El valor para '/self/internal_clock' no cumple su esquema: / se esperaba integer y se recibió string.");
+        expect(result.explanation).toMatchObject({
+            rule: 'schema',
+            errors: [{ path: '', keyword: 'type', schema: '/self/internal_clock' }],
+        });
+
+        expect(eif.verifyCoherence({ key: '/self/internal_clock', value: 5 }).verdict).toBe(VERDICTS.TENSION);
+        expect(eif.verifyCoherence({ key: '/self/internal_clock', value: 5 }).explanation.errors).toEqual([]);
+        // Los esquemas también protegen los nodos nuevos.
+        expect(eif.verifyCoherence({ key: '/self/internal_clock', value: -1 }).verdict).toBe(VERDICTS.INVALID);
+    });
+
+    it('should combine every schema whose pattern matches the key', () => {
+        const eif = eifWith({}, {
+            schemas: [
+                { match: '/log/**', schema: { type: 'string' } },
+                { match: '/log/thought/*', schema: { type: 'string', minLength: 3 } },
+            ],
+        });
+        eif.registerSchema(/secret/, { not: { pattern: 'password' } });
+
+        expect(eif.validate('/log/thought/1', 'ok').map(error => error.schema)).toEqual(['/log/thought/*']);
+        expect(eif.validate('/log/a/b', 42).map(error => error.keyword)).toEqual(['type']);
+        expect(eif.validate('/log/thought/secret', 'my password')).toEqual([
+            expect.objectContaining({ keyword: 'not', schema: /secret/ }),
+        ]);
+
+        const result = eif.verifyCoherence({ key: '/log/thought/2', value: 7 });
+        expect(result.verdict).toBe(VERDICTS.INVALID);
+        expect(result.reason).toMatch(/\(y 1 errores más\)\.$/);
+    });
+});
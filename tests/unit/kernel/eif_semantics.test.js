@@ -0,0 +1,197 @@
+/**
+ * @file tests/unit/kernel/eif_semantics.test.js
+ * @description Verifica la comparación semántica de textos y su uso en los veredictos del EIF.
+ */
+
+import { jest } from '@jest/globals';
+import { VERDICTS } from '../../../src/kernel/logic/eif.js';
+import { SemanticComparator, TextIndex, normalizeText, tokenize } from '../../../src/kernel/logic/semantics.js';
+import { eifWith } from './fixtures.js';
+
+describe('Kernel Logic: Semántica del EIF', () => {
+
+    it('should normalize case, accents, punctuation and negative contractions', () => {
+        expect(normalizeText('  ¡La Conciencia  EMERGE, también!  ')).toBe('la conciencia emerge tambien');
+        expect(tokenize("It doesn't, and it can't.")).toEqual(['it', 'does', 'not', 'and', 'it', 'can', 'not']);
+        expect(tokenize('')).toEqual([]);
+    });
+
+    it('should score paraphrases high and unrelated texts low', () => {
+        const comparator = new SemanticComparator();
+
+        const same = comparator.compare('The universe is expanding.', 'the Universe is EXPANDING!!');
+        expect(same).toMatchObject({ similarity: expect.closeTo(1, 12), relation: 'duplicate', negation: false });
+
+        const inflected = comparator.compare('Consciousness emerges from coherence', 'Consciousness emerged from coherence');
+        expect(inflected.relation).toBe('duplicate');
+
+        const unrelated = comparator.compare('The universe is expanding', 'Cats enjoy warm milk');
+        expect(unrelated).toMatchObject({ similarity: 0, relation: 'unrelated' });
+
+        const related = comparator.compare('I should study quantum coherence next', 'Next I should study coherence in quantum systems');
+        expect(related.relation).toBe('related');
+        expect(related.similarity).toBeGreaterThan(0.5);
+    });
+
+    it('should detect negations and antonyms of similar statements', () => {
+        const comparator = new SemanticComparator();
+
+        const negated = comparator.compare('Consciousness emerges from coherent information.', "Consciousness doesn't emerge from coherent information.");
+        expect(negated).toMatchObject({ relation: 'opposed', negation: true, antonyms: [] });
+        expect(comparator.compare('El universo se expande', 'El universo no se expande').relation).toBe('opposed');
+        // Una doble negación afirma.
+        expect(comparator.compare('The field is stable', 'The field is not never stable').negation).toBe(false);
+
+        const antonym = comparator.compare('The hypothesis is true', 'The hypothesis is false');
+        expect(antonym).toMatchObject({ relation: 'opposed', negation: false, antonyms: [['true', 'false']] });
+        expect(comparator.compare('La conciencia es posible', 'La conciencia es imposible').relation).toBe('opposed');
+
+        // Negar algo distinto no es oponerse.
+        expect(comparator.compare('The universe is expanding', 'The universe is not a cat').relation).not.toBe('opposed');
+    });
+
+    it('should weight shared terms by their rarity in the reference corpus', () => {
+        const pair = ['The universe is expanding', 'The universe is contracting'];
+        const plain = new SemanticComparator().compare(...pair);
+        const corpus = new SemanticComparator({ corpus: ['universe one', 'universe two', 'universe three', 'the universe'] }).compare(...pair);
+        expect(corpus.cosine).toBeLessThan(plain.cosine);
+    });
+
+    it('should turn paraphrases into REDUNDANT and negations into CONTRADICTION or TENSION', () => {
+        const memory = {
+            '/belief/origin': { value: 'Phoenix emerges from coherent information.', meta: { coherence: 0.8 } },
+            '/belief/nested': { value: { claim: 'The hypothesis is true', source: 'sci' }, meta: { coherence: 0.8 } },
+        };
+        const eif = eifWith(memory);
+
+        const paraphrase = eif.verifyCoherence({ key: '/belief/origin', value: 'phoenix EMERGED from coherent information', meta: { coherence: 0.7 } });
+        expect(paraphrase).toMatchObject({ verdict: VERDICTS.REDUNDANT, similarity: expect.closeTo(1, 12) });
+        expect(paraphrase.explanation.rule).toBe('near-duplicate');
+        expect(paraphrase.reason).toBe("El valor para '/belief/origin' repite lo ya sabido con otras palabras (similitud 1).");
+
+        const denial = eif.verifyCoherence({ key: '/belief/origin', value: 'Phoenix does not emerge from coherent information.', meta: { coherence: 0.7 } });
+        expect(denial.verdict).toBe(VERDICTS.CONTRADICTION);
+        expect(denial.explanation).toMatchObject({ rule: 'semantic-contradiction', semantic: [expect.objectContaining({ path: '', negation: true })] });
+
+        const revision = eif.verifyCoherence({ key: '/belief/origin', value: 'Phoenix does not emerge from coherent information.', meta: { coherence: 0.9 } });
+        expect(revision).toMatchObject({ verdict: VERDICTS.TENSION, explanation: { rule: 'semantic-tension' } });
+
+        const nested = eif.verifyCoherence({ key: '/belief/nested', value: { claim: 'The hypothesis is false', source: 'sci' }, meta: { coherence: 0.5 } });
+        expect(nested.explanation).toMatchObject({ rule: 'semantic-contradiction', semantic: [expect.objectContaining({ path: '/claim' })] });
+    });
+
+    it('should compare new texts in the semantic scope with the stored ones', () => {
+        const memory = {
+            '/log/thought/1': { value: 'Consciousness emerges from coherent information.', meta: { coherence: 0.7 } },
+            '/log/thought/2': { value: 'Cats enjoy warm milk.', meta: { coherence: 0.7 } },
+            '/belief/origin': { value: 'Consciousness does not emerge from coherent information.' },
+        };
+        const eif = eifWith(memory, { semantics: { scope: '/log/thought/*' } });
+
+        const denial = eif.verifyCoherence({ key: '/log/thought/3', value: "Consciousness doesn't emerge from coherent information", meta: { coherence: 0.7 } });
+        expect(denial).toMatchObject({
+            verdict: VERDICTS.CONTRADICTION,
+            tension: expect.closeTo(0.5, 12),
+            explanation: { rule: 'semantic-contradiction', oldCoherence: 0.7, semantic: [expect.objectContaining({ key: '/log/thought/1', negation: true })] },
+        });
+        expect(denial.reason).toMatch(/niega lo guardado en '\/log\/thought\/1'/);
+
+        const revision = eif.verifyCoherence({ key: '/log/thought/3', value: 'Consciousness never emerges from coherent information', meta: { coherence: 0.9 } });
+        expect(revision.verdict).toBe(VERDICTS.TENSION);
+
+        const paraphrase = eif.verifyCoherence({ key: '/log/thought/3', value: 'cats ENJOY warm milk' });
+        expect(paraphrase).toMatchObject({ verdict: VERDICTS.REDUNDANT, explanation: { rule: 'near-duplicate' } });
+
+        // Un texto sin términos en común con los guardados no se compara con ninguno.
+        const fresh = eif.verifyCoherence({ key: '/log/thought/3', value: 'Stars are distant suns' });
+        expect(fresh).toMatchObject({ verdict: VERDICTS.COHERENT, reference: null, explanation: { rule: 'new-node', oldCoherence: null, semantic: null } });
+        const related = eif.verifyCoherence({ key: '/log/thought/3', value: 'Stars enjoy warm light' });
+        expect(related).toMatchObject({ verdict: VERDICTS.COHERENT, reference: '/log/thought/2', explanation: { rule: 'new-node', oldCoherence: 0.7 } });
+
+        // Fuera del ámbito, o sin ámbito, un nodo nuevo sigue siendo nuevo.
+        expect(eif.verifyCoherence({ key: '/belief/other', value: 'Cats enjoy warm milk' }).explanation.rule).toBe('new-node');
+        expect(eifWith(memory).verifyCoherence({ key: '/log/thought/3', value: 'Cats do not enjoy warm milk' }).explanation.rule).toBe('new-node');
+    });
+
+    it('should feed the IDF index with the texts stored in the semantic scope', () => {
+        const memory = {
+            '/log/thought/1': { value: 'The universe is expanding' },
+            '/log/thought/2': { value: 'The universe is old' },
+            '/log/thought/3': { value: 'The universe is vast' },
+            '/self/identity': 'Phoenix',
+        };
+        const eif = eifWith(memory, { semantics: { scope: '/log/thought/*' } });
+        eif.verifyCoherence({ key: '/log/thought/4', value: 'The universe is contracting' });
+
+        expect(eif.semantics.index.documents).toBe(3);
+        expect(eif.semantics.index.idf('univers')).toBeLessThan(eif.semantics.index.idf('expand'));
+    });
+
+    it('should keep keyed documents, their frequencies and an inverted index up to date', () => {
+        const index = new TextIndex(['the universe']);
+        index.setDocument('/a', 'The universe is expanding');
+        index.setDocument('/b', 'The universe is old and expanding');
+        index.setDocument('/c', 'Cats enjoy milk');
+        expect(index.documents).toBe(4);
+        expect(index.frequencies.get('expand')).toBe(2);
+
+        expect(index.candidates('The universe keeps expanding')).toEqual(['/b', '/a']);
+        expect(index.candidates('The universe keeps expanding', 1)).toEqual(['/b']);
+        expect(index.candidates('Stars shine')).toEqual([]);
+
+        index.setDocument('/a', 'The universe is contracting');
+        expect(index.documents).toBe(4);
+        expect(index.frequencies.get('expand')).toBe(1);
+        expect(index.frequencies.get('contract')).toBe(1);
+        expect(index.candidates('contracting')).toEqual(['/a']);
+
+        index.deleteDocument('/b');
+        expect(index.documents).toBe(3);
+        expect(index.frequencies.has('expand')).toBe(false);
+        expect(index.candidates('expanding')).toEqual([]);
+    });
+
+    it('should only fully compare the stored texts that share terms with the new one', () => {
+        const memory = {};
+        for (let i = 0; i < 50; i++) memory[`/log/thought/${i}`] = { value: `Unrelated note number ${i}` };
+        memory['/log/thought/x'] = { value: 'Consciousness emerges from coherent information.' };
+        memory['/log/thought/y'] = { value: 'Coherent light is information.' };
+        const eif = eifWith(memory, { semantics: { scope: '/log/thought/*', candidates: 1 } });
+        const compare = jest.spyOn(eif.semantics, 'compare');
+
+        const denial = eif.verifyCoherence({ key: '/log/thought/new', value: 'Consciousness does not emerge from coherent information' });
+        expect(denial.reference).toBe('/log/thought/x');
+        expect(compare).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reindex a scoped key whose text is overwritten', () => {
+        const iis = new Map([['/log/thought/1', { value: 'The universe is expanding' }]]);
+        const eif = eifWith(iis, { semantics: { scope: '/log/thought/*' } });
+        eif.verifyCoherence({ key: '/log/thought/2', value: 'Cats enjoy warm milk' });
+        expect(eif.semantics.index.texts.get('/log/thought/1')).toBe('The universe is expanding');
+
+        iis.set('/log/thought/1', { value: 'The universe is contracting' });
+        eif.verifyCoherence({ key: '/log/thought/2', value: 'Cats enjoy warm milk' });
+        expect(eif.semantics.index.documents).toBe(1);
+        expect(eif.semantics.index.frequencies.has('expand')).toBe(false);
+        expect(eif.semantics.index.frequencies.get('contract')).toBe(1);
+
+        iis.delete('/log/thought/1');
+        eif.verifyCoherence({ key: '/log/thought/2', value: 'Cats enjoy warm milk' });
+        expect(eif.semantics.index.documents).toBe(0);
+    });
+
+    it('should leave non-textual changes and disabled semantics to the other rules', () => {
+        const memory = { '/belief/origin': { value: 'Phoenix emerges from coherent information.', meta: { coherence: 0.8 } } };
+
+        const unrelated = eifWith(memory).verifyCoherence({ key: '/belief/origin', value: 'Cats enjoy warm milk' });
+        expect(unrelated).toMatchObject({ verdict: VERDICTS.TENSION, similarity: 0, explanation: { rule: 'value-conflict' } });
+
+        const numeric = eifWith(memory).verifyCoherence({ key: '/belief/origin', value: 42 });
+        expect(numeric.similarity).toBeNull();
+        expect(numeric.explanation.semantic).toBeNull();
+
+        const literal = eifWith(memory, { semantics: false }).verifyCoherence({ key: '/belief/origin', value: 'phoenix emerges from coherent information' });
+        expect(literal).toMatchObject({ verdict: VERDICTS.TENSION, similarity: null });
+    });
+});
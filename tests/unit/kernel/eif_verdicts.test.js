@@ -0,0 +1,120 @@
+/**
+ * @file tests/unit/kernel/eif_verdicts.test.js
+ * @description Verifica los veredictos graduados y explicables del EIF y la diferencia estructural que los sustenta.
+ */
+
+import { VERDICTS } from '../../../src/kernel/logic/eif.js';
+import { structuralDiff, divergence, CHANGE_TYPES } from '../../../src/kernel/logic/diff.js';
+import { eifWith } from './fixtures.js';
+
+describe('Kernel Logic: Veredictos del EIF', () => {
+
+    it('should diff nested values field by field', () => {
+        const { changes, compared } = structuralDiff(
+            { name: 'phoenix', clock: 4, tags: ['a', 'b'], extra: undefined, nested: { on: true } },
+            { name: 'phoenix', clock: 5, tags: ['a'], added: null, nested: 'off' }
+        );
+        expect(changes).toEqual([
+            { path: '/added', type: CHANGE_TYPES.ADDED, after: null },
+            { path: '/clock', type: CHANGE_TYPES.CHANGED, before: 4, after: 5 },
+            { path: '/nested', type: CHANGE_TYPES.TYPE_CHANGED, before: { on: true }, after: 'off' },
+            { path: '/tags/1', type: CHANGE_TYPES.REMOVED, before: 'b' },
+        ]);
+        expect(compared).toBe(6);
+        // 1 + 1/5 + 1 + 1 sobre 6 posiciones.
+        expect(divergence({ changes, compared })).toBeCloseTo(3.2 / 6, 12);
+        expect(structuralDiff([1, { a: 2 }], [1, { a: 2 }]).changes).toEqual([]);
+    });
+
+    it('should compare dates by instant, maps by key and sets as lists', () => {
+        const early = new Date('2026-01-01T00:00:00Z');
+        expect(structuralDiff({ at: early }, { at: new Date(early.getTime()) }).changes).toEqual([]);
+        expect(structuralDiff({ at: early }, { at: new Date('2026-06-01T00:00:00Z') }).changes).toEqual([
+            expect.objectContaining({ path: '/at', type: CHANGE_TYPES.CHANGED }),
+        ]);
+        expect(structuralDiff(early, {}).changes[0].type).toBe(CHANGE_TYPES.TYPE_CHANGED);
+
+        expect(structuralDiff(new Map([['a', 1]]), new Map([['a', 1]])).changes).toEqual([]);
+        expect(structuralDiff(new Map([['a', 1], ['b', 2]]), new Map([['a', 3]])).changes).toEqual([
+            { path: '/a', type: CHANGE_TYPES.CHANGED, before: 1, after: 3 },
+            { path: '/b', type: CHANGE_TYPES.REMOVED, before: 2 },
+        ]);
+        expect(structuralDiff(new Map(), {}).changes[0].type).toBe(CHANGE_TYPES.TYPE_CHANGED);
+
+        expect(structuralDiff(new Set(['x']), new Set(['x'])).changes).toEqual([]);
+        expect(structuralDiff(new Set(['x']), new Set(['x', 'y'])).changes).toEqual([
+            { path: '/1', type: CHANGE_TYPES.ADDED, after: 'y' },
+        ]);
+
+        const eif = eifWith({ '/events': { value: { at: early, seen: new Set(['a']) } } });
+        expect(eif.verifyCoherence({ key: '/events', value: { at: new Date(0), seen: new Set(['a']) } }).verdict).toBe(VERDICTS.TENSION);
+        expect(eif.verifyCoherence({ key: '/events', value: { at: early, seen: new Set(['b']) } }).verdict).toBe(VERDICTS.TENSION);
+    });
+
+    it('should report cycles as changes instead of recursing forever', () => {
+        const cyclic = { name: 'loop' };
+        cyclic.self = cyclic;
+        expect(structuralDiff({ name: 'loop', self: {} }, cyclic).changes).toEqual([
+            { path: '/self', type: CHANGE_TYPES.CYCLE },
+        ]);
+        // Un valor compartido sin ciclo no es un ciclo.
+        const shared = { a: 1 };
+        expect(structuralDiff({ x: shared, y: shared }, { x: { a: 1 }, y: { a: 1 } }).changes).toEqual([]);
+
+        const eif = eifWith({ '/self/model': { value: cyclic } });
+        const result = eif.verifyCoherence({ key: '/self/model', value: cyclic });
+        expect(result.verdict).toBe(VERDICTS.TENSION);
+        expect(result.explanation).toMatchObject({ rule: 'value-conflict', conflicts: ['/self'] });
+    });
+
+    it('should explain new and redundant knowledge', () => {
+        const eif = eifWith({ '/self/telos': { value: { goal: 'grow' }, meta: { coherence: 0.8 } } });
+
+        expect(eif.verifyCoherence({ key: '/new', value: 1 })).toMatchObject({
+            verdict: VERDICTS.COHERENT,
+            tension: 0,
+            diff: [],
+            explanation: { rule: 'new-node', key: '/new', conflicts: [], oldCoherence: null, newCoherence: 0.7 },
+        });
+        expect(eif.verifyCoherence({ key: '/self/telos', value: { goal: 'grow' } })).toMatchObject({
+            verdict: VERDICTS.REDUNDANT,
+            tension: 0,
+            explanation: { rule: 'identical', oldCoherence: 0.8 },
+        });
+    });
+
+    it('should grade tension by the size of the change and the coherence gap', () => {
+        const eif = eifWith({ '/state': { value: { a: 10, b: 'x', c: true, d: 1 }, meta: { coherence: 0.7 } } });
+
+        const small = eif.verifyCoherence({ key: '/state', value: { a: 11, b: 'x', c: true, d: 1 }, meta: { coherence: 0.7 } });
+        const large = eif.verifyCoherence({ key: '/state', value: { a: 11, b: 'y', c: false, d: 1 }, meta: { coherence: 0.7 } });
+        const weak = eif.verifyCoherence({ key: '/state', value: { a: 11, b: 'y', c: false, d: 1 }, meta: { coherence: 0.3 } });
+
+        expect(small.verdict).toBe(VERDICTS.TENSION);
+        expect(small.tension).toBeCloseTo((1 / 11) / 4 / 2, 12);
+        expect(large.tension).toBeCloseTo((2 + 1 / 11) / 4 / 2, 12);
+        expect(weak.tension).toBeCloseTo((2 + 1 / 11) / 4 * 1.4 / 2, 12);
+        expect(large.explanation).toMatchObject({ rule: 'value-conflict', conflicts: ['/a', '/b', '/c'] });
+        expect(large.reason).toMatch(/'\/a', '\/b', '\/c'/);
+    });
+
+    it('should flag contradictions of high-coherence principles', () => {
+        const eif = eifWith({ '/self/identity': { value: 'Phoenix', meta: { coherence: 0.95 } } });
+        const result = eif.verifyCoherence({ key: '/self/identity', value: 'Ash', meta: { coherence: 0.6 } });
+
+        expect(result.verdict).toBe(VERDICTS.CONTRADICTION);
+        expect(result.tension).toBeCloseTo((1 + 0.95 - 0.6) / 2, 12);
+        expect(result.diff).toEqual([{ path: '', type: CHANGE_TYPES.CHANGED, before: 'Phoenix', after: 'Ash' }]);
+        expect(result.explanation).toMatchObject({ rule: 'high-coherence-principle', conflicts: [''], divergence: 1 });
+    });
+
+    it('should read bare values and honor configured default coherences', () => {
+        const eif = eifWith({ '/self/internal_clock': 4 }, { priorCoherence: 0.2, incomingCoherence: 0.2 });
+        const result = eif.verifyCoherence({ key: '/self/internal_clock', value: 5 });
+
+        expect(result.verdict).toBe(VERDICTS.TENSION);
+        expect(result.tension).toBeCloseTo(0.2 / 2, 12);
+        expect(result.explanation).toMatchObject({ oldCoherence: 0.2, newCoherence: 0.2 });
+        expect(eif.verifyCoherence({ key: '/self/internal_clock', value: 4 }).verdict).toBe(VERDICTS.REDUNDANT);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @file tests/unit/kernel/events.test.js
+ * @description Verifica la API de eventos del Universo y del Meta-Universo.
+ */
+
+import { jest } from '@jest/globals';
+import Universe from '../../../src/kernel/universe.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { MetaUniverse } from '../../../src/kernel/meta_universe.js';
+import { ProteinEnvironment } from '../../../src/physics/protein_environment.js';
+import { StrategyCOC } from '../../../src/agents/strategy_coc.js';
+import * as ProteinStrategyLibrary from '../../../src/strategies/protein_library.js';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+function buildMetaUniverse(config = {}) {
+    const genome = {
+        rotate_cw: ProteinStrategyLibrary.rotate_bond_clockwise,
+        pull_move: ProteinStrategyLibrary.pullMove,
+    };
+    const env = new ProteinEnvironment('HPHPPHHPHPPHPHHPPHPH', { rng: 5 });
+    const population = Object.entries(genome).map(([name, fn]) => new StrategyCOC(name, fn));
+    return new MetaUniverse({ rng: 5, evolutionInterval: 5, maxPopulation: 6, ...config }, env, population, genome);
+}
+
+describe('Kernel Events: Universe', () => {
+
+    it('should emit a tick event with the recorded metrics', () => {
+        const universe = new Universe({ sigma: 0.1, rng: 1 });
+        populateUniverse(universe, { topology: 'ring', n: 6 });
+        const ticks = [];
+        universe.on('tick', payload => ticks.push(payload));
+
+        universe.tick();
+        universe.tick();
+
+        expect(ticks.map(({ tick }) => tick)).toEqual([1, 2]);
+        expect(ticks[1].metrics).toBe(universe.metricsHistory.at(-1));
+        expect(ticks[1].plasticity).toBeNull();
+    });
+
+    it('should emit converged once per crossing of the threshold', () => {
+        const universe = new Universe({ sigma: 0, trackMetrics: false, convergenceThreshold: 0.95 });
+        populateUniverse(universe, { topology: 'complete', n: 5, initialState: 'aligned' });
+        const converged = jest.fn();
+        universe.on('converged', converged);
+
+        for (let t = 0; t < 3; t++) universe.tick();
+        expect(converged).toHaveBeenCalledTimes(1);
+        expect(converged.mock.calls[0][0]).toMatchObject({ tick: 1, orderParameter: 1, threshold: 0.95 });
+
+        universe.cocs.get('coc-0').state = [0, 0, -1];
+        universe.cocs.get('coc-1').state = [0, 0, -1];
+        universe.cocs.get('coc-0').connections.clear();
+        universe.cocs.get('coc-1').connections.clear();
+        universe.tick();
+        expect(universe.converged).toBe(false);
+    });
+});
+
+describe('Kernel Events: MetaUniverse', () => {
+
+    it('should report births, deaths and generations consistently', () => {
+        const meta = buildMetaUniverse();
+        const born = [];
+        const died = [];
+        const evolutions = [];
+        meta.on('strategyBorn', payload => born.push(payload));
+        meta.on('strategyDied', payload => died.push(payload));
+        meta.on('evolution', payload => evolutions.push(payload));
+
+        for (let t = 0; t < 20; t++) meta.tick();
+
+        expect(evolutions.map(({ tick, generation }) => [tick, generation])).toEqual([[5, 1], [10, 2], [15, 3], [20, 4]]);
+        expect(born).toHaveLength(evolutions.reduce((sum, e) => sum + e.born, 0));
+        expect(died).toHaveLength(evolutions.reduce((sum, e) => sum + e.died, 0));
+        expect(evolutions.at(-1).populationSize).toBe(meta.population.length);
+        expect(born.every(({ origin, parents }) => ['crossover', 'mutation'].includes(origin) && parents.length > 0)).toBe(true);
+        expect(born.slice(-evolutions.at(-1).born).every(({ strategy }) => meta.population.includes(strategy))).toBe(true);
+    });
+
+    it('should emit newBest, tick and converged with structured payloads', () => {
+        const meta = buildMetaUniverse({ convergencePatience: 15 });
+        const bests = [];
+        const ticks = [];
+        const converged = jest.fn();
+        meta.on('newBest', payload => bests.push(payload));
+        meta.on('tick', payload => ticks.push(payload));
+        meta.on('converged', converged);
+
+        const returned = [];
+        for (let t = 0; t < 60; t++) returned.push(meta.tick());
+
+        expect(ticks).toEqual(returned);
+        expect(bests[0]).toMatchObject({ tick: 1, previous: Infinity });
+        expect(bests.at(-1).score).toBe(meta.bestDistance);
+        for (let k = 1; k < bests.length; k++) {
+            expect(bests[k].score).toBeLessThan(bests[k - 1].score);
+            expect(bests[k].previous).toBe(bests[k - 1].score);
+        }
+        expect(converged).toHaveBeenCalled();
+        for (const [{ tick, ticksSinceImprovement }] of converged.mock.calls) {
+            expect(ticksSinceImprovement).toBe(15);
+            expect(bests.some(best => best.tick === tick - 15)).toBe(true);
+        }
+    });
+
+    it('should announce manually added strategies', () => {
+        const meta = buildMetaUniverse();
+        const born = jest.fn();
+        meta.on('strategyBorn', born);
+        const strategy = new StrategyCOC('manual', ProteinStrategyLibrary.pullMove);
+        meta.addStrategy(strategy);
+        expect(born).toHaveBeenCalledWith({ tick: 0, strategy, origin: 'manual', parents: [] });
+    });
+});
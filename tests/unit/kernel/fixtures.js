@@ -0,0 +1,30 @@
+/**
+ * @file tests/unit/kernel/fixtures.js
+ * @description Fábricas compartidas por las pruebas unitarias del kernel.
+ */
+
+import EpistemicIntegrityFramework from '../../../src/kernel/logic/eif.js';
+
+/**
+ * EIF sobre un IIS en memoria con la interfaz mínima del IISManager (`get` y `keys`).
+ * @param {Object<string, object> | Map<string, object>} entries - Nodos iniciales; un Map se usa
+ *        tal cual, de modo que la prueba puede modificar el IIS después.
+ * @param {object} [options] - Opciones del EIF.
+ * @returns {EpistemicIntegrityFramework}
+ */
+export function eifWith(entries, options) {
+    const iis = entries instanceof Map ? entries : new Map(Object.entries(entries));
+    return new EpistemicIntegrityFramework({ get: key => iis.get(key), keys: () => Array.from(iis.keys()) }, options);
+}
+
+/**
+ * Conecta dos COCs del universo en ambos sentidos con el mismo peso.
+ * @param {import('../../../src/kernel/universe.js').default} universe
+ * @param {string} a
+ * @param {string} b
+ * @param {number} weight
+ */
+export function connectBoth(universe, a, b, weight) {
+    universe.cocs.get(a).connectTo(b, weight);
+    universe.cocs.get(b).connectTo(a, weight);
+}
@@ -0,0 +1,137 @@
+/**
+ * @file tests/unit/kernel/forces.test.js
+ * @description Valida el forzamiento heterogéneo y externo del Universo: ruido por COC y anisótropo,
+ *              campo externo constante o variable y el registro de fuerzas adicionales.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { VectorN } from '../../../src/utils/linear_algebra.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+import { registerForce, resolveForce } from '../../../src/kernel/dynamics/forces.js';
+
+function isolated(params, cocs) {
+    const universe = new Universe({ telosStrength: 0, trackMetrics: false, rng: 7, ...params });
+    for (const coc of cocs) universe.addCOC(new CoherentOntologicalCubit(coc));
+    return universe;
+}
+
+describe('Kernel Dynamics: Forzamiento heterogéneo y externo', () => {
+
+    it('should scale the MBI per COC, falling back to the universe sigma', () => {
+        const universe = isolated({ sigma: 0.5 }, [
+            { id: 'quiet', cgpNet: [1, 0, 0], noise: 0 },
+            { id: 'loud', cgpNet: [1, 0, 0] },
+        ]);
+        for (let t = 0; t < 20; t++) universe.tick();
+
+        expect(universe.cocs.get('quiet').state).toEqual([1, 0, 0]);
+        expect(universe.cocs.get('loud').state[0]).toBeLessThan(0.999);
+    });
+
+    it('should shape the MBI with a diagonal anisotropy', () => {
+        const universe = isolated({ sigma: 0.5, noiseAnisotropy: [0, 0, 1] }, [{ id: 'a', cgpNet: [1, 0, 0] }]);
+        for (let t = 0; t < 50; t++) universe.tick();
+
+        const [x, y, z] = universe.cocs.get('a').state;
+        expect(y).toBe(0); // El ruido solo empuja en z: el estado no sale del plano xz.
+        expect(Math.abs(z)).toBeGreaterThan(0.01);
+        expect(x ** 2 + z ** 2).toBeCloseTo(1, 12);
+    });
+
+    it('should drive every COC towards a constant external field', () => {
+        const universe = isolated({ sigma: 0, externalField: [0, 0, 2] }, [
+            { id: 'a', cgpNet: [1, 0, 0.1] },
+            { id: 'b', cgpNet: [-1, 1, 0] },
+        ]);
+        for (let t = 0; t < 200; t++) universe.tick();
+
+        for (const coc of universe.cocs.values()) {
+            expect(coc.state[2]).toBeCloseTo(1, 6);
+        }
+    });
+
+    it('should evaluate a time-varying field once per tick at t = tickCount · dt', () => {
+        const calls = [];
+        const universe = isolated({ sigma: 0, dt: 0.25, integrator: 'rk4', externalField: (time, coc) => {
+            calls.push([time, coc.id]);
+            return [Math.cos(time), Math.sin(time), 0];
+        } }, [{ id: 'a', cgpNet: [0, 0, 1] }]);
+        for (let t = 0; t < 3; t++) universe.tick();
+
+        expect(calls).toEqual([[0, 'a'], [0.25, 'a'], [0.5, 'a']]);
+        expect(universe.cocs.get('a').state[2]).toBeLessThan(1);
+    });
+
+    it('should add registered and custom force terms without touching the tick', () => {
+        const pinned = isolated({ sigma: 0, forces: [{ type: 'pin', direction: [0, 3, 0], strength: 2 }] }, [
+            { id: 'a', cgpNet: [1, 0, 0.2] },
+        ]);
+        for (let t = 0; t < 200; t++) pinned.tick();
+        expect(pinned.cocs.get('a').state[1]).toBeCloseTo(1, 6);
+
+        const seen = [];
+        const custom = isolated({ sigma: 0 }, [{ id: 'a', cgpNet: [1, 0, 0] }]);
+        custom.addForce({
+            name: 'spin',
+            prepare: (universe, { time }) => {
+                seen.push(time);
+                return (i, states) => {
+                    const [x, y] = states[i].components;
+                    return new VectorN([-y, x, 0]);
+                };
+            },
+        });
+        custom.tick();
+        custom.tick();
+        expect(seen).toEqual([0, 0.1]);
+        expect(custom.cocs.get('a').state[1]).toBeGreaterThan(0);
+    });
+
+    it('should resolve forces from the registry and reject unknown ones', () => {
+        registerForce('testConstant', ({ value }) => ({ name: 'testConstant', prepare: () => () => value }));
+        const force = resolveForce({ type: 'testConstant', value: 1 });
+        expect(force.name).toBe('testConstant');
+        expect(force.spec).toEqual({ type: 'testConstant', value: 1 });
+
+        expect(() => resolveForce('nope')).toThrow(/Fuerza desconocida/);
+        expect(() => registerForce('bad', null)).toThrow(TypeError);
+    });
+
+    it('should round-trip forcing parameters through snapshots', () => {
+        const build = () => {
+            const universe = new Universe({
+                sigma: 0.2,
+                rng: 11,
+                externalField: [0.3, 0, 0],
+                noiseAnisotropy: [[1, 0.5, 0], [0, 1, 0], [0, 0, 0.2]],
+                forces: [{ type: 'meanFieldRepulsion', strength: 0.4 }],
+            });
+            populateUniverse(universe, { topology: 'ring', n: 8 });
+            universe.cocs.get('coc-0').noise = 0.05;
+            return universe;
+        };
+        const universe = build();
+        for (let t = 0; t < 5; t++) universe.tick();
+
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+        expect(restored.cocs.get('coc-0').noise).toBe(0.05);
+        for (let t = 0; t < 10; t++) {
+            universe.tick();
+            restored.tick();
+        }
+        expect(restored.getState()).toEqual(universe.getState());
+    });
+
+    it('should be rejected by the vectorized engine', () => {
+        const universe = new Universe({ externalField: [0, 0, 1] });
+        populateUniverse(universe, { topology: 'ring', n: 4 });
+        expect(() => TypedUniverseEngine.fromUniverse(universe)).toThrow(/forzamientos heterogéneos/);
+
+        const noisy = new Universe();
+        populateUniverse(noisy, { topology: 'ring', n: 4 });
+        noisy.cocs.get('coc-1').noise = 0.5;
+        expect(() => TypedUniverseEngine.fromUniverse(noisy)).toThrow(/forzamientos heterogéneos/);
+    });
+});
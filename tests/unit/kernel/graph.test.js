@@ -0,0 +1,151 @@
+/**
+ * @file tests/unit/kernel/graph.test.js
+ * @description Valida el análisis de la red de conexiones contra grafos con propiedades conocidas.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import {
+    connectedComponents,
+    degreeDistribution,
+    clusteringCoefficients,
+    laplacianSpectrum,
+    detectCommunities,
+    modularity,
+} from '../../../src/kernel/metrics/graph.js';
+
+function graph(n, edges, params) {
+    const universe = new Universe({ rng: 1, ...params });
+    for (let i = 0; i < n; i++) universe.addCOC(new CoherentOntologicalCubit({ id: `n${i}` }));
+    for (const [i, j, weight = 1] of edges) {
+        universe.cocs.get(`n${i}`).connectTo(`n${j}`, weight);
+        universe.cocs.get(`n${j}`).connectTo(`n${i}`, weight);
+    }
+    return universe;
+}
+
+/** Dos cliques K5 unidas por una única arista (3–5). */
+function barbell(params) {
+    const edges = [];
+    for (const offset of [0, 5]) {
+        for (let i = 0; i < 5; i++) for (let j = i + 1; j < 5; j++) edges.push([offset + i, offset + j]);
+    }
+    edges.push([3, 5]);
+    return graph(10, edges, params);
+}
+
+describe('Kernel Metrics: Análisis de la red', () => {
+
+    it('should find connected components from largest to smallest', () => {
+        const universe = graph(7, [[0, 1], [1, 2], [3, 4], [4, 5], [5, 3], [6, 6]]);
+        universe.cocs.get('n0').connectTo('ghost', 1);
+        const { count, sizes, largest, components } = connectedComponents(universe.cocs);
+
+        expect(count).toBe(3);
+        expect(sizes).toEqual([3, 3, 1]);
+        expect(largest).toBe(3);
+        expect(components[2]).toEqual(['n6']);
+    });
+
+    it('should compute undirected, directed and weighted degree distributions', () => {
+        const universe = new Universe();
+        populateUniverse(universe, { topology: 'ring', n: 6, weights: 0.5 });
+        universe.cocs.get('coc-0').connectTo('coc-3', 2);
+
+        const { degree, inDegree, outDegree, strength, perCOC } = degreeDistribution(universe.cocs);
+        expect(degree.histogram).toEqual({ 2: 4, 3: 2 });
+        expect(degree.mean).toBeCloseTo(14 / 6, 12);
+        expect(perCOC['coc-0']).toEqual({ degree: 3, inDegree: 2, outDegree: 3, strength: 3 });
+        expect(perCOC['coc-3']).toMatchObject({ inDegree: 3, outDegree: 2 });
+        expect(outDegree.max).toBe(3);
+        expect(inDegree.min).toBe(2);
+        expect(strength.min).toBe(1);
+    });
+
+    it('should summarize degree distributions of networks larger than the argument limit', () => {
+        const n = 300000;
+        const cocs = new Map();
+        for (let i = 0; i < n; i++) cocs.set(`n${i}`, { connections: new Map() });
+        cocs.get('n0').connections.set('n1', -4);
+
+        const { degree, strength } = degreeDistribution(cocs);
+        expect(degree).toMatchObject({ min: 0, max: 1, histogram: { 0: n - 2, 1: 2 } });
+        expect(strength).toMatchObject({ min: 0, max: 4 });
+    });
+
+    it('should compute local, average and global clustering', () => {
+        // Triángulo 0-1-2 con un nodo colgante 3 unido a 2.
+        const { local, average, global } = clusteringCoefficients(graph(4, [[0, 1], [1, 2], [0, 2], [2, 3]]).cocs);
+        expect(local).toEqual({ n0: 1, n1: 1, n2: 1 / 3, n3: 0 });
+        expect(average).toBeCloseTo((2 + 1 / 3) / 4, 12);
+        expect(global).toBeCloseTo(3 / 5, 12);
+    });
+
+    it('should match the analytic Laplacian spectra of complete and path graphs', () => {
+        const complete = new Universe();
+        populateUniverse(complete, { topology: 'complete', n: 6 });
+        const kn = laplacianSpectrum(complete.cocs);
+        expect(kn.eigenvalues[0]).toBeCloseTo(0, 10);
+        kn.eigenvalues.slice(1).forEach(lambda => expect(lambda).toBeCloseTo(6, 10));
+        expect(kn.algebraicConnectivity).toBeCloseTo(6, 10);
+
+        const n = 8;
+        const path = graph(n, Array.from({ length: n - 1 }, (_, i) => [i, i + 1, 2]));
+        const pn = laplacianSpectrum(path.cocs);
+        expect(pn.algebraicConnectivity).toBeCloseTo(2 * 2 * (1 - Math.cos(Math.PI / n)), 10);
+        expect(pn.spectralRadius).toBeCloseTo(2 * 2 * (1 - Math.cos(Math.PI * (n - 1) / n)), 10);
+    });
+
+    it('should expose disconnection and bottlenecks through the spectrum', () => {
+        const split = graph(4, [[0, 1], [2, 3]]);
+        const spectrum = laplacianSpectrum(split.cocs);
+        expect(spectrum.algebraicConnectivity).toBe(0);
+        expect(spectrum.eigenvalues.filter(lambda => Math.abs(lambda) < 1e-10)).toHaveLength(2);
+
+        // El vector de Fiedler separa las dos cliques por su signo.
+        const { fiedlerVector } = laplacianSpectrum(barbell().cocs);
+        const signs = Object.values(fiedlerVector).map(Math.sign);
+        expect(new Set(signs.slice(0, 5)).size).toBe(1);
+        expect(new Set(signs.slice(5)).size).toBe(1);
+        expect(signs[0]).toBe(-signs[9]);
+    });
+
+    it('should detect communities with Louvain and report their modularity', () => {
+        const universe = barbell();
+        const result = detectCommunities(universe.cocs);
+
+        expect(result.count).toBe(2);
+        expect(result.communities).toEqual([['n0', 'n1', 'n2', 'n3', 'n4'], ['n5', 'n6', 'n7', 'n8', 'n9']]);
+        expect(result.membership.n7).toBe(1);
+        expect(result.modularity).toBeCloseTo(modularity(universe.cocs, result.communities), 12);
+        // Q = Σ_c [e_c / m − (d_c / 2m)²] con m = 21, e_c = 10, d_c = 21.
+        expect(result.modularity).toBeCloseTo(2 * (10 / 21 - 0.25), 12);
+
+        const empty = detectCommunities(graph(3, []).cocs);
+        expect(empty).toMatchObject({ count: 3, modularity: 0 });
+    });
+
+    it('should be part of the universe metrics only when enabled', () => {
+        const plain = barbell();
+        plain.tick();
+        expect(plain.getMetrics().graph).toBeUndefined();
+        expect(plain.metricsHistory[0].graph).toBeUndefined();
+        expect(plain.getGraphAnalysis({ spectrum: false }).spectrum).toBeNull();
+
+        const universe = barbell({ graphMetrics: true });
+        universe.tick();
+
+        expect(universe.getMetrics().graph.communities.count).toBe(2);
+        expect(universe.metricsHistory[0].graph).toEqual({
+            components: 1,
+            largestComponent: 10,
+            meanDegree: 4.2,
+            clustering: expect.any(Number),
+            algebraicConnectivity: expect.any(Number),
+            communities: 2,
+            modularity: expect.closeTo(2 * (10 / 21 - 0.25), 12),
+        });
+        expect(Universe.fromSnapshot(universe.toSnapshot()).graphMetrics).toBe(true);
+    });
+});
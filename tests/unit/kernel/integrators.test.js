@@ -0,0 +1,71 @@
+/**
+ * @file tests/unit/kernel/integrators.test.js
+ * @description Verifica los integradores de la EDE sobre S²: permanencia en la esfera,
+ *              equivalencia del Euler histórico y orden de convergencia.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { INTEGRATORS } from '../../../src/kernel/dynamics/integrators.js';
+
+function buildPair(params) {
+    const universe = new Universe({ sigma: 0.0, ...params });
+    const a = new CoherentOntologicalCubit({ id: 'a', cgpNet: [1, 0, 0] });
+    const b = new CoherentOntologicalCubit({ id: 'b', cgpNet: [0, 1, 0.2] });
+    a.connectTo('b', 2.0);
+    b.connectTo('a', 0.5);
+    universe.addCOC(a);
+    universe.addCOC(b);
+    return universe;
+}
+
+function runFor(integrator, dt, time) {
+    const universe = buildPair({ integrator, dt });
+    const steps = Math.round(time / dt);
+    for (let t = 0; t < steps; t++) universe.tick();
+    return universe.cocs.get('a').state;
+}
+
+function distance(u, v) {
+    return Math.sqrt(u.reduce((sum, x, i) => sum + (x - v[i]) ** 2, 0));
+}
+
+describe('Kernel Dynamics: Integradores sobre S²', () => {
+
+    it('should expose euler, heun, rk4 and geodesic integrators', () => {
+        expect(Object.keys(INTEGRATORS)).toEqual(['euler', 'heun', 'rk4', 'geodesic']);
+        expect(new Universe({}).integrator).toBe(INTEGRATORS.euler);
+        expect(new Universe({ integrator: 'rk4' }).integrator).toBe(INTEGRATORS.rk4);
+    });
+
+    it('should reject unknown integrators', () => {
+        expect(() => new Universe({ integrator: 'leapfrog' })).toThrow(/Integrador desconocido/);
+        expect(() => new Universe({ integrator: {} })).toThrow(TypeError);
+    });
+
+    it.each(Object.keys(INTEGRATORS))('should keep every COC on S² with %s', (name) => {
+        const universe = buildPair({ integrator: name, dt: 0.5 });
+        for (let t = 0; t < 50; t++) universe.tick();
+        for (const coc of universe.cocs.values()) {
+            const magnitude = Math.sqrt(coc.state.reduce((sum, x) => sum + x * x, 0));
+            expect(Math.abs(1 - magnitude)).toBeLessThan(1e-12);
+        }
+    });
+
+    it('should converge faster with higher-order integrators', () => {
+        const reference = runFor('rk4', 0.001, 2.0);
+        const errors = {};
+        for (const name of ['euler', 'heun', 'rk4']) {
+            const coarse = distance(runFor(name, 0.1, 2.0), reference);
+            const fine = distance(runFor(name, 0.05, 2.0), reference);
+            errors[name] = { coarse, ratio: coarse / fine };
+        }
+
+        expect(errors.heun.coarse).toBeLessThan(errors.euler.coarse);
+        expect(errors.rk4.coarse).toBeLessThan(errors.heun.coarse);
+        // Reducir dt a la mitad divide el error por ~2^p, con p el orden del método.
+        expect(errors.euler.ratio).toBeGreaterThan(1.3);
+        expect(errors.heun.ratio).toBeGreaterThan(3);
+        expect(errors.rk4.ratio).toBeGreaterThan(10);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @file tests/unit/kernel/lifecycle.test.js
+ * @description Verifica la eliminación de COCs y las reglas de nacimiento, muerte y fusión.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { Lifecycle, localTension } from '../../../src/kernel/dynamics/lifecycle.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+import { connectBoth } from './fixtures.js';
+
+function buildUniverse(states, lifecycle) {
+    const universe = new Universe({ sigma: 0.0, dt: 0.1, telosStrength: 0, lifecycle });
+    states.forEach((cgpNet, i) => universe.addCOC(new CoherentOntologicalCubit({ id: `c${i}`, cgpNet })));
+    return universe;
+}
+
+describe('Kernel Dynamics: Ciclo de vida de los COCs', () => {
+
+    it('should remove a COC together with every edge pointing to it', () => {
+        const universe = buildUniverse([[0, 0, 1], [1, 0, 0], [0, 1, 0]]);
+        connectBoth(universe, 'c0', 'c1', 1);
+        connectBoth(universe, 'c1', 'c2', 1);
+        universe.cocs.get('c2').connectTo('c0', 0.5);
+
+        expect(universe.removeCOC('c1')).toBe(true);
+        expect(universe.removeCOC('c1')).toBe(false);
+        expect(Array.from(universe.cocs.keys())).toEqual(['c0', 'c2']);
+        expect(universe.cocs.get('c0').connections.size).toBe(0);
+        expect(Array.from(universe.cocs.get('c2').connections.keys())).toEqual(['c0']);
+    });
+
+    it('should measure local tension as weighted misalignment', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0, 1], [0, 0, -1], [1, 0, 0]]);
+        universe.cocs.get('c0').connectTo('c1', 1);
+        universe.cocs.get('c0').connectTo('c2', 3);
+        universe.cocs.get('c0').connectTo('ghost', 5);
+
+        expect(localTension(universe.cocs.get('c0'), universe.cocs)).toBeCloseTo(0.75, 12);
+        expect(localTension(universe.cocs.get('c3'), universe.cocs)).toBe(0);
+    });
+
+    it('should merge aligned neighbors, rewiring incoming and outgoing edges to the survivor', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0.01, 1], [1, 0, 0], [0, 1, 0]], { mergeThreshold: 0.999 });
+        connectBoth(universe, 'c0', 'c1', 1);
+        universe.cocs.get('c1').connectTo('c2', 0.4);
+        universe.cocs.get('c3').connectTo('c1', 0.7);
+        universe.cocs.get('c3').connectTo('c0', 0.1);
+        universe.tick();
+
+        expect(universe.cocs.has('c1')).toBe(false);
+        expect(universe.lastLifecycle).toMatchObject({ born: 0, died: 0, merged: 1 });
+        expect(universe.lastLifecycle.events).toEqual([{ type: 'merge', id: 'c0', absorbed: 'c1' }]);
+        const survivor = universe.cocs.get('c0');
+        expect(Array.from(survivor.connections.entries())).toEqual([['c2', 0.4]]);
+        expect(universe.cocs.get('c3').connections.get('c0')).toBeCloseTo(0.8, 12);
+        expect(survivor.state[1]).toBeGreaterThan(0);
+        expect(universe.metricsHistory[0].lifecycle).toBe(universe.lastLifecycle);
+    });
+
+    it('should kill incoherent COCs without going below minPopulation', () => {
+        const universe = buildUniverse([[0, 0, 1], [1, 0, 0], [0, 1, 0]], { deathThreshold: 0.5, minPopulation: 2 });
+        connectBoth(universe, 'c0', 'c1', 1);
+        const deaths = [];
+        universe.on('lifecycle', event => deaths.push(event));
+        universe.tick();
+
+        expect(universe.cocs.size).toBe(2);
+        expect(deaths).toEqual([{ tick: 1, type: 'death', id: 'c2' }]);
+        expect(universe.cocs.has('c2')).toBe(false);
+    });
+
+    it('should split tense COCs into a connected child between parent and local field', () => {
+        const universe = buildUniverse([[0, 0, 1], [1, 0, 0], [0, 0, 1]], { spawnThreshold: 0.4, spawnWeight: 0.3, maxPopulation: 4 });
+        connectBoth(universe, 'c0', 'c1', 1);
+        universe.cocs.get('c2').connectTo('c0', 1);
+        universe.tick();
+
+        // c0 y c1 están en tensión 0.5; c2 (alineado con c0) no. La población máxima admite un solo hijo.
+        expect(universe.lastLifecycle.events).toEqual([{ type: 'birth', id: 'c0.1', parent: 'c0' }]);
+        const child = universe.cocs.get('c0.1');
+        expect(child.state[0]).toBeGreaterThan(0.3);
+        expect(child.state[2]).toBeGreaterThan(0.3);
+        expect(child.connections.get('c1')).toBe(1);
+        expect(child.connections.get('c0')).toBe(0.3);
+        expect(universe.cocs.get('c0').connections.get('c0.1')).toBe(0.3);
+    });
+
+    it('should round-trip the lifecycle rules through snapshots', () => {
+        const universe = buildUniverse([[0, 0, 1], [1, 0, 0]], new Lifecycle({ spawnThreshold: 0.4, maxPopulation: 3 }));
+        connectBoth(universe, 'c0', 'c1', 1);
+        universe.tick();
+
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+        expect(restored.lifecycle).toBeInstanceOf(Lifecycle);
+        expect(restored.lifecycle.maxPopulation).toBe(3);
+        expect(restored.lastLifecycle).toEqual(universe.lastLifecycle);
+        for (let t = 0; t < 5; t++) {
+            universe.tick();
+            restored.tick();
+        }
+        expect(restored.getState()).toEqual(universe.getState());
+        expect(() => TypedUniverseEngine.fromUniverse(universe)).toThrow(/ciclo de vida/);
+    });
+
+    it('should reject invalid options', () => {
+        expect(() => new Lifecycle({ mergeScope: 'everywhere' })).toThrow(/mergeScope/);
+        expect(() => new Lifecycle({ minPopulation: 5, maxPopulation: 2 })).toThrow(/minPopulation/);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @file tests/unit/kernel/metrics.test.js
+ * @description Verifica los observables de coherencia: parámetro de orden, clusters,
+ *              energía de alineamiento y coherencia local de cada COC.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { computeMetrics, orderParameter } from '../../../src/kernel/metrics/coherence.js';
+import { connectBoth } from './fixtures.js';
+
+describe('Kernel Metrics: Coherencia del Universo', () => {
+
+    it('should compute the mean resultant length on S²', () => {
+        expect(orderParameter([[0, 0, 1], [0, 0, 1]]).orderParameter).toBeCloseTo(1);
+        expect(orderParameter([[0, 0, 1], [0, 0, -1]]).orderParameter).toBeCloseTo(0);
+        expect(orderParameter([[1, 0, 0], [0, 1, 0]]).orderParameter).toBeCloseTo(Math.SQRT1_2);
+        expect(orderParameter([]).orderParameter).toBe(0);
+    });
+
+    it('should report clusters, alignment energy and local coherence', () => {
+        const universe = new Universe({ sigma: 0.0 });
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'a', cgpNet: [0, 0, 1] }));
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'b', cgpNet: [0, 0, 1] }));
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'c', cgpNet: [1, 0, 0] }));
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'd', cgpNet: [-1, 0, 0] }));
+        connectBoth(universe, 'a', 'b', 1.0);
+        connectBoth(universe, 'c', 'd', 0.5);
+        universe.cocs.get('a').connectTo('ghost', 1.0); // Conexión colgante: se ignora.
+
+        const metrics = universe.getMetrics();
+        const clusterOrder = Object.fromEntries(metrics.clusters.map(c => [c.members.join(), c.orderParameter]));
+
+        expect(metrics.tick).toBe(0);
+        expect(metrics.clusters).toHaveLength(2);
+        expect(clusterOrder['a,b']).toBeCloseTo(1);
+        expect(clusterOrder['c,d']).toBeCloseTo(0);
+        expect(metrics.alignmentEnergy).toBeCloseTo(-2 + 1);
+        expect(metrics.local.a).toEqual({ coherence: 1, operability: 1 });
+        expect(metrics.local.c.operability).toBeCloseTo(0);
+    });
+
+    it('should update COC coherence and record a per-tick history', () => {
+        const universe = new Universe({ sigma: 0.0, dt: 0.2, metricsHistoryLimit: 5 });
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'a', cgpNet: [1, 0, 0] }));
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'b', cgpNet: [0, 1, 0] }));
+        connectBoth(universe, 'a', 'b', 1.0);
+
+        for (let t = 0; t < 8; t++) universe.tick();
+
+        expect(universe.metricsHistory).toHaveLength(5);
+        expect(universe.metricsHistory.map(m => m.tick)).toEqual([4, 5, 6, 7, 8]);
+        const orders = universe.metricsHistory.map(m => m.orderParameter);
+        expect(orders[4]).toBeGreaterThan(orders[0]);
+
+        const a = universe.cocs.get('a');
+        const { local } = computeMetrics(universe.cocs);
+        expect(a.fractalCoherence).toBe(local.a.coherence);
+        expect(a.operability).toBeGreaterThan(0.9);
+    });
+
+    it('should skip metrics when trackMetrics is disabled', () => {
+        const universe = new Universe({ trackMetrics: false });
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'a' }));
+        universe.tick();
+        expect(universe.metricsHistory).toHaveLength(0);
+        expect(universe.cocs.get('a').fractalCoherence).toBe(0.1);
+    });
+});
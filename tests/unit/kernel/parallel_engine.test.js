@@ -0,0 +1,91 @@
+/**
+ * @file tests/unit/kernel/parallel_engine.test.js
+ * @description Verifica que el motor paralelo (worker_threads + SharedArrayBuffer) reproduce
+ *              bit a bit la dinámica secuencial de Universe.tick().
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { integratorPlan } from '../../../src/kernel/engines/kernels.js';
+import { ParallelUniverseEngine, planPhases } from '../../../src/kernel/engines/parallel_engine.js';
+import { INTEGRATORS } from '../../../src/kernel/dynamics/integrators.js';
+
+function buildUniverse(params) {
+    const universe = new Universe({ sigma: 0.3, dt: 0.05, rng: 2718, ...params });
+    populateUniverse(universe, { topology: 'wattsStrogatz', n: 40, params: { k: 2, beta: 0.2 } });
+    universe.cocs.get('coc-0').telos = 'TETRAHEDRAL';
+    universe.cocs.get('coc-39').telos = { type: 'axis', axis: [1, 2, 3] };
+    return universe;
+}
+
+describe('Kernel Engines: Motor paralelo (worker_threads)', () => {
+
+    it('should isolate every field evaluation behind barriers', () => {
+        const phases = planPhases(integratorPlan('rk4', 0.1));
+        expect(phases.map(phase => phase.map(op => op.op))).toEqual([
+            ['field'], ['displace'], ['field'], ['displace'], ['field'], ['displace'], ['field'],
+            ['combine', 'retract', 'manifest'],
+        ]);
+    });
+
+    it.each(Object.keys(INTEGRATORS))('should reproduce Universe.tick() exactly with %s', async (integrator) => {
+        const reference = buildUniverse({ integrator, trackMetrics: false });
+        const engine = ParallelUniverseEngine.fromUniverse(buildUniverse({ integrator, trackMetrics: false }), { workers: 3 });
+
+        try {
+            for (let t = 0; t < 12; t++) reference.tick();
+            await engine.run(12);
+        } finally {
+            await engine.terminate();
+        }
+
+        for (const [id, coc] of reference.cocs.entries()) {
+            expect(engine.getStateOf(id)).toEqual(coc.state);
+        }
+    });
+
+    it('should run a universe in parallel and continue sequentially on the same RNG sequence', async () => {
+        const reference = buildUniverse({ integrator: 'heun' });
+        const target = buildUniverse({ integrator: 'heun' });
+
+        for (let t = 0; t < 8; t++) reference.tick();
+        await target.runParallel(5, { workers: 2 });
+        for (let t = 0; t < 3; t++) target.tick();
+
+        expect(target.tickCount).toBe(8);
+        expect(target.getState()).toEqual(reference.getState());
+        expect(target.metricsHistory.at(-1)).toEqual(reference.metricsHistory.at(-1));
+    });
+
+    it('should reject invalid worker counts and ticks after termination', async () => {
+        expect(() => ParallelUniverseEngine.fromUniverse(buildUniverse(), { workers: 0 })).toThrow(/workers inválido/);
+
+        const engine = ParallelUniverseEngine.fromUniverse(buildUniverse(), { workers: 1 });
+        await engine.terminate();
+        await expect(engine.tick()).rejects.toThrow(/terminado/);
+    });
+
+    it('should reject the pending phase and every later tick when a worker crashes', async () => {
+        const engine = ParallelUniverseEngine.fromUniverse(buildUniverse(), { workers: 2 });
+        try {
+            await engine.tick();
+            // Una fase inexistente hace fallar al worker mientras el tick espera su respuesta.
+            engine.workers[0].worker.postMessage({ phase: engine.phases.length, slot: 0 });
+            await expect(engine.tick()).rejects.toThrow(/not iterable/);
+            await expect(engine.tick()).rejects.toThrow(/averiado/);
+            await expect(engine.run(3)).rejects.toThrow(/averiado/);
+        } finally {
+            await engine.terminate();
+        }
+    });
+
+    it('should treat a worker that exits on its own as a failure', async () => {
+        const engine = ParallelUniverseEngine.fromUniverse(buildUniverse(), { workers: 2 });
+        try {
+            await engine.workers[1].worker.terminate();
+            await expect(engine.tick()).rejects.toThrow(/averiado: .*terminó inesperadamente/);
+        } finally {
+            await engine.terminate();
+        }
+    });
+});
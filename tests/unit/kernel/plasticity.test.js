@@ -0,0 +1,80 @@
+/**
+ * @file tests/unit/kernel/plasticity.test.js
+ * @description Verifica las reglas de plasticidad de los pesos, la poda y la creación de conexiones.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { Plasticity } from '../../../src/kernel/dynamics/plasticity.js';
+import { connectBoth } from './fixtures.js';
+
+function buildUniverse(states, plasticity) {
+    const universe = new Universe({ sigma: 0.0, dt: 0.1, plasticity });
+    states.forEach((cgpNet, i) => universe.addCOC(new CoherentOntologicalCubit({ id: `c${i}`, cgpNet })));
+    return universe;
+}
+
+describe('Kernel Dynamics: Plasticidad sináptica', () => {
+
+    it('should keep the network static without a plasticity rule', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0.1, 1]]);
+        connectBoth(universe, 'c0', 'c1', 0.5);
+        universe.tick();
+        expect(universe.plasticity).toBeNull();
+        expect(universe.cocs.get('c0').connections.get('c1')).toBe(0.5);
+    });
+
+    it('should strengthen aligned connections with the Hebbian rule', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0.1, 1]], { rule: 'hebbian', rate: 1.0 });
+        connectBoth(universe, 'c0', 'c1', 0.5);
+        universe.tick();
+        expect(universe.cocs.get('c0').connections.get('c1')).toBeGreaterThan(0.59);
+        expect(universe.lastPlasticity).toEqual({ updated: 2, pruned: 0, created: 0 });
+        expect(universe.metricsHistory[0].plasticity).toEqual(universe.lastPlasticity);
+    });
+
+    it('should weaken aligned connections with the anti-Hebbian rule and prune them', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0.1, 1]], { rule: 'antiHebbian', rate: 1.0, pruneThreshold: 0.2 });
+        connectBoth(universe, 'c0', 'c1', 0.5);
+        universe.tick();
+        expect(universe.cocs.get('c0').connections.get('c1')).toBeLessThan(0.41);
+        for (let t = 0; t < 5; t++) universe.tick();
+        expect(universe.cocs.get('c0').connections.size).toBe(0);
+        expect(universe.cocs.get('c1').connections.size).toBe(0);
+    });
+
+    it('should saturate at maxWeight with the bounded rule', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0, 1]], { rule: 'bounded', rate: 5.0, maxWeight: 2.0 });
+        connectBoth(universe, 'c0', 'c1', 0.5);
+        for (let t = 0; t < 100; t++) universe.tick();
+        const weight = universe.cocs.get('c0').connections.get('c1');
+        expect(weight).toBeLessThanOrEqual(2.0);
+        expect(weight).toBeGreaterThan(1.99);
+    });
+
+    it('should relax towards rate·c/decay with the decaying rule', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0, 1]], { rule: 'decaying', rate: 0.5, decay: 1.0 });
+        connectBoth(universe, 'c0', 'c1', 2.0);
+        for (let t = 0; t < 200; t++) universe.tick();
+        expect(universe.cocs.get('c0').connections.get('c1')).toBeCloseTo(0.5, 3);
+    });
+
+    it('should close aligned triads when growth is enabled', () => {
+        const universe = buildUniverse([[0, 0, 1], [0, 0.05, 1], [0.05, 0, 1]], {
+            rule: 'hebbian', rate: 0.0, growthThreshold: 0.95, growthWeight: 0.3
+        });
+        connectBoth(universe, 'c0', 'c1', 1.0);
+        connectBoth(universe, 'c1', 'c2', 1.0);
+        universe.tick();
+        expect(universe.cocs.get('c0').connections.get('c2')).toBe(0.3);
+        expect(universe.cocs.get('c2').connections.get('c0')).toBe(0.3);
+        expect(universe.lastPlasticity.created).toBe(2);
+    });
+
+    it('should validate its configuration', () => {
+        expect(() => new Plasticity({ rule: 'stdp' })).toThrow(/Regla desconocida/);
+        expect(() => new Plasticity({ rule: 'bounded' })).toThrow(/maxWeight finito/);
+        expect(() => new Plasticity({ growthScope: 'everywhere' })).toThrow(/growthScope/);
+        expect(new Plasticity({ rule: function oja(c, w) { return c - c * c * w; } }).ruleName).toBe('oja');
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * @file tests/unit/kernel/presets.test.js
+ * @description Valida los presets de Kuramoto, Sakaguchi–Kuramoto y Vicsek contra resultados analíticos.
+ */
+
+import {
+    kuramoto,
+    sakaguchiKuramoto,
+    vicsek,
+    sampleFrequencies,
+    kuramotoCriticalCoupling,
+} from '../../../src/kernel/presets.js';
+import { phaseOf } from '../../../src/kernel/dynamics/oscillators.js';
+import { orderParameter } from '../../../src/kernel/metrics/coherence.js';
+
+const wrap = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+function meanOrderParameter(universe, { ticks, average }) {
+    let total = 0;
+    for (let t = 0; t < ticks; t++) {
+        universe.tick();
+        if (t >= ticks - average) {
+            total += orderParameter(Array.from(universe.cocs.values(), coc => coc.state)).orderParameter;
+        }
+    }
+    return total / average;
+}
+
+describe('Kernel Presets: Kuramoto', () => {
+
+    it('should phase-lock two oscillators iff K >= |Δω|, at sin φ* = Δω / K', () => {
+        const locked = kuramoto({ n: 2, coupling: 1.0, frequencies: [-0.25, 0.25], initialPhases: [0, 0] });
+        for (let t = 0; t < 600; t++) locked.tick();
+        const [a, b] = Array.from(locked.cocs.values(), coc => phaseOf(coc.state));
+        expect(Math.sin(wrap(b - a))).toBeCloseTo(0.5, 6);
+
+        const drifting = kuramoto({ n: 2, coupling: 0.4, frequencies: [-0.25, 0.25], initialPhases: [0, 0] });
+        let minOrder = 1;
+        for (let t = 0; t < 1500; t++) {
+            drifting.tick();
+            minOrder = Math.min(minOrder, drifting.getMetrics().orderParameter);
+        }
+        expect(minOrder).toBeLessThan(0.1);
+    });
+
+    it('should follow r = sqrt(1 - K_c / K) around the critical coupling (Lorentzian g)', () => {
+        const frequencies = { distribution: 'lorentzian', gamma: 0.5, quantiles: true };
+        const Kc = kuramotoCriticalCoupling(frequencies);
+        expect(Kc).toBe(1);
+
+        const run = (coupling) => meanOrderParameter(
+            kuramoto({ n: 60, coupling, frequencies, rng: 1, dt: 0.1, integrator: 'euler', universe: { trackMetrics: false } }),
+            { ticks: 400, average: 150 }
+        );
+        expect(run(0.5)).toBeLessThan(0.2);
+        expect(run(2 * Kc)).toBeCloseTo(Math.sqrt(1 - 1 / 2), 1);
+    });
+
+    it('should shift the synchronized frequency by -K (N-1)/N sin α (Sakaguchi–Kuramoto)', () => {
+        const alpha = 0.3;
+        const universe = sakaguchiKuramoto({ n: 5, coupling: 1.0, frequencies: 1.0, phaseLag: alpha, rng: 2, dt: 0.05 });
+        for (let t = 0; t < 400; t++) universe.tick();
+
+        const coc = universe.cocs.get('osc-0');
+        const start = phaseOf(coc.state);
+        const ticks = 100;
+        let advance = 0;
+        let previous = start;
+        for (let t = 0; t < ticks; t++) {
+            universe.tick();
+            const current = phaseOf(coc.state);
+            advance += wrap(current - previous);
+            previous = current;
+        }
+        expect(universe.getMetrics().orderParameter).toBeCloseTo(1, 6);
+        expect(advance / (ticks * 0.05)).toBeCloseTo(1 - (4 / 5) * Math.sin(alpha), 6);
+    });
+
+    it('should sample natural frequencies from explicit lists, functions and quantiles', () => {
+        expect(sampleFrequencies(3, 0.5)).toEqual([0.5, 0.5, 0.5]);
+        expect(sampleFrequencies(2, (i) => i * 2)).toEqual([0, 2]);
+        expect(() => sampleFrequencies(3, [1, 2])).toThrow(/3 frecuencias/);
+
+        const normal = sampleFrequencies(40, { distribution: 'normal', std: 2, quantiles: true });
+        expect(normal[39]).toBeCloseTo(2 * 2.241402728, 6); // Φ⁻¹(0.9875)
+        expect(normal[0]).toBeCloseTo(-normal[39], 9);
+        expect(sampleFrequencies(4, { distribution: 'uniform', min: 0, max: 4, quantiles: true })).toEqual([0.5, 1.5, 2.5, 3.5]);
+        expect(kuramotoCriticalCoupling({ distribution: 'normal', std: 1 })).toBeCloseTo(Math.sqrt(8 / Math.PI), 12);
+    });
+});
+
+describe('Kernel Presets: Vicsek', () => {
+
+    it('should order at low noise and disorder at maximal noise', () => {
+        const ordered = vicsek({ n: 100, eta: 0.1, rng: 3 });
+        for (let t = 0; t < 200; t++) ordered.tick();
+        expect(ordered.getMetrics().orderParameter).toBeGreaterThan(0.95);
+
+        const disordered = meanOrderParameter(vicsek({ n: 100, eta: 2 * Math.PI, rng: 3 }), { ticks: 60, average: 40 });
+        expect(disordered).toBeLessThan(0.25);
+    });
+
+    it('should align with every COC within the neighborhood radius', () => {
+        const universe = vicsek({ n: 25, radius: 2 });
+        // Retícula periódica 5×5: la bola de radio 2 en distancia de Manhattan tiene 12 vecinos.
+        expect(universe.cocs.get('boid-12').connections.size).toBe(12);
+    });
+
+    it('should default to the squarest periodic lattice for any number of COCs', () => {
+        // 50 = 10 × 5: cada COC tiene sus 4 vecinos de von Neumann.
+        const universe = vicsek({ n: 50 });
+        expect(universe.cocs.size).toBe(50);
+        for (const coc of universe.cocs.values()) expect(coc.connections.size).toBe(4);
+        // Con n primo, la retícula es una sola columna: un anillo.
+        expect(vicsek({ n: 7 }).cocs.get('boid-0').connections.size).toBe(2);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * @file tests/unit/kernel/replay.test.js
+ * @description Verifica el snapshot sin pérdidas del Universo y el replay determinista.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { recordRun, replay } from '../../../src/kernel/replay.js';
+
+function buildUniverse(params = {}) {
+    const universe = new Universe({
+        sigma: 0.2,
+        dt: 0.05,
+        integrator: 'heun',
+        rng: 99,
+        plasticity: { rule: 'decaying', rate: 0.1, decay: 0.05 },
+        ...params,
+    });
+    populateUniverse(universe, { topology: 'wattsStrogatz', n: 12, params: { k: 2, beta: 0.3 } });
+    universe.cocs.get('coc-0').telos = { type: 'point', direction: [1, 0, 0] };
+    universe.cocs.get('coc-1').telos = 'OCTAHEDRAL';
+    return universe;
+}
+
+describe('Kernel Replay: Snapshot y replay determinista', () => {
+
+    it('should snapshot a universe losslessly', () => {
+        const universe = buildUniverse();
+        for (let t = 0; t < 7; t++) universe.tick();
+
+        const snapshot = JSON.parse(JSON.stringify(universe.toSnapshot()));
+        const restored = Universe.fromSnapshot(snapshot);
+
+        expect(restored.toSnapshot()).toEqual(snapshot);
+        expect(restored.tickCount).toBe(7);
+        expect(restored.integrator.name).toBe('heun');
+        expect(restored.plasticity.ruleName).toBe('decaying');
+        const coc = restored.cocs.get('coc-0');
+        expect(coc.memory).toEqual(universe.cocs.get('coc-0').memory);
+        expect(coc.connections).toEqual(universe.cocs.get('coc-0').connections);
+        expect(coc.telos).toEqual({ type: 'point', direction: [1, 0, 0] });
+    });
+
+    it('should continue a restored universe exactly like the original', () => {
+        const universe = buildUniverse();
+        for (let t = 0; t < 5; t++) universe.tick();
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+
+        for (let t = 0; t < 10; t++) {
+            universe.tick();
+            restored.tick();
+        }
+        expect(restored.getState()).toEqual(universe.getState());
+    });
+
+    it('should replay a recorded trajectory bit for bit', () => {
+        const recording = JSON.parse(JSON.stringify(recordRun(buildUniverse(), 25)));
+        const result = replay(recording);
+
+        expect(result.reproduced).toBe(true);
+        expect(result.ticks).toBe(25);
+        expect(result.maxError).toBe(0);
+        expect(result.universe.tickCount).toBe(25);
+    });
+
+    it('should report where a replay diverges', () => {
+        const recording = recordRun(buildUniverse(), 10);
+        recording.frames[6].states['coc-3'][0] += 1e-6;
+
+        const result = replay(recording);
+        expect(result.reproduced).toBe(false);
+        expect(result.divergence).toMatchObject({ tick: 7, id: 'coc-3' });
+        expect(replay(recording, { tolerance: 1e-5 }).reproduced).toBe(true);
+    });
+
+    it('should refuse to replay a noisy run without a seeded RNG', () => {
+        const universe = new Universe({ sigma: 0.1 });
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'a' }));
+        const recording = recordRun(universe, 2);
+        expect(recording.snapshot.rng).toBeNull();
+        expect(() => replay(recording)).toThrow(/RNG sembrado/);
+    });
+
+    it('should reject unknown snapshot versions', () => {
+        expect(() => Universe.fromSnapshot({ version: 0 })).toThrow(/Versión de snapshot/);
+    });
+});
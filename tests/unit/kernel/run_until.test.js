@@ -0,0 +1,59 @@
+/**
+ * @file tests/unit/kernel/run_until.test.js
+ * @description Verifica los criterios de parada de Universe.runUntil() y su informe.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+
+function buildUniverse(params) {
+    const universe = new Universe({ sigma: 0, telosStrength: 0, rng: 9, ...params });
+    populateUniverse(universe, { topology: 'complete', n: 12, weights: 0.2 });
+    return universe;
+}
+
+describe('Kernel Universe: runUntil()', () => {
+
+    it('should stop as soon as the order parameter crosses the threshold', () => {
+        const universe = buildUniverse();
+        const report = universe.runUntil({ orderParameter: 0.95 });
+
+        expect(report.reason).toBe('orderParameter');
+        expect(report.orderParameter).toBeGreaterThanOrEqual(0.95);
+        expect(report.ticks).toBe(universe.tickCount);
+        expect(report.tickCount).toBe(report.ticks);
+        expect(universe.metricsHistory.at(-2).orderParameter).toBeLessThan(0.95);
+        expect(report.metrics.tick).toBe(report.tickCount);
+        expect(report.metrics.orderParameter).toBe(report.orderParameter);
+
+        // Ya sincronizado: no avanza.
+        expect(universe.runUntil({ orderParameter: 0.95 })).toMatchObject({ reason: 'orderParameter', ticks: 0 });
+    });
+
+    it('should detect a stationary state over the window, with or without tracked metrics', () => {
+        const universe = buildUniverse({ trackMetrics: false });
+        const report = universe.runUntil({ epsilon: 1e-6, window: 5 });
+
+        expect(report.reason).toBe('stationary');
+        expect(report.stateChange).toBeLessThanOrEqual(1e-6);
+        expect(report.ticks).toBeGreaterThan(5);
+        expect(report.orderParameter).toBeCloseTo(1, 5);
+    });
+
+    it('should fall back to maxTicks and the wall-clock budget', () => {
+        const noisy = buildUniverse({ sigma: 2 });
+        expect(noisy.runUntil({ orderParameter: 0.999, maxTicks: 25 })).toMatchObject({ reason: 'maxTicks', ticks: 25, tickCount: 25 });
+
+        const budgeted = buildUniverse({ sigma: 2 });
+        const report = budgeted.runUntil({ epsilon: 1e-12, maxTicks: Infinity, timeBudget: 30 });
+        expect(report.reason).toBe('timeBudget');
+        expect(report.elapsed).toBeGreaterThanOrEqual(30);
+        expect(report.ticks).toBeGreaterThan(0);
+    });
+
+    it('should reject runs that can never stop and invalid windows', () => {
+        const universe = buildUniverse();
+        expect(() => universe.runUntil({ maxTicks: Infinity })).toThrow(/criterio de parada/);
+        expect(() => universe.runUntil({ epsilon: 1e-3, window: 0 })).toThrow(/Ventana/);
+    });
+});
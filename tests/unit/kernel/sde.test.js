@@ -0,0 +1,88 @@
+/**
+ * @file tests/unit/kernel/sde.test.js
+ * @description Verifica el modo EDE con incrementos de Wiener: escalado con √dt y medida
+ *              estacionaria uniforme en S² para COCs sin acoplo.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+
+function freeCOCs({ n, dt, sigma = 1, integrator = 'euler', noiseModel = 'wiener', rng = 17 }) {
+    const universe = new Universe({ sigma, dt, integrator, noiseModel, rng, telosStrength: 0, trackMetrics: false });
+    for (let i = 0; i < n; i++) {
+        universe.addCOC(new CoherentOntologicalCubit({ id: `c${i}`, cgpNet: [0, 0, 1] }));
+    }
+    return universe;
+}
+
+function run(universe, time) {
+    const ticks = Math.round(time / universe.dt);
+    for (let t = 0; t < ticks; t++) universe.tick();
+}
+
+/** Estadístico de Kolmogorov–Smirnov de una muestra frente a U(0, 1). */
+function ksUniform(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const n = sorted.length;
+    return sorted.reduce((d, u, k) => Math.max(d, (k + 1) / n - u, u - k / n), 0);
+}
+
+/** Correlación media ⟨x(t) · x(0)⟩ con x(0) en el polo norte. */
+const meanZ = (universe) => Array.from(universe.cocs.values()).reduce((acc, coc) => acc + coc.state[2], 0) / universe.cocs.size;
+
+describe('Kernel Dynamics: EDE con incrementos de Wiener', () => {
+
+    it('should reach the uniform distribution on S² without coupling', () => {
+        const universe = freeCOCs({ n: 400, dt: 0.02 });
+        run(universe, 6);
+
+        const states = Array.from(universe.cocs.values(), coc => coc.state);
+        // Arquímedes: en la esfera uniforme z ~ U(-1, 1) y el azimut ~ U(-π, π), independientes.
+        const critical = 1.95 / Math.sqrt(states.length); // KS, α = 0.001
+        expect(ksUniform(states.map(([, , z]) => (z + 1) / 2))).toBeLessThan(critical);
+        expect(ksUniform(states.map(([x, y]) => (Math.atan2(y, x) + Math.PI) / (2 * Math.PI)))).toBeLessThan(critical);
+
+        const second = [0, 1, 2].map(k => states.reduce((acc, s) => acc + s[k] ** 2, 0) / states.length);
+        second.forEach(moment => expect(moment).toBeCloseTo(1 / 3, 1));
+    });
+
+    it('should diffuse at a rate independent of dt: ⟨x(t)·x(0)⟩ = exp(-σ² t)', () => {
+        const time = 0.5;
+        for (const dt of [0.05, 0.005]) {
+            const universe = freeCOCs({ n: 400, dt, integrator: 'heun', rng: 23 });
+            run(universe, time);
+            expect(Math.abs(meanZ(universe) - Math.exp(-time))).toBeLessThan(0.06);
+        }
+
+        // El modelo histórico no escala con √dt: su difusión efectiva es proporcional al paso.
+        const coarse = freeCOCs({ n: 400, dt: 0.05, noiseModel: 'direction', rng: 23 });
+        const fine = freeCOCs({ n: 400, dt: 0.005, noiseModel: 'direction', rng: 23 });
+        run(coarse, time);
+        run(fine, time);
+        expect((1 - meanZ(coarse)) / (1 - meanZ(fine))).toBeGreaterThan(5);
+    });
+
+    it('should stay on the sphere with every integrator', () => {
+        for (const integrator of ['euler', 'heun', 'rk4', 'geodesic']) {
+            const universe = freeCOCs({ n: 5, dt: 0.1, integrator, sigma: 2 });
+            run(universe, 2);
+            for (const coc of universe.cocs.values()) {
+                expect(coc.state.reduce((acc, x) => acc + x ** 2, 0)).toBeCloseTo(1, 12);
+            }
+        }
+    });
+
+    it('should validate the noise model and round-trip it through snapshots', () => {
+        expect(() => new Universe({ noiseModel: 'pink' })).toThrow(/Modelo de ruido desconocido/);
+
+        const universe = freeCOCs({ n: 3, dt: 0.1 });
+        run(universe, 0.5);
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+        expect(restored.noiseModel).toBe('wiener');
+        run(universe, 0.5);
+        run(restored, 0.5);
+        expect(restored.getState()).toEqual(universe.getState());
+        expect(() => TypedUniverseEngine.fromUniverse(universe)).toThrow(/Modelo de ruido/);
+    });
+});
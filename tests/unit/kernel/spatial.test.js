@@ -0,0 +1,134 @@
+/**
+ * @file tests/unit/kernel/spatial.test.js
+ * @description Verifica el embebido espacial: núcleos de distancia, tabla hash, recableado y movimiento.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+import { SeededRandom } from '../../../src/utils/random.js';
+import { resolveKernel, distance, SpatialHash, SpatialEmbedding } from '../../../src/kernel/dynamics/spatial.js';
+
+function placed(id, position, extra = {}) {
+    return new CoherentOntologicalCubit({ id, cgpNet: [1, 0, 0], position, ...extra });
+}
+
+describe('Kernel Dynamics: Embebido espacial', () => {
+
+    it('should resolve the distance kernels', () => {
+        const gaussian = resolveKernel({ type: 'gaussian', length: 2 });
+        expect(gaussian.radius).toBe(6);
+        expect(gaussian.weight(2)).toBeCloseTo(Math.exp(-0.5), 12);
+
+        const powerLaw = resolveKernel({ type: 'powerLaw', exponent: 3, strength: 2 });
+        expect(powerLaw.radius).toBe(Infinity);
+        expect(powerLaw.weight(1)).toBeCloseTo(2 / 8, 12);
+
+        const cutoff = resolveKernel('cutoff');
+        expect(cutoff).toMatchObject({ name: 'cutoff', radius: 1 });
+        expect(cutoff.weight(0.3)).toBe(1);
+
+        expect(resolveKernel({ name: 'flat', weight: () => 0.5, radius: 2 })).toMatchObject({ name: 'flat', radius: 2 });
+        expect(() => resolveKernel('yukawa')).toThrow(/Núcleo de distancia desconocido/);
+    });
+
+    it('should find the same neighbors with the spatial hash as by brute force', () => {
+        const rng = new SeededRandom(4);
+        for (const bounds of [null, [10, 10]]) {
+            const points = Array.from({ length: 300 }, () => [rng.next() * 10, rng.next() * 10]);
+            const hash = new SpatialHash(1.5, bounds);
+            points.forEach((p, i) => hash.insert(`p${i}`, p));
+
+            for (const [i, radius] of [[0, 1.5], [7, 0.4], [42, 3.2]]) {
+                const expected = points
+                    .map((p, j) => [`p${j}`, distance(points[i], p, bounds)])
+                    .filter(([, d]) => d <= radius)
+                    .map(([id]) => id);
+                expect(hash.query(points[i], radius).sort()).toEqual(expected.sort());
+            }
+        }
+        // Con caja periódica, los bordes opuestos son vecinos.
+        expect(distance([0.1, 5], [9.9, 5], [10, 10])).toBeCloseTo(0.2, 12);
+        expect(() => new SpatialHash(0)).toThrow(/Tamaño de celda/);
+    });
+
+    it('should derive weights from distances and keep links to unplaced COCs', () => {
+        const universe = new Universe({ sigma: 0, telosStrength: 0, rng: 1, spatial: { kernel: { type: 'cutoff', radius: 1.5, strength: 0.8 } } });
+        universe.addCOC(placed('a', [0, 0]));
+        universe.addCOC(placed('b', [1, 0]));
+        universe.addCOC(placed('c', [3, 0]));
+        universe.addCOC(new CoherentOntologicalCubit({ id: 'free', cgpNet: [0, 1, 0] }));
+        universe.cocs.get('a').connectTo('free', 0.3);
+        universe.cocs.get('a').connectTo('c', 5);
+
+        universe.tick();
+
+        expect(Object.fromEntries(universe.cocs.get('a').connections)).toEqual({ free: 0.3, b: 0.8 });
+        expect(Object.fromEntries(universe.cocs.get('b').connections)).toEqual({ a: 0.8 });
+        expect(universe.cocs.get('c').connections.size).toBe(0);
+        expect(universe.lastSpatial).toEqual({ edges: 2, moved: 0 });
+        expect(universe.spatial.stale).toBe(false);
+
+        // Sin movimiento no se recablea: los pesos quedan libres para la plasticidad.
+        universe.cocs.get('a').connectTo('b', 0.1);
+        universe.tick();
+        expect(universe.cocs.get('a').connections.get('b')).toBe(0.1);
+        expect(universe.lastSpatial.edges).toBeNull();
+    });
+
+    it('should move COCs, wrap them in periodic bounds and rewire', () => {
+        const spatial = new SpatialEmbedding({ kernel: { type: 'cutoff', radius: 1 }, bounds: [10, 10], selfPropulsion: 1 });
+        const universe = new Universe({ sigma: 0, telosStrength: 0, dt: 0.5, rng: 1, spatial });
+        universe.addCOC(placed('runner', [9.8, 5], { velocity: [1, 0] }));
+        universe.addCOC(placed('post', [1.2, 5], { cgpNet: [0, 0, 1] }));
+
+        universe.tick();
+        // v = velocidad + v0 · x_{1..2} = (2, 0); 9.8 + 1 = 10.8 → 0.8.
+        expect(universe.cocs.get('runner').position[0]).toBeCloseTo(0.8, 12);
+        expect(universe.cocs.get('post').position).toEqual([1.2, 5]);
+        expect(universe.cocs.get('runner').connections.size).toBe(0);
+        expect(universe.lastSpatial.moved).toBe(2);
+        expect(spatial.stale).toBe(true);
+
+        universe.tick();
+        expect(universe.cocs.get('runner').connections.get('post')).toBe(1);
+    });
+
+    it('should let children inherit the position of their parent', () => {
+        const universe = new Universe({
+            sigma: 0,
+            telosStrength: 0,
+            rng: 1,
+            spatial: { kernel: 'cutoff' },
+            lifecycle: { spawnThreshold: 0.4, maxPopulation: 3 },
+        });
+        universe.addCOC(placed('a', [0, 0]));
+        universe.addCOC(placed('b', [0.5, 0], { cgpNet: [-1, 0, 0] }));
+        universe.tick();
+
+        const child = universe.cocs.get('a.1');
+        expect(child.position).toEqual([0, 0]);
+        expect(child.position).not.toBe(universe.cocs.get('a').position);
+        expect(universe.spatial.stale).toBe(true);
+    });
+
+    it('should round-trip through snapshots and be rejected by the typed engine', () => {
+        const universe = new Universe({ rng: 3, spatial: { kernel: { type: 'gaussian', length: 0.5 }, selfPropulsion: 0.2 } });
+        for (let i = 0; i < 6; i++) universe.addCOC(placed(`c${i}`, [i * 0.4, 0], { cgpNet: [1, i * 0.1, 0] }));
+        universe.tick();
+
+        const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.toSnapshot())));
+        expect(restored.spatial.toJSON()).toEqual(universe.spatial.toJSON());
+        expect(restored.cocs.get('c3').position).toEqual(universe.cocs.get('c3').position);
+        expect(restored.lastSpatial).toEqual(universe.lastSpatial);
+
+        universe.tick();
+        restored.tick();
+        for (const [id, coc] of universe.cocs) {
+            expect(restored.cocs.get(id).state).toEqual(coc.state);
+            expect(Object.fromEntries(restored.cocs.get(id).connections)).toEqual(Object.fromEntries(coc.connections));
+        }
+
+        expect(() => TypedUniverseEngine.fromUniverse(universe)).toThrow(/espacial/);
+    });
+});
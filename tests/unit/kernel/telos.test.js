@@ -0,0 +1,73 @@
+/**
+ * @file tests/unit/kernel/telos.test.js
+ * @description Verifica los atractores de telos y la convergencia de las poblaciones hacia ellos.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { POLYHEDRA, TelosAttractor, registerTelos, resolveTelos } from '../../../src/kernel/dynamics/telos.js';
+
+function runSingle(telos, cgpNet, { ticks = 300, telosStrength = 1.0 } = {}) {
+    const universe = new Universe({ sigma: 0.0, dt: 0.1, telosStrength });
+    universe.addCOC(new CoherentOntologicalCubit({ id: 'x', cgpNet, telos }));
+    for (let t = 0; t < ticks; t++) universe.tick();
+    return universe;
+}
+
+describe('Kernel Dynamics: Atractores de Telos', () => {
+
+    it('should leave the default telos and free-text telos inert', () => {
+        expect(resolveTelos('DEFAULT_SYMMETRY')).toBeNull();
+        expect(resolveTelos('seek harmony')).toBeNull();
+        const universe = runSingle('DEFAULT_SYMMETRY', [1, 0, 0], { ticks: 10 });
+        expect(universe.cocs.get('x').state).toEqual([1, 0, 0]);
+        expect(universe.metricsHistory[0].telos).toBeUndefined();
+    });
+
+    it('should drive a COC to a fixed point', () => {
+        const universe = runSingle({ type: 'point', direction: [0, 1, 0] }, [1, 0, 0.1]);
+        const [x, y, z] = universe.cocs.get('x').state;
+        expect(y).toBeCloseTo(1, 5);
+        expect(Math.abs(x) + Math.abs(z)).toBeLessThan(1e-4);
+    });
+
+    it('should drive a COC to the nearest pole of an axis', () => {
+        const universe = runSingle('Z_AXIS', [1, 0, -0.2]);
+        expect(universe.cocs.get('x').state[2]).toBeCloseTo(-1, 5);
+    });
+
+    it('should drive a COC onto a great circle', () => {
+        const universe = runSingle('EQUATOR', [0.3, 0.4, 0.8]);
+        const [x, y, z] = universe.cocs.get('x').state;
+        expect(z).toBeCloseTo(0, 5);
+        expect(y / x).toBeCloseTo(0.4 / 0.3, 5);
+    });
+
+    it('should drive a COC to the nearest polyhedral vertex', () => {
+        const universe = runSingle('TETRAHEDRAL', [0.9, 0.8, 0.5]);
+        const state = universe.cocs.get('x').state;
+        POLYHEDRA.tetrahedron[0].forEach((v, k) => expect(state[k]).toBeCloseTo(v, 5));
+        expect(POLYHEDRA.icosahedron).toHaveLength(12);
+    });
+
+    it('should scale with telosStrength and report convergence metrics', () => {
+        const weak = runSingle('NORTH_POLE', [1, 0, 0], { ticks: 20, telosStrength: 0.2 });
+        const strong = runSingle('NORTH_POLE', [1, 0, 0], { ticks: 20, telosStrength: 2.0 });
+        const weakTelos = weak.metricsHistory.at(-1).telos;
+        const strongTelos = strong.metricsHistory.at(-1).telos;
+
+        expect(weakTelos.count).toBe(1);
+        expect(strongTelos.meanDistance).toBeLessThan(weakTelos.meanDistance);
+        expect(strongTelos.converged).toBe(1);
+        expect(weakTelos.converged).toBe(0);
+    });
+
+    it('should resolve registered telos by name', () => {
+        registerTelos('WEST', { type: 'point', direction: [-1, 0, 0], strength: 3 });
+        const attractor = resolveTelos('WEST');
+        expect(attractor).toBeInstanceOf(TelosAttractor);
+        expect(attractor.strength).toBe(3);
+        expect(attractor.distance([0, 0, 1])).toBeCloseTo(Math.PI / 2);
+        expect(() => resolveTelos({ type: 'torus' })).toThrow(/Tipo de atractor desconocido/);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @file tests/unit/kernel/topology.test.js
+ * @description Verifica los generadores de topología y el poblado de un Universo en una llamada.
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import { TOPOLOGIES, generateEdges, populateUniverse } from '../../../src/kernel/topology.js';
+
+function degrees(n, edges) {
+    const degree = new Array(n).fill(0);
+    for (const [i, j] of edges) {
+        degree[i]++;
+        degree[j]++;
+    }
+    return degree;
+}
+
+describe('Kernel Topology: Generadores de red', () => {
+
+    it('should build deterministic regular graphs', () => {
+        expect(generateEdges('ring', 10, { k: 2 })).toHaveLength(20);
+        expect(degrees(10, generateEdges('ring', 10, { k: 2 })).every(d => d === 4)).toBe(true);
+        expect(generateEdges('complete', 6)).toHaveLength(15);
+        expect(generateEdges('lattice', 12, { cols: 4 })).toHaveLength(3 * 3 + 2 * 4);
+        expect(degrees(16, generateEdges('lattice', 16, { periodic: true })).every(d => d === 4)).toBe(true);
+        expect(() => generateEdges('lattice', 10, { cols: 3 })).toThrow(/retícula/);
+    });
+
+    it('should build random graphs reproducibly from a seed', () => {
+        for (const type of ['erdosRenyi', 'wattsStrogatz', 'barabasiAlbert', 'modular']) {
+            expect(generateEdges(type, 40, {}, 5)).toEqual(generateEdges(type, 40, {}, 5));
+        }
+    });
+
+    it('should preserve the edge count when rewiring a small world', () => {
+        const edges = generateEdges('wattsStrogatz', 30, { k: 2, beta: 0.5 }, 3);
+        expect(edges).toHaveLength(60);
+        expect(edges).not.toEqual(generateEdges('ring', 30, { k: 2 }));
+    });
+
+    it('should grow a scale-free graph with m edges per new node', () => {
+        const edges = generateEdges('barabasiAlbert', 200, { m: 2 }, 9);
+        expect(edges).toHaveLength(3 + 2 * (200 - 3));
+        expect(Math.max(...degrees(200, edges))).toBeGreaterThan(15);
+    });
+
+    it('should favour intra-community edges in modular graphs', () => {
+        const n = 80;
+        const edges = generateEdges('modular', n, { communities: 4, pIn: 0.5, pOut: 0.01 }, 1);
+        const intra = edges.filter(([i, j]) => Math.floor(i / 20) === Math.floor(j / 20)).length;
+        expect(intra / edges.length).toBeGreaterThan(0.9);
+    });
+
+    it('should populate and wire a universe in one call', () => {
+        const universe = new Universe({ rng: 17 });
+        const { ids, edges } = populateUniverse(universe, {
+            topology: 'erdosRenyi',
+            n: 25,
+            params: { p: 0.2 },
+            weights: { distribution: 'uniform', min: 0.5, max: 1.5 },
+        });
+
+        expect(ids).toHaveLength(25);
+        expect(universe.cocs.size).toBe(25);
+        for (const [i, j] of edges) {
+            const forward = universe.cocs.get(ids[i]).connections.get(ids[j]);
+            expect(forward).toBeGreaterThanOrEqual(0.5);
+            expect(forward).toBeLessThan(1.5);
+            expect(universe.cocs.get(ids[j]).connections.get(ids[i])).toBe(forward);
+        }
+        expect(() => universe.tick()).not.toThrow();
+    });
+
+    it('should reject unknown topologies and weight distributions', () => {
+        expect(Object.keys(TOPOLOGIES)).toContain('wattsStrogatz');
+        expect(() => generateEdges('hypercube', 8)).toThrow(/Topología desconocida/);
+        expect(() => populateUniverse(new Universe({}), { topology: 'ring', n: 4, weights: { distribution: 'zipf' } }))
+            .toThrow(/Distribución de pesos desconocida/);
+    });
+});
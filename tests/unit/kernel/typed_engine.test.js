@@ -0,0 +1,84 @@
+/**
+ * @file tests/unit/kernel/typed_engine.test.js
+ * @description Verifica que el motor vectorizado reproduce bit a bit la dinámica de Universe.tick().
+ */
+
+import Universe from '../../../src/kernel/universe.js';
+import { populateUniverse } from '../../../src/kernel/topology.js';
+import { TypedUniverseEngine } from '../../../src/kernel/engines/typed_engine.js';
+import { INTEGRATORS } from '../../../src/kernel/dynamics/integrators.js';
+
+function buildPair(params) {
+    const build = () => {
+        const universe = new Universe({ sigma: 0.3, dt: 0.05, rng: 314, ...params });
+        populateUniverse(universe, {
+            topology: 'barabasiAlbert',
+            n: 60,
+            params: { m: 2 },
+            weights: { distribution: 'lognormal', sigma: 0.4 },
+        });
+        universe.cocs.get('coc-0').telos = 'ICOSAHEDRAL';
+        universe.cocs.get('coc-1').telos = { type: 'greatCircle', normal: [1, 1, 0] };
+        universe.cocs.get('coc-2').connectTo('ghost', 1.0); // Conexión colgante: se ignora en ambos motores.
+        return universe;
+    };
+    return [build(), build()];
+}
+
+describe('Kernel Engines: Motor vectorizado (Float64Array + CSR)', () => {
+
+    it.each(Object.keys(INTEGRATORS))('should reproduce Universe.tick() exactly with %s', (integrator) => {
+        const [reference, target] = buildPair({ integrator, trackMetrics: false });
+        const engine = TypedUniverseEngine.fromUniverse(target);
+
+        for (let t = 0; t < 30; t++) reference.tick();
+        engine.run(30);
+
+        for (const [id, coc] of reference.cocs.entries()) {
+            expect(engine.getStateOf(id)).toEqual(coc.state);
+        }
+    });
+
+    it('should write states, signatures and memory back to the universe', () => {
+        const [reference, target] = buildPair({ trackMetrics: false });
+        const engine = TypedUniverseEngine.fromUniverse(target);
+
+        for (let t = 0; t < 4; t++) reference.tick();
+        engine.run(4);
+        engine.syncTo(target);
+        for (let t = 0; t < 13; t++) reference.tick();
+        engine.run(13);
+        engine.syncTo(target);
+
+        expect(target.tickCount).toBe(17);
+        for (const [id, coc] of reference.cocs.entries()) {
+            const synced = target.cocs.get(id);
+            expect(synced.state).toEqual(coc.state);
+            expect(synced.signature).toBe(coc.signature);
+            expect(synced.memory).toEqual(coc.memory);
+        }
+        expect(engine.orderParameter()).toBeCloseTo(reference.getMetrics().orderParameter, 12);
+    });
+
+    it('should honour the universe memory window', () => {
+        const [reference, target] = buildPair({ trackMetrics: false, memoryWindow: 4 });
+        const engine = TypedUniverseEngine.fromUniverse(target);
+
+        for (let t = 0; t < 7; t++) reference.tick();
+        engine.run(7);
+        engine.syncTo(target);
+
+        for (const [id, coc] of reference.cocs.entries()) {
+            expect(coc.memory).toHaveLength(4);
+            expect(target.cocs.get(id).memory).toEqual(coc.memory);
+        }
+    });
+
+    it('should reject configurations it cannot reproduce', () => {
+        expect(() => TypedUniverseEngine.fromUniverse(new Universe({ plasticity: { rule: 'hebbian' } })))
+            .toThrow(/plasticidad/);
+        const custom = new Universe({ integrator: { name: 'custom', step: (states) => states } });
+        expect(() => TypedUniverseEngine.fromUniverse(custom)).toThrow(/Integrador no soportado/);
+        expect(() => TypedUniverseEngine.fromUniverse(new Universe({ signature: 'polar' }))).toThrow(/Firma no soportada/);
+    });
+});
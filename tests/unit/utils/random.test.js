@@ -0,0 +1,80 @@
+/**
+ * @file tests/unit/utils/random.test.js
+ * @description Verifica la fuente de aleatoriedad sembrada y la reproducibilidad
+ *              bit a bit de las corridas del kernel y del Meta-Universo.
+ */
+
+import { jest } from '@jest/globals';
+import { SeededRandom, defaultRandom, resolveRandom } from '../../../src/utils/random.js';
+import Universe from '../../../src/kernel/universe.js';
+import CoherentOntologicalCubit from '../../../src/kernel/core/coc.js';
+import { MetaUniverse } from '../../../src/kernel/meta_universe.js';
+import { ProteinEnvironment } from '../../../src/physics/protein_environment.js';
+import { StrategyCOC } from '../../../src/agents/strategy_coc.js';
+import * as ProteinStrategyLibrary from '../../../src/strategies/protein_library.js';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+function runUniverse(seed) {
+    const universe = new Universe({ sigma: 0.3, dt: 0.1, rng: seed });
+    for (let i = 0; i < 4; i++) {
+        universe.addCOC(new CoherentOntologicalCubit({ id: `coc-${i}`, cgpNet: [i, 1, 0.5] }));
+    }
+    universe.cocs.get('coc-0').connectTo('coc-1', 0.4);
+    universe.cocs.get('coc-2').connectTo('coc-3', 0.4);
+    for (let t = 0; t < 20; t++) universe.tick();
+    return Array.from(universe.cocs.values(), coc => coc.state);
+}
+
+function runProteinFolding(seed) {
+    const genome = {
+        rotate_cw: ProteinStrategyLibrary.rotate_bond_clockwise,
+        pull_move: ProteinStrategyLibrary.pullMove,
+    };
+    const env = new ProteinEnvironment('HPHPPHHPHPPHPHHPPHPH', { rng: seed });
+    const population = Object.entries(genome).map(([name, fn]) => new StrategyCOC(name, fn));
+    const meta = new MetaUniverse({ rng: seed, evolutionInterval: 5, maxPopulation: 6 }, env, population, genome);
+    const scores = [];
+    for (let t = 0; t < 40; t++) scores.push(meta.tick().score);
+    return { scores, chain: env.chain, population: meta.getStatus().topStrategies };
+}
+
+describe('Utils: SeededRandom', () => {
+
+    it('should produce the same sequence for the same seed', () => {
+        const a = new SeededRandom(42);
+        const b = new SeededRandom('42');
+        const sequenceA = Array.from({ length: 5 }, () => a.next());
+        const sequenceB = Array.from({ length: 5 }, () => b.next());
+        expect(sequenceA).toEqual(sequenceB);
+        expect(sequenceA.every(x => x >= 0 && x < 1)).toBe(true);
+        expect(new SeededRandom(43).next()).not.toBe(sequenceA[0]);
+    });
+
+    it('should resume from a saved state', () => {
+        const rng = new SeededRandom('benchmark-7');
+        rng.next();
+        const state = rng.getState();
+        const expected = [rng.next(), rng.next()];
+        rng.setState(state);
+        expect([rng.next(), rng.next()]).toEqual(expected);
+    });
+
+    it('should resolve seeds, functions and generators', () => {
+        expect(resolveRandom()).toBe(defaultRandom);
+        expect(resolveRandom(5)).toBeInstanceOf(SeededRandom);
+        const generator = new SeededRandom(1);
+        expect(resolveRandom(generator)).toBe(generator);
+        expect(resolveRandom(() => 0.25).next()).toBe(0.25);
+        expect(() => resolveRandom({})).toThrow(TypeError);
+    });
+
+    it('should make Universe trajectories reproducible', () => {
+        expect(runUniverse(2024)).toEqual(runUniverse(2024));
+        expect(runUniverse(2024)).not.toEqual(runUniverse(2025));
+    });
+
+    it('should make MetaUniverse runs reproducible', () => {
+        expect(runProteinFolding(11)).toEqual(runProteinFolding(11));
+    });
+});